@@ -4,23 +4,113 @@ const fs = require('fs');
 const path = require('path');
 const Scheduler = require('./src/scheduler');
 const GamePlayer = require('./src/gamePlayer');
+const FixtureServer = require('./src/fixtureServer');
+const VisualRegression = require('./src/visualRegression');
+const ReportGenerator = require('./src/reportGenerator');
+const ConfigLoader = require('./src/configLoader');
+const RunHistory = require('./src/runHistory');
+const Notifier = require('./src/notifier');
+const ControlServer = require('./src/controlServer');
+const RunAnalyzer = require('./src/runAnalyzer');
+const LoadRunner = require('./src/loadRunner');
+const SessionRecorder = require('./src/sessionRecorder');
+const SessionReplayer = require('./src/sessionReplayer');
+const ScriptRunner = require('./src/scriptRunner');
+const CiReporter = require('./src/ciReporter');
+const Throttler = require('./src/throttler');
+const { ConfigValidationError } = ConfigLoader;
 
-// Load configuration
-const configPath = path.join(__dirname, 'config', 'config.json');
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+// Load configuration: config file, then environment variables, then --set overrides
+const configLoader = ConfigLoader.fromArgs(args);
 let config;
 
 try {
-    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    config = configLoader.load();
 } catch (error) {
-    console.error('Failed to load configuration:', error.message);
+    console.error(error instanceof ConfigValidationError ? error.message : `Failed to load configuration: ${error.message}`);
     process.exit(1);
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
 const isManual = args.includes('--manual') || args.includes('-m');
 const isStatus = args.includes('--status') || args.includes('-s');
 const isHelp = args.includes('--help') || args.includes('-h');
+const approveIndex = args.indexOf('--approve');
+const isApprove = approveIndex !== -1;
+const isTestNotifications = args.includes('--test-notifications');
+const historyIndex = args.indexOf('--history');
+const isHistory = historyIndex !== -1;
+const showIndex = args.indexOf('--show');
+const isShow = showIndex !== -1;
+const recordIndex = args.indexOf('--record');
+const isRecord = recordIndex !== -1;
+const replayIndex = args.indexOf('--replay');
+const isReplay = replayIndex !== -1;
+// --script may be repeated; each value is a script, a directory of scripts or a suite file
+const scriptPaths = args
+    .map((arg, index) => arg === '--script' ? args[index + 1] : null)
+    .filter(value => value && !value.startsWith('-'));
+const isScript = args.includes('--script');
+const loadIndex = args.indexOf('--load');
+const isLoad = loadIndex !== -1;
+const trendsIndex = args.indexOf('--trends');
+const isTrends = trendsIndex !== -1;
+const reportIndex = args.indexOf('--report');
+const isReport = reportIndex !== -1;
+const targetIndex = args.findIndex(arg => arg === '--target' || arg === '-t');
+const targetOverride = targetIndex !== -1 ? args[targetIndex + 1] : null;
+const target = targetOverride || config.game.target || 'live';
+
+// --reporter junit,tap writes CI reports for every run, like --set reporters.formats=junit,tap
+const reporterIndex = args.indexOf('--reporter');
+if (reporterIndex !== -1) {
+    const formats = (args[reporterIndex + 1] || '').split(',').map(format => format.trim()).filter(Boolean);
+    const unknown = formats.filter(format => !CiReporter.FORMATS.includes(format));
+    if (formats.length === 0 || unknown.length > 0) {
+        console.error(`--reporter needs a comma-separated list of ${CiReporter.FORMATS.join(', ')}${unknown.length > 0 ? ` (unknown: ${unknown.join(', ')})` : ''}`);
+        process.exit(1);
+    }
+    // Profiles are already merged, so each one gets the formats too
+    [config, ...Object.values(config.profiles)].forEach(profile => {
+        profile.reporters.formats = formats;
+    });
+}
+
+// --throttle slow-3g throttles every run, like --set throttling.profile=slow-3g; schedule entries keep their own
+const throttleIndex = args.indexOf('--throttle');
+if (throttleIndex !== -1) {
+    const throttling = args[throttleIndex + 1];
+    const problem = !throttling || throttling.startsWith('-')
+        ? `--throttle needs a profile name (${Object.keys(Throttler.profiles(config.throttling)).join(', ')})`
+        : [config, ...Object.values(config.profiles)].map(profile => Throttler.checkName(throttling, profile.throttling)).find(Boolean);
+    if (problem) {
+        console.error(problem);
+        process.exit(1);
+    }
+    [config, ...Object.values(config.profiles)].forEach(profile => {
+        profile.throttling.profile = throttling;
+    });
+}
+
+// --profile may be repeated or given a comma-separated list
+const profileNames = args
+    .map((arg, index) => (arg === '--profile' || arg === '-p') ? args[index + 1] : null)
+    .filter(value => value && !value.startsWith('-'))
+    .flatMap(value => value.split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+let selectedProfiles;
+try {
+    selectedProfiles = ConfigLoader.selectProfiles(config, profileNames);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const fixtureServers = new Map();
 
 function showHelp() {
     console.log(`
@@ -30,53 +120,131 @@ Jenkins Automated Game Player
 Usage: node index.js [options]
 
 Options:
-  --manual, -m      Run the game immediately (manual trigger)
-  --status, -s      Show current status and configuration
-  --help, -h        Show this help message
+  --manual, -m          Run the game immediately (manual trigger)
+  --record [file]       Record clicks, key presses and navigations in a headed browser into a replay script (default: recordings/<time>.json)
+  --replay <file>       Play a recorded script instead of the built-in game flow, with the usual logs, screenshots and history
+  --script <path>       Run step scripts (JSON/YAML file, directory or suite file) instead of the built-in flow; repeatable
+  --load [sessions]     Play many sessions at once in one browser and report success, latency and errors (see "load")
+  --status, -s          Show current status and configuration
+  --target, -t <name>   Game to play: "live" (default) or "fixture" for the bundled offline game
+  --profile, -p <name>  Use a named profile from "profiles" in the config; repeatable, comma-separated or "all"
+  --reporter <formats>  Also write each run as JUnit XML and/or TAP for CI, e.g. --reporter junit,tap (see "reporters")
+  --throttle <profile>  Slow down network and CPU, e.g. --throttle slow-3g (see "throttling")
+  --approve [runId]     Approve a run's screenshots as the visual baseline (default: latest run)
+  --report [runId]      Regenerate the HTML report for a past run (default: latest run)
+  --config, -c <path>   Load configuration from another file (default: config/config.json)
+  --set <key=value>     Override one setting, e.g. --set game.maxScenarios=2 (repeatable)
+  --test-notifications  Send a test message through every configured notifier and exit
+  --history [count]     List recent runs with result, duration, scenarios and errors (default: 20)
+  --show [runId]        Show one run in detail: scenarios, state changes, retries and problems (default: latest run)
+  --trends [days]       Daily success rate and per-step flakiness over recent runs (default: 14 days)
+  --help, -h            Show this help message
 
 Default behavior (no flags):
-  Starts the scheduler to run the game daily at the configured time
+  Starts the scheduler to run the game at the configured schedule entries
 
 Configuration:
   Edit config/config.json to customize game settings, schedule, and logging options.
+  Settings are validated on startup. Environment variables override the file and
+  --set overrides both: GAME_TARGET, GAME_URL, GAME_MAX_SCENARIOS, BROWSER_HEADLESS,
+  BROWSER_TIMEOUT, SCHEDULE_ENABLED, SCHEDULE_DAILY_RUN_TIME, SCHEDULE_TIMEZONE,
+  SCHEDULE_JITTER_MINUTES, SCHEDULE_CATCH_UP, API_ENABLED, API_PORT, API_TOKEN,
+  HEALTH_ENABLED, HEALTH_MAX_DURATION_SECONDS, PERFORMANCE_ENABLED, HAR_ENABLED,
+  MOCKS_ENABLED, THROTTLING_PROFILE, LOAD_SESSIONS, LOAD_DURATION_MINUTES, LOG_LEVEL, REPORTERS, CHOICE_STRATEGY, CHOICE_SEED.
 
 Examples:
   npm start                    # Start scheduler for daily runs
   npm run play                 # Run game manually (equivalent to --manual)
   node index.js --status       # Show current status
+  npm run play:fixture         # Run against the offline fixture game (no network needed)
+  node index.js --approve      # Accept the latest run's screenshots as the new baseline
+  node index.js --report       # Rebuild logs/<runId>-report.html for the latest run
+  node index.js --trends 30    # How often each step retried or timed out in the last 30 days
+  node index.js -m -p staging  # Run the "staging" profile once
+  node index.js -m -p database-asleep  # Fixture game with its backend mocked as down
+  node index.js -m -t fixture --throttle slow-3g  # Play over a slow 3G connection
+  node index.js -m -t fixture --reporter junit  # Also write logs/<runId>-junit.xml for CI
+  node index.js --load 10 -t fixture --set load.durationMinutes=5 --set load.iterations=0  # 10 sessions for 5 minutes
+  node index.js -m -p all      # Run the default config and every profile, one after another
     `);
 }
 
+function formatNextRun(isoTime, timezone) {
+    if (!isoTime) return 'none';
+    const local = new Date(isoTime).toLocaleString('sv-SE', { timeZone: timezone }).slice(0, 16);
+    return `${local} ${timezone} (${isoTime})`;
+}
+
+// Next run times as computed by the scheduler, including entries and blackouts
+function scheduleLines(status, history = null) {
+    return status.profiles.map(profile => {
+        const lastRun = history ? history.lastRun(profile.profile) : null;
+        const last = lastRun ? `\n    last run: ${lastRun.startedAt} ${lastRun.trigger} ${lastRun.result}` : '';
+        
+        if (!profile.scheduled) {
+            return `- ${profile.profile}: not scheduled${last}`;
+        }
+        
+        const lines = [`- ${profile.profile}: next run ${formatNextRun(profile.nextRun, profile.timezone)}${last}`];
+        profile.entries.forEach(entry => {
+            const jitter = entry.jitterMinutes > 0 ? `, +0-${entry.jitterMinutes} min jitter` : '';
+            const throttling = entry.throttling ? `, throttled as ${entry.throttling}` : '';
+            lines.push(`    ${entry.name} [${entry.cron}]: ${formatNextRun(entry.nextRun, entry.timezone)}${jitter}${throttling}`);
+        });
+        if (profile.blackouts.length > 0) {
+            lines.push(`    blackouts: ${profile.blackouts.join('; ')}`);
+        }
+        return lines.join('\n');
+    }).join('\n');
+}
+
 async function showStatus() {
+    const scheduler = new Scheduler(config, [config, ...Object.values(config.profiles)]);
+    const schedule = scheduler.getStatus();
+    scheduler.stop();
+    
     console.log(`
 Jenkins Automated Game Player - Status
 ======================================
 
-Configuration:
-- Game URL: ${config.game.url}
-- Daily run time: ${config.schedule.dailyRunTime}
+Configuration (${configLoader.sources.join(' + ')}):
+- Target: ${target}
+- Game URL: ${target === 'fixture' ? '(local fixture server)' : config.game.url}
 - Scheduling enabled: ${config.schedule.enabled}
+- Schedule timezone: ${config.schedule.timezone}
 - Browser headless: ${config.browser.headless}
 - Max scenarios: ${config.game.maxScenarios}
 - Choice strategy: ${config.choices.strategy}
+- Throttling: ${config.throttling.profile || 'none'}
+
+Profiles:
+${[config, ...Object.values(config.profiles)].map(profile =>
+    `- ${profile.profile}: ${profile.game.target === 'fixture' ? '(local fixture server)' : profile.game.url}` +
+    ` (strategy ${profile.choices.strategy})`
+).join('\n')}
+
+Schedule:
+${scheduleLines(schedule, scheduler.history)}
 
 Logging:
+- Log level: ${config.logging.logLevel}
+- Log sinks: ${(config.logging.sinks || ['text']).join(', ')}
 - Screenshot quality: ${config.logging.screenshotQuality}%
 - Capture network: ${config.logging.captureNetwork}
 - Capture console: ${config.logging.captureConsole}
 - Retain logs: ${config.logging.retainLogs} days
 
 Directories:
-- Logs: ${path.join(__dirname, 'logs')}
-- Screenshots: ${path.join(__dirname, 'screenshots')}
-- Config: ${path.join(__dirname, 'config')}
+- Logs: ${path.join(process.cwd(), 'logs')}
+- Screenshots: ${path.join(process.cwd(), 'screenshots')}
+- Config: ${config.configDir}
     `);
     
-    // Show recent log files
-    const logsDir = path.join(__dirname, 'logs');
+    // Show recent log files; like Logger, relative to the working directory
+    const logsDir = path.join(process.cwd(), 'logs');
     if (fs.existsSync(logsDir)) {
         const logFiles = fs.readdirSync(logsDir)
-            .filter(file => file.endsWith('.log'))
+            .filter(file => file.endsWith('.log') || file.endsWith('.jsonl'))
             .sort()
             .slice(-5);
         
@@ -93,10 +261,319 @@ Directories:
     }
 }
 
+function approveBaseline() {
+    const profile = selectedProfiles[0];
+    const screenshotsDir = path.join(process.cwd(), 'screenshots', profile.profile === ConfigLoader.DEFAULT_PROFILE ? '' : profile.profile);
+    let runId = args[approveIndex + 1];
+    
+    if (!runId || runId.startsWith('-')) {
+        const runs = new ReportGenerator(process.cwd(), profile.profile).listScreenshotRunIds();
+        runId = runs[runs.length - 1];
+    }
+    
+    if (!runId) {
+        console.error('No runs found in screenshots/ to approve.');
+        process.exit(1);
+    }
+    
+    const visualRegression = new VisualRegression(profile, null);
+    try {
+        const steps = visualRegression.approve(path.join(screenshotsDir, runId));
+        console.log(`✅ Approved ${steps.length} screenshots from run ${runId} as the new baseline`);
+        console.log(`Baseline directory: ${visualRegression.baselineDir}`);
+    } catch (error) {
+        console.error(`❌ Failed to approve baseline: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+async function testNotifications() {
+    let failed = false;
+    
+    for (const profile of selectedProfiles) {
+        const notifier = new Notifier(profile);
+        if (notifier.config.channels.length === 0) {
+            console.log(`No notifiers configured for profile "${profile.profile}"`);
+            continue;
+        }
+        
+        const results = await notifier.send(notifier.testMessage(profile.profile));
+        failed = failed || results.some(result => !result.sent);
+    }
+    
+    process.exit(failed ? 1 : 0);
+}
+
+// Optional value after a flag, e.g. "--history 50"; absent when the next arg is another flag
+function flagValue(index) {
+    const value = args[index + 1];
+    return value && !value.startsWith('-') ? value : null;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function formatPercent(ratio) {
+    return ratio === null ? '-' : `${Math.round(ratio * 100)}%`;
+}
+
+function showHistory() {
+    const analyzer = new RunAnalyzer(process.cwd(), selectedProfiles[0].profile);
+    const runs = analyzer.history(Number(flagValue(historyIndex)) || 20);
+    
+    if (runs.length === 0) {
+        console.log('No runs found in logs/ yet.');
+        return;
+    }
+    
+    console.log(`${'Run'.padEnd(21)}${'Result'.padEnd(12)}${'Duration'.padEnd(10)}${'Scenarios'.padEnd(11)}${'Errors'.padEnd(8)}${'Retries'.padEnd(9)}Error`);
+    runs.reverse().forEach(run => {
+        const icon = run.result === 'passed' ? '✅' : (run.result === 'failed' ? '❌' : '⚠️ ');
+        console.log(
+            run.runId.padEnd(21) +
+            `${icon} ${run.result}`.padEnd(12) +
+            formatDuration(run.durationMs).padEnd(10) +
+            String(run.scenarios).padEnd(11) +
+            String(run.errors).padEnd(8) +
+            String(run.retries).padEnd(9) +
+            (run.error || '')
+        );
+    });
+}
+
+function showRun() {
+    const analyzer = new RunAnalyzer(process.cwd(), selectedProfiles[0].profile);
+    const runId = flagValue(showIndex) || analyzer.reports.latestRunId();
+    
+    if (!runId) {
+        console.error('No runs found in logs/ to show.');
+        process.exit(1);
+    }
+    
+    let run;
+    try {
+        run = analyzer.show(runId);
+    } catch (error) {
+        console.error(`❌ Failed to read run ${runId}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const { summary } = run;
+    console.log(`
+Run ${summary.runId} (${summary.profile})
+======================================
+- Result: ${summary.result}${summary.failedStep ? ` at ${summary.failedStep}` : ''}${summary.error ? ` - ${summary.error}` : ''}
+- Started: ${summary.startedAt}
+- Duration: ${formatDuration(summary.durationMs)}
+- Scenarios: ${summary.registeredScenarios}/${summary.scenarios} registered
+- Errors: ${summary.errors}, warnings: ${summary.warnings}, retries: ${summary.retries}
+- Throttling: ${run.throttling ? `${run.throttling.profile} (${run.throttling.settings})` : 'none'}
+- Screenshots: ${run.screenshots}
+`);
+    
+    if (run.scenarios.length > 0) {
+        console.log('Scenarios:');
+        run.scenarios.forEach(scenario => {
+            console.log(`- #${scenario.index} ${scenario.choice || '?'} (${scenario.strategy || 'unknown'})${scenario.registered ? '' : ' [not registered]'}${scenario.instruction ? `: ${scenario.instruction}` : ''}`);
+        });
+        console.log('');
+    }
+    
+    if (run.transitions.length > 0) {
+        console.log('State changes:');
+        run.transitions.forEach(transition => console.log(`- ${transition}`));
+        console.log('');
+    }
+    
+    const timings = Object.entries(summary.timings);
+    if (timings.length > 0) {
+        console.log(`Step timings: ${timings.map(([step, ms]) => `${step} ${(ms / 1000).toFixed(1)}s`).join(', ')}\n`);
+    }
+    
+    const steps = Object.entries(summary.steps);
+    if (steps.length > 0) {
+        console.log('Step issues:');
+        steps.forEach(([step, counts]) => {
+            const details = Object.entries(counts).filter(([, count]) => count > 0).map(([kind, count]) => `${count} ${kind}`);
+            console.log(`- ${step}: ${details.join(', ')}`);
+        });
+        console.log('');
+    }
+    
+    if (run.visual) {
+        console.log(`Visual regression: ${run.visual.passed ? 'passed' : 'failed'} (${run.visual.compared} compared, ${run.visual.changed} changed)\n`);
+    }
+    
+    if (run.health && run.health.enabled) {
+        console.log(`Health: ${run.health.passed ? 'passed' : `${run.health.violations.length} violation(s)`}`);
+        run.health.violations.forEach(violation => {
+            console.log(`- ${violation.rule}: ${violation.message}`);
+            violation.samples.forEach(sample => console.log(`    ${sample}`));
+        });
+        console.log('');
+    }
+    
+    if (run.performance) {
+        const { summary: metrics, budgets, comparison } = run.performance;
+        const verdict = run.performance.budgetsChecked === false
+            ? `no budgets for throttling profile ${run.performance.throttling}`
+            : (run.performance.passed ? 'within budget' : run.performance.reason);
+        console.log(`Performance: ${verdict}`);
+        console.log(`- ${Object.entries(metrics).filter(([, value]) => value !== null).map(([metric, value]) => `${metric} ${value}`).join(', ')}`);
+        budgets.filter(entry => entry.level === 'warn').forEach(entry => {
+            console.log(`- ${entry.metric} ${entry.value} over warn budget ${entry.limit}`);
+        });
+        comparison.regressions.forEach(entry => {
+            console.log(`- ${entry.metric} ${entry.value} is ${entry.changePercent}% above the median of the last ${comparison.runs} runs (${entry.median})`);
+        });
+        console.log('');
+    }
+    
+    if (run.mocks) {
+        console.log(`Mock rules: ${run.mocks.rules.map(rule => `"${rule.name}" fired ${rule.fired}×`).join(', ')}\n`);
+    }
+    
+    if (run.problems.length > 0) {
+        console.log('Errors and warnings:');
+        run.problems.forEach(problem => console.log(`- [${problem.timestamp}] ${problem.level.toUpperCase()}: ${problem.message}`));
+        console.log('');
+    }
+    
+    console.log('Artifacts:');
+    run.artifacts.forEach(artifact => console.log(`- ${artifact}`));
+}
+
+function showTrends() {
+    const analyzer = new RunAnalyzer(process.cwd(), selectedProfiles[0].profile);
+    const trends = analyzer.trends(Number(flagValue(trendsIndex)) || 14);
+    
+    if (trends.totalRuns === 0) {
+        console.log(`No runs found in logs/ since ${trends.since}.`);
+        return;
+    }
+    
+    console.log(`\nRuns since ${trends.since}: ${trends.totalRuns}, success rate ${formatPercent(trends.successRate)}\n`);
+    console.log(`${'Day'.padEnd(12)}${'Runs'.padEnd(6)}${'Passed'.padEnd(8)}${'Failed'.padEnd(8)}Success`);
+    trends.days.forEach(day => {
+        console.log(`${day.day.padEnd(12)}${String(day.runs).padEnd(6)}${String(day.passed).padEnd(8)}${String(day.failed).padEnd(8)}${formatPercent(day.successRate)}`);
+    });
+    
+    console.log('\nFlakiness per step (share of runs where the step retried, timed out, fell back or errored):');
+    if (trends.steps.length === 0) {
+        console.log('- every step went smoothly');
+        return;
+    }
+    trends.steps.forEach(step => {
+        const details = ['retries', 'exhausted', 'timeouts', 'fallbacks', 'errors']
+            .filter(kind => step[kind] > 0)
+            .map(kind => `${step[kind]} ${kind}`);
+        console.log(`- ${step.step}: ${formatPercent(step.flakiness)} of runs (${step.affectedRuns} run(s), ${step.passedAnyway} still passed; ${details.join(', ')})`);
+    });
+}
+
+function regenerateReport() {
+    const reportGenerator = new ReportGenerator(process.cwd(), selectedProfiles[0].profile);
+    let runId = args[reportIndex + 1];
+    
+    if (!runId || runId.startsWith('-')) {
+        runId = reportGenerator.latestRunId();
+    }
+    
+    if (!runId) {
+        console.error('No runs found in logs/ to report on.');
+        process.exit(1);
+    }
+    
+    try {
+        const reportPath = reportGenerator.generate(runId);
+        console.log(`✅ Report generated: ${reportPath}`);
+    } catch (error) {
+        console.error(`❌ Failed to generate report: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+async function prepareTarget(profile) {
+    const profileTarget = targetOverride || profile.game.target || 'live';
+    
+    if (profileTarget === 'live') {
+        return;
+    }
+    
+    if (profileTarget !== 'fixture') {
+        console.error(`Unknown target "${profileTarget}". Use "live" or "fixture".`);
+        process.exit(1);
+    }
+    
+    const fixtureServer = new FixtureServer({
+        ...profile.fixture,
+        scenarios: profile.game.maxScenarios
+    });
+    profile.game.url = await fixtureServer.start();
+    fixtureServers.set(profile.profile, fixtureServer);
+    console.log(`Fixture game server for profile "${profile.profile}" listening at ${profile.game.url}`);
+}
+
+async function stopTarget() {
+    for (const fixtureServer of fixtureServers.values()) {
+        await fixtureServer.stop();
+    }
+    fixtureServers.clear();
+}
+
 async function runManual() {
-    console.log('Running game manually...');
-    const gamePlayer = new GamePlayer(config);
-    const success = await gamePlayer.playGame();
+    let recording = null;
+    let scripts = null;
+    if (isReplay) {
+        const replayFile = flagValue(replayIndex);
+        if (!replayFile) {
+            console.error('--replay needs the recording file to play, e.g. --replay recordings/checkout.json');
+            process.exit(1);
+        }
+        try {
+            recording = SessionReplayer.load(path.resolve(replayFile));
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`Replaying ${replayFile} (${recording.steps.length} steps)...`);
+    } else if (isScript) {
+        if (scriptPaths.length === 0) {
+            console.error('--script needs a script file, a directory of scripts or a suite file');
+            process.exit(1);
+        }
+        try {
+            scripts = ScriptRunner.loadSuite(scriptPaths);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`Running ${scripts.length} script(s): ${scripts.map(script => script.name).join(', ')}`);
+    } else {
+        console.log('Running game manually...');
+    }
+    const trigger = recording ? 'replay' : (scripts ? 'script' : 'manual');
+    
+    // Profiles run one after another so they never compete for the browser or the fixture port
+    let success = true;
+    for (const profile of selectedProfiles) {
+        if (selectedProfiles.length > 1) {
+            console.log(`\n▶️  Profile "${profile.profile}"`);
+        }
+        await prepareTarget(profile);
+        const history = new RunHistory(config);
+        const previousRun = history.lastRun(profile.profile, ['passed', 'failed', 'interrupted']);
+        const gamePlayer = new GamePlayer(profile, { recording, scripts });
+        const profileSuccess = await history.track(gamePlayer, { trigger });
+        await new Notifier(profile).runFinished(gamePlayer, profileSuccess, { previousRun, trigger });
+        if (!profileSuccess) {
+            console.log(`❌ Profile "${profile.profile}" completed with errors.`);
+        }
+        success = success && profileSuccess;
+    }
+    await stopTarget();
     
     if (success) {
         console.log('\n✅ Manual game run completed successfully!');
@@ -109,29 +586,117 @@ async function runManual() {
     process.exit(success ? 0 : 1);
 }
 
+async function recordSession() {
+    const profile = selectedProfiles[0];
+    await prepareTarget(profile);
+    const outputFile = flagValue(recordIndex);
+    const recorder = new SessionRecorder(profile, outputFile ? path.resolve(outputFile) : null, {
+        onStep: step => console.log(`● ${SessionRecorder.describe(step)}`)
+    });
+    
+    process.once('SIGINT', async () => {
+        await recorder.stop();
+    });
+    
+    console.log(`🎥 Recording against ${profile.game.url}. Play in the browser window, then close it (or press Ctrl+C) to save.`);
+    let saved;
+    try {
+        saved = await recorder.start();
+    } catch (error) {
+        console.error(`❌ Recording failed: ${error.message}`);
+        await stopTarget();
+        process.exit(1);
+    }
+    await stopTarget();
+    
+    console.log(`\n✅ Saved ${saved.steps} steps to ${saved.path}`);
+    console.log(`Replay with: node index.js --replay ${path.relative(process.cwd(), saved.path)}`);
+    process.exit(0);
+}
+
+async function runLoad() {
+    const sessions = Number(flagValue(loadIndex));
+    let success = true;
+    
+    for (const profile of selectedProfiles) {
+        await prepareTarget(profile);
+        const loadRunner = new LoadRunner(sessions > 0 ? { ...profile, load: { ...profile.load, sessions } } : profile);
+        const stop = () => {
+            console.log('\n🛑 Stopping load run after the games in progress...');
+            loadRunner.stop();
+        };
+        process.once('SIGINT', stop);
+        
+        const summary = await loadRunner.run();
+        process.removeListener('SIGINT', stop);
+        const { jsonPath, htmlPath } = loadRunner.writeReport(summary);
+        const latency = summary.latency || {};
+        const seconds = (ms) => ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`;
+        
+        console.log(`
+${summary.passed ? '✅' : '❌'} Load run ${summary.runId} (${summary.profile}) ${summary.passed ? 'passed' : 'failed'}
+- Games: ${summary.games} (${summary.succeeded} passed, ${summary.failed} failed) across ${summary.sessions.length} session(s)
+- Error rate: ${formatPercent(summary.errorRate)} (limit ${formatPercent(summary.settings.maxErrorRate)})
+- Game duration: median ${seconds(latency.p50)}, p95 ${seconds(latency.p95)}, max ${seconds(latency.max)}
+- Throughput: ${summary.gamesPerMinute} games/min over ${formatDuration(summary.durationMs)}`);
+        summary.errors.slice(0, 5).forEach(error => {
+            console.log(`- ${error.count}x ${error.step || 'unknown'}: ${error.error} (sessions ${error.sessions.join(', ')})`);
+        });
+        console.log(`Summary: ${jsonPath}\nReport: ${htmlPath}`);
+        
+        success = success && summary.passed;
+    }
+    await stopTarget();
+    
+    process.exit(success ? 0 : 1);
+}
+
 async function startScheduler() {
     console.log('Starting Jenkins Automated Game Player...');
     
-    const scheduler = new Scheduler(config);
+    // Without --profile, every profile with scheduling enabled is scheduled
+    const profiles = profileNames.length > 0 ? selectedProfiles : [config, ...Object.values(config.profiles)];
+    const scheduledProfiles = profiles.filter(profile => profile.schedule.enabled);
+    const scheduler = new Scheduler(config, profiles);
+    const apiEnabled = config.api.enabled;
     
-    if (!config.schedule.enabled) {
+    if (scheduledProfiles.length === 0 && !apiEnabled) {
         console.log('\n⚠️  Scheduling is disabled in configuration.');
         console.log('To enable scheduling, set "schedule.enabled" to true in config/config.json');
         console.log('Or run manually with: npm run play');
         process.exit(0);
     }
     
-    const started = scheduler.start();
+    // The API can run any profile on demand, so every profile's target must be ready
+    for (const profile of (apiEnabled ? profiles : scheduledProfiles)) {
+        await prepareTarget(profile);
+    }
+    const started = scheduledProfiles.length > 0 ? scheduler.start() : true;
     
     if (started) {
-        console.log('\n🚀 Scheduler started successfully!');
-        console.log(`Next run scheduled for: ${config.schedule.dailyRunTime} daily`);
+        if (scheduledProfiles.length > 0) {
+            console.log('\n🚀 Scheduler started successfully!');
+            console.log(scheduleLines(scheduler.getStatus()));
+        } else {
+            console.log('\n⚠️  Nothing is scheduled; runs can only be triggered through the control API.');
+        }
+        
+        let controlServer = null;
+        if (apiEnabled) {
+            controlServer = new ControlServer(config, scheduler);
+            const apiUrl = await controlServer.start();
+            console.log(`🌐 Control API listening at ${apiUrl} (GET /status, POST /runs, GET /runs/:id, GET /healthz)`);
+        }
         console.log('Press Ctrl+C to stop the scheduler\n');
         
         // Keep the process alive
-        process.on('SIGINT', () => {
+        process.on('SIGINT', async () => {
             console.log('\nStopping scheduler...');
             scheduler.stop();
+            if (controlServer) {
+                await controlServer.stop();
+            }
+            await stopTarget();
             console.log('Goodbye!');
             process.exit(0);
         });
@@ -140,6 +705,7 @@ async function startScheduler() {
         setInterval(() => {}, 1000);
     } else {
         console.log('\n❌ Failed to start scheduler');
+        await stopTarget();
         process.exit(1);
     }
 }
@@ -148,9 +714,25 @@ async function startScheduler() {
 async function main() {
     if (isHelp) {
         showHelp();
+    } else if (isTestNotifications) {
+        await testNotifications();
+    } else if (isHistory) {
+        showHistory();
+    } else if (isShow) {
+        showRun();
+    } else if (isTrends) {
+        showTrends();
+    } else if (isReport) {
+        regenerateReport();
+    } else if (isApprove) {
+        approveBaseline();
     } else if (isStatus) {
         await showStatus();
-    } else if (isManual) {
+    } else if (isRecord) {
+        await recordSession();
+    } else if (isLoad) {
+        await runLoad();
+    } else if (isManual || isReplay || isScript) {
         await runManual();
     } else {
         await startScheduler();
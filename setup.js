@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const ConfigLoader = require('./src/configLoader');
 
 console.log(`
 🤖 Jenkins Automated Game Player Setup
@@ -44,12 +45,14 @@ async function checkEnvironment() {
     if (fs.existsSync(configPath)) {
         console.log('✓ Configuration file exists');
         try {
-            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            const config = new ConfigLoader({ configPath }).load();
+            console.log('✓ Configuration is valid');
             console.log(`  Game URL: ${config.game.url}`);
             console.log(`  Daily run time: ${config.schedule.dailyRunTime}`);
             console.log(`  Browser headless: ${config.browser.headless}`);
         } catch (error) {
-            console.log('❌ Configuration file is invalid JSON');
+            console.log('❌ Configuration file is invalid');
+            console.log(error.message);
             process.exit(1);
         }
     } else {
@@ -114,7 +117,7 @@ Configuration Tips:
 - Edit config/config.json to customize settings
 - Set "headless": false to see the browser in action
 - Adjust "dailyRunTime" for your preferred schedule
-- Change "strategy" to "pattern", "left", or "right" for deterministic choices
+- Change "strategy" to "pattern", "seeded-random", "left", or "right" for deterministic choices
 
 Need help? Check README.md for full documentation.
 `);
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['junit', 'tap'];
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+// Turns one finished run into JUnit XML and TAP, one test case per step, scenario or script
+class CiReporter {
+    constructor(config) {
+        this.settings = config.reporters;
+        this.profile = config.profile || 'default';
+    }
+    
+    // The error screenshot for a failure (errors captured under errorContext), otherwise the last one the step took
+    static screenshotFor(gamePlayer, step, errorContext = null) {
+        if (errorContext) {
+            const lastError = gamePlayer.errorHandler.errors.filter(error => error.context.startsWith(errorContext) && error.screenshot).pop();
+            if (lastError) return lastError.screenshot;
+        }
+        
+        const screenshots = gamePlayer.stepScreenshots[step] || [];
+        return screenshots[screenshots.length - 1] || null;
+    }
+    
+    static testCases(gamePlayer) {
+        const cases = [];
+        let blockedBy = null;
+        
+        gamePlayer.plannedSteps().forEach(step => {
+            if (!(step in gamePlayer.timings)) {
+                cases.push({ name: step, status: 'skipped', durationMs: 0, message: blockedBy ? `Not run after ${blockedBy} failed` : 'Not run' });
+                return;
+            }
+            
+            // Checks such as health run even after a failure and can fail on top of it
+            const checkFailure = (gamePlayer.checkFailures || []).find(failure => failure.step === step);
+            const failed = gamePlayer.failedStep === step || Boolean(checkFailure);
+            if (gamePlayer.failedStep === step) blockedBy = step;
+            
+            if (step === 'scenarios') {
+                cases.push(...CiReporter.scenarioCases(gamePlayer, failed));
+            } else if (step === 'script' && gamePlayer.scriptResults) {
+                cases.push(...CiReporter.scriptCases(gamePlayer));
+            } else {
+                cases.push({
+                    name: step,
+                    status: failed ? 'failed' : 'passed',
+                    durationMs: gamePlayer.timings[step],
+                    message: failed ? (checkFailure ? checkFailure.error : gamePlayer.error) : null,
+                    details: step === 'health' && gamePlayer.healthResult ? CiReporter.healthDetails(gamePlayer.healthResult) : null,
+                    screenshot: CiReporter.screenshotFor(gamePlayer, step, failed ? step : null)
+                });
+            }
+        });
+        
+        return cases;
+    }
+    
+    // One case per recorded scenario, plus the one that was being played when the step failed
+    static scenarioCases(gamePlayer, failed) {
+        const records = gamePlayer.logger.scenarioData;
+        const cases = records.map(record => ({
+            name: `scenario ${record.index}`,
+            status: 'passed',
+            durationMs: new Date(record.endedAt) - new Date(record.startedAt),
+            message: null,
+            details: record.choice ? `Chose ${record.choice.direction} (${record.choice.reason || record.choice.strategy}), ${record.registered ? 'registered' : 'no stats registered'}` : null,
+            screenshot: record.screenshots.result || record.screenshots.ready || record.screenshots.start || null
+        }));
+        
+        const recordedMs = cases.reduce((total, testCase) => total + testCase.durationMs, 0);
+        const lastIndex = records.length > 0 ? records[records.length - 1].index : 0;
+        if (failed) {
+            cases.push({
+                name: gamePlayer.scenarioCount > lastIndex ? `scenario ${gamePlayer.scenarioCount}` : 'scenarios',
+                status: 'failed',
+                durationMs: Math.max(0, gamePlayer.timings.scenarios - recordedMs),
+                message: gamePlayer.error,
+                screenshot: CiReporter.screenshotFor(gamePlayer, 'scenarios', 'scenarios')
+            });
+        } else if (cases.length === 0) {
+            cases.push({ name: 'scenarios', status: 'passed', durationMs: gamePlayer.timings.scenarios, message: null, details: 'No scenarios played' });
+        }
+        return cases;
+    }
+    
+    static scriptCases(gamePlayer) {
+        return gamePlayer.scriptResults.map(result => ({
+            name: `script ${result.name}`,
+            status: result.passed ? 'passed' : 'failed',
+            durationMs: result.durationMs,
+            message: result.passed ? null : `${result.failedStep}: ${result.error}`,
+            details: result.file,
+            screenshot: result.passed ? null : CiReporter.screenshotFor(gamePlayer, 'script', `script "${result.name}"`)
+        }));
+    }
+    
+    static healthDetails(healthResult) {
+        return healthResult.violations
+            .map(violation => [`${violation.rule}: ${violation.message}`, ...violation.samples.map(sample => `  ${sample}`)].join('\n'))
+            .join('\n') || null;
+    }
+    
+    junit(gamePlayer, cases) {
+        const failures = cases.filter(testCase => testCase.status === 'failed').length;
+        const skipped = cases.filter(testCase => testCase.status === 'skipped').length;
+        const totalMs = cases.reduce((total, testCase) => total + (testCase.durationMs || 0), 0);
+        const timestamp = new Date().toISOString().slice(0, 19);
+        const classname = `game-player.${this.profile}`;
+        
+        const testcases = cases.map(testCase => {
+            const body = [];
+            if (testCase.status === 'failed') {
+                const message = escapeXml(testCase.message || 'Step failed');
+                body.push(`      <failure message="${message}" type="${escapeXml(testCase.name)}">${escapeXml(testCase.details || testCase.message || '')}</failure>`);
+            } else if (testCase.status === 'skipped') {
+                body.push(`      <skipped message="${escapeXml(testCase.message)}"/>`);
+            }
+            // [[ATTACHMENT|...]] is what the Jenkins JUnit attachments plugin looks for
+            const output = [testCase.status !== 'failed' && testCase.details, testCase.screenshot && `[[ATTACHMENT|${testCase.screenshot}]]`].filter(Boolean);
+            if (output.length > 0) {
+                body.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+            }
+            
+            const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(testCase.name)}" time="${seconds(testCase.durationMs)}"`;
+            return body.length > 0 ? `${open}>\n${body.join('\n')}\n    </testcase>` : `${open}/>`;
+        });
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="Jenkins Game Player" tests="${cases.length}" failures="${failures}" skipped="${skipped}" time="${seconds(totalMs)}">`,
+            `  <testsuite name="${escapeXml(this.profile)}" id="${escapeXml(gamePlayer.logger.runId)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(totalMs)}" timestamp="${timestamp}">`,
+            '    <properties>',
+            `      <property name="runId" value="${escapeXml(gamePlayer.logger.runId)}"/>`,
+            `      <property name="url" value="${escapeXml(gamePlayer.config.game.url)}"/>`,
+            `      <property name="throttling" value="${escapeXml(gamePlayer.throttler.name || 'none')}"/>`,
+            '    </properties>',
+            ...testcases,
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+    
+    // TAP version 13; the YAML block carries duration, failure and screenshot
+    tap(gamePlayer, cases) {
+        const throttling = gamePlayer.throttler.name ? `, throttled as ${gamePlayer.throttler.name}` : '';
+        const lines = ['TAP version 13', `# ${this.profile} run ${gamePlayer.logger.runId}${throttling}`, `1..${cases.length}`];
+        
+        cases.forEach((testCase, index) => {
+            const number = index + 1;
+            if (testCase.status === 'skipped') {
+                lines.push(`ok ${number} - ${testCase.name} # SKIP ${testCase.message}`);
+                return;
+            }
+            
+            lines.push(`${testCase.status === 'failed' ? 'not ok' : 'ok'} ${number} - ${testCase.name}`);
+            lines.push('  ---');
+            lines.push(`  duration_ms: ${testCase.durationMs || 0}`);
+            if (testCase.message) lines.push(`  message: ${JSON.stringify(testCase.message)}`);
+            if (testCase.details) lines.push(`  details: ${JSON.stringify(testCase.details)}`);
+            if (testCase.screenshot) lines.push(`  screenshot: ${JSON.stringify(testCase.screenshot)}`);
+            lines.push('  ...');
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Writes every configured format next to the run's logs, or into reporters.dir
+    write(gamePlayer) {
+        const cases = CiReporter.testCases(gamePlayer);
+        const dir = this.settings.dir ? path.resolve(this.settings.dir) : gamePlayer.logger.logDir;
+        fs.mkdirSync(dir, { recursive: true });
+        
+        const written = {};
+        this.settings.formats.forEach(format => {
+            const filePath = path.join(dir, format === 'junit' ? `${gamePlayer.logger.runId}-junit.xml` : `${gamePlayer.logger.runId}.tap`);
+            fs.writeFileSync(filePath, format === 'junit' ? this.junit(gamePlayer, cases) : this.tap(gamePlayer, cases));
+            written[format] = filePath;
+        });
+        return written;
+    }
+}
+
+module.exports = CiReporter;
+module.exports.FORMATS = FORMATS;
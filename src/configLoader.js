@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { SCHEMA, ENV_OVERRIDES } = require('./configSchema');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'config.json');
+const DEFAULT_PROFILE = 'default';
+
+class ConfigValidationError extends Error {
+    constructor(errors, source) {
+        super(`Invalid configuration in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Closest key by edit distance, for "did you mean" hints on typos
+function suggest(key, candidates) {
+    const distance = (a, b) => {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    };
+
+    const best = candidates
+        .map(candidate => ({ candidate, score: distance(key, candidate) }))
+        .sort((a, b) => a.score - b.score)[0];
+    return best && best.score <= Math.max(2, Math.floor(key.length / 3)) ? best.candidate : null;
+}
+
+class ConfigLoader {
+    constructor({ configPath = DEFAULT_CONFIG_PATH, env = process.env, sets = [] } = {}) {
+        this.configPath = path.resolve(configPath);
+        this.env = env;
+        this.sets = sets;
+        this.sources = [];
+    }
+
+    static fromArgs(args, env = process.env) {
+        const options = { env, sets: [] };
+
+        args.forEach((arg, index) => {
+            if (arg === '--config' || arg === '-c') {
+                options.configPath = args[index + 1];
+            } else if (arg === '--set') {
+                options.sets.push(args[index + 1]);
+            }
+        });
+
+        return new ConfigLoader(options);
+    }
+
+    load() {
+        let fileConfig;
+
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        } catch (error) {
+            throw new ConfigValidationError([`could not read JSON: ${error.message}`], this.configPath);
+        }
+        this.sources.push(this.configPath);
+
+        const { profiles: rawProfiles = {}, ...baseConfig } = fileConfig;
+        const errors = [];
+
+        // --set profiles.<name>.key=value edits that profile before the other layers are applied
+        const profileSets = this.sets.filter(assignment => /^profiles\./.test(assignment || ''));
+        const globalSets = this.sets.filter(assignment => !profileSets.includes(assignment));
+        this.applySets(rawProfiles, profileSets, errors, true);
+
+        const config = this.resolve(baseConfig, globalSets, '', errors, true);
+        config.profile = DEFAULT_PROFILE;
+        // Paths in the config, like a mock rule's file, are relative to the file itself
+        config.configDir = path.dirname(this.configPath);
+        config.profiles = {};
+
+        if (typeOf(rawProfiles) !== 'object') {
+            errors.push(`profiles must be object, got ${typeOf(rawProfiles)}`);
+        } else {
+            const baseErrors = new Set(errors);
+            Object.entries(rawProfiles).forEach(([name, profile]) => {
+                if (!/^[A-Za-z0-9][\w-]*$/.test(name) || name === DEFAULT_PROFILE || name === 'all') {
+                    errors.push(`profiles.${name}: profile names must be letters, digits, "-" or "_" and not "${DEFAULT_PROFILE}" or "all"`);
+                    return;
+                }
+                if (typeOf(profile) !== 'object') {
+                    errors.push(`profiles.${name} must be object, got ${typeOf(profile)}`);
+                    return;
+                }
+
+                // Profiles inherit everything from the base config; environment and --set still win
+                const profileErrors = [];
+                const resolved = this.resolve(this.merge(clone(baseConfig), profile), globalSets, `profiles.${name}`, profileErrors, false);
+                // Checks on the whole config are labelled with the profile itself rather than one of its keys
+                profileErrors
+                    .filter(error => !baseErrors.has(error.replace(`profiles.${name}.`, '').replace(`profiles.${name}: `, 'config: ')))
+                    .forEach(error => errors.push(error));
+                resolved.profile = name;
+                resolved.configDir = config.configDir;
+                config.profiles[name] = resolved;
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors, this.sources.join(' + '));
+        }
+
+        return config;
+    }
+
+    resolve(rawConfig, sets, keyPath, errors, recordSources) {
+        const layered = clone(rawConfig);
+        this.applyEnv(layered, errors, recordSources);
+        this.applySets(layered, sets, errors, recordSources);
+        return this.validate(SCHEMA, layered, keyPath, errors);
+    }
+
+    // Objects merge key by key; arrays and scalars from `override` replace the base value
+    merge(base, override) {
+        Object.entries(override).forEach(([key, value]) => {
+            if (typeOf(value) === 'object' && typeOf(base[key]) === 'object') {
+                base[key] = this.merge(base[key], value);
+            } else {
+                base[key] = clone(value);
+            }
+        });
+        return base;
+    }
+
+    // Pick resolved configs by profile name; "all" selects the default config and every profile
+    static selectProfiles(config, names) {
+        if (!names || names.length === 0) {
+            return [config];
+        }
+        if (names.includes('all')) {
+            return [config, ...Object.values(config.profiles)];
+        }
+
+        return names.map(name => {
+            if (name === DEFAULT_PROFILE) return config;
+            if (!config.profiles[name]) {
+                const available = [DEFAULT_PROFILE, ...Object.keys(config.profiles)].join(', ');
+                throw new Error(`Unknown profile "${name}". Available profiles: ${available}`);
+            }
+            return config.profiles[name];
+        });
+    }
+
+    applyEnv(config, errors, recordSources) {
+        Object.entries(ENV_OVERRIDES).forEach(([name, keyPath]) => {
+            if (this.env[name] === undefined || this.env[name] === '') return;
+
+            try {
+                this.setPath(config, keyPath, this.coerce(keyPath, this.env[name]));
+                if (recordSources) this.sources.push(`$${name}`);
+            } catch (error) {
+                if (recordSources) errors.push(`$${name}: ${error.message}`);
+            }
+        });
+    }
+
+    applySets(config, sets, errors, recordSources) {
+        sets.forEach(assignment => {
+            const separator = assignment ? assignment.indexOf('=') : -1;
+            if (separator <= 0) {
+                if (recordSources) errors.push(`--set ${assignment}: expected key=value`);
+                return;
+            }
+
+            const keyPath = assignment.slice(0, separator).trim();
+            // Inside the profiles map, coerce against the schema of the key below the profile name
+            const schemaPath = keyPath.replace(/^profiles\.[^.]+\./, '');
+            const targetPath = keyPath.replace(/^profiles\./, '');
+            const isProfileKey = schemaPath !== keyPath;
+            try {
+                this.setPath(config, isProfileKey ? targetPath : keyPath, this.coerce(schemaPath, assignment.slice(separator + 1)));
+                if (recordSources) this.sources.push(`--set ${keyPath}`);
+            } catch (error) {
+                if (recordSources) errors.push(`--set ${keyPath}: ${error.message}`);
+            }
+        });
+    }
+
+    schemaFor(keyPath) {
+        return keyPath.split('.').reduce((schema, key) => {
+            if (!schema) return null;
+            if (schema.properties && schema.properties[key]) return schema.properties[key];
+            return schema.additionalProperties || null;
+        }, SCHEMA);
+    }
+
+    // Turn a string from the environment or --set into the type the schema expects
+    coerce(keyPath, raw) {
+        const schema = this.schemaFor(keyPath);
+        if (!schema) {
+            throw new Error(`unknown config key "${keyPath}"`);
+        }
+
+        const types = [].concat(schema.type);
+        const value = raw.trim();
+
+        if (types.includes('null') && value === 'null') return null;
+        if (types.includes('boolean') && /^(true|false|1|0|yes|no)$/i.test(value)) {
+            return /^(true|1|yes)$/i.test(value);
+        }
+        if ((types.includes('integer') || types.includes('number')) && value !== '' && !Number.isNaN(Number(value))) {
+            return Number(value);
+        }
+        if (types.includes('array') || types.includes('object')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                if (types.includes('array')) {
+                    return value.split(',').map(item => item.trim());
+                }
+                throw new Error(`expected JSON for ${keyPath}, got ${JSON.stringify(raw)}`);
+            }
+        }
+        return raw;
+    }
+
+    setPath(config, keyPath, value) {
+        const keys = keyPath.split('.');
+        let target = config;
+        keys.slice(0, -1).forEach(key => {
+            if (typeof target[key] !== 'object' || target[key] === null) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+
+    // Validate `value` against `schema`, collecting errors, and return a copy with defaults filled in
+    validate(schema, value, keyPath, errors) {
+        const label = keyPath || 'config';
+
+        if (value === undefined) {
+            value = clone(schema.default);
+            if (value === undefined) return undefined;
+        }
+
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${label} must be ${types.join(' or ')}, got ${typeOf(value)} ${JSON.stringify(value)}`);
+            return value;
+        }
+
+        if (typeOf(value) === 'object') {
+            value = this.validateObject(schema, value, keyPath, errors);
+        } else if (typeOf(value) === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${label} must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value = value.map((item, index) => this.validate(schema.items, item, `${label}[${index}]`, errors));
+            }
+        } else {
+            this.validateScalar(schema, value, label, errors);
+        }
+
+        if (schema.check) {
+            const problem = schema.check(value);
+            if (problem) errors.push(`${label}: ${problem}`);
+        }
+
+        return value;
+    }
+
+    validateObject(schema, value, keyPath, errors) {
+        const result = {};
+        const properties = schema.properties || {};
+        const prefix = keyPath ? `${keyPath}.` : '';
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${prefix}${key} is required`);
+        });
+
+        Object.keys(value).forEach(key => {
+            if (!properties[key] && !schema.additionalProperties) {
+                const hint = suggest(key, Object.keys(properties));
+                errors.push(`${prefix}${key} is not a known setting${hint ? ` (did you mean "${prefix}${hint}"?)` : ''}`);
+            }
+        });
+
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            const validated = this.validate(propertySchema, value[key], `${prefix}${key}`, errors);
+            if (validated !== undefined) result[key] = validated;
+        });
+
+        if (schema.additionalProperties) {
+            Object.keys(value).filter(key => !properties[key]).forEach(key => {
+                result[key] = this.validate(schema.additionalProperties, value[key], `${prefix}${key}`, errors);
+            });
+        }
+
+        return result;
+    }
+
+    validateScalar(schema, value, label, errors) {
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${label} must be at least ${schema.minimum}, got ${value}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${label} must be at most ${schema.maximum}, got ${value}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength && value.length < schema.minLength) {
+                errors.push(`${label} must not be empty`);
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                errors.push(`${label} must be ${schema.description || `a string matching ${schema.pattern}`}, got ${JSON.stringify(value)}`);
+            }
+            if (schema.format) {
+                const problem = this.checkFormat(schema.format, value);
+                if (problem) errors.push(`${label} ${problem}, got ${JSON.stringify(value)}`);
+            }
+        }
+    }
+
+    checkFormat(format, value) {
+        switch (format) {
+            case 'url':
+                try {
+                    const url = new URL(value);
+                    return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http(s) URL';
+                } catch (error) {
+                    return 'must be a valid URL';
+                }
+            case 'regex':
+                try {
+                    new RegExp(value);
+                    return null;
+                } catch (error) {
+                    return `must be a valid regular expression (${error.message})`;
+                }
+            case 'timezone':
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return null;
+                } catch (error) {
+                    return 'must be an IANA timezone like "America/New_York"';
+                }
+            case 'cron':
+                return cron.validate(value) ? null : 'must be a cron expression like "0 6 * * *" or "30 5 * * mon-fri"';
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = ConfigLoader;
+module.exports.ConfigValidationError = ConfigValidationError;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
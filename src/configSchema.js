@@ -0,0 +1,570 @@
+const StrategyRegistry = require('./strategyRegistry');
+const { METRICS: PERFORMANCE_METRICS } = require('./performanceMonitor');
+const NetworkMocker = require('./networkMocker');
+const Throttler = require('./throttler');
+
+// Schema for config/config.json. Every property lists its type and, where it
+// has one, the default applied when the key is missing.
+
+const SELECTOR = { type: 'string', minLength: 1 };
+const MILLISECONDS = { type: 'integer', minimum: 0 };
+const NOTIFY_EVENTS = ['failure', 'recovery', 'success'];
+const HTTP_STATUSES = {
+    type: 'array',
+    items: { type: ['integer', 'string'], pattern: /^[1-5]xx$|^\d{3}$/, minimum: 100, maximum: 599, description: 'a status code or class like "2xx"' }
+};
+const PERFORMANCE_BUDGET = {
+    type: 'object',
+    properties: {
+        warn: { type: 'number', minimum: 0 },
+        fail: { type: 'number', minimum: 0 }
+    },
+    check: (budget) => budget.warn !== undefined && budget.fail !== undefined && budget.warn > budget.fail
+        ? `warn (${budget.warn}) must not be above fail (${budget.fail})`
+        : null
+};
+const PERFORMANCE_BUDGETS = {
+    type: 'object',
+    default: {},
+    properties: Object.fromEntries(PERFORMANCE_METRICS.map(metric => [metric, PERFORMANCE_BUDGET]))
+};
+// Any JSON value, e.g. a mocked response body
+const ANY_JSON = { type: ['object', 'array', 'string', 'number', 'boolean', 'null'] };
+ANY_JSON.additionalProperties = ANY_JSON;
+ANY_JSON.items = ANY_JSON;
+const THROTTLING_PROFILE = {
+    type: 'object',
+    properties: {
+        description: { type: 'string' },
+        network: {
+            type: 'object',
+            properties: {
+                latencyMs: MILLISECONDS,
+                downloadKbps: { type: 'number', minimum: 1 },
+                uploadKbps: { type: 'number', minimum: 1 }
+            }
+        },
+        cpuSlowdown: { type: 'number', minimum: 1 },
+        offline: {
+            type: 'object',
+            required: ['durationMs'],
+            properties: {
+                afterMs: MILLISECONDS,
+                durationMs: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+const TIME_OF_DAY = { type: 'string', pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, description: 'a 24-hour time like "6:00" or "18:30"' };
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        game: {
+            type: 'object',
+            default: {},
+            properties: {
+                target: { type: 'string', enum: ['live', 'fixture'], default: 'live' },
+                url: { type: 'string', format: 'url', default: 'https://trollilopolis.com' },
+                startSelector: { ...SELECTOR, default: "img[src*='trolleyIntro'], img[alt*='start'], button, .start, [onclick], img[src*='png']" },
+                choiceSelectors: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        left: { ...SELECTOR, default: "img[src*='left'], img[alt*='left'], .choice-left, button:first-of-type, img:first-of-type" },
+                        right: { ...SELECTOR, default: "img[src*='right'], img[alt*='right'], .choice-right, button:last-of-type, img:last-of-type" }
+                    }
+                },
+                instructionSelector: { ...SELECTOR, default: '#instruction, .instruction, .scenario-text' },
+                endSelector: { ...SELECTOR, default: '.end-screen, #game-over, .summary' },
+                maxScenarios: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+                waitTime: { ...MILLISECONDS, default: 2000 },
+                stateTimeouts: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        intro: { ...MILLISECONDS, default: 10000 },
+                        scenario: { ...MILLISECONDS, default: 12000 },
+                        result: { ...MILLISECONDS, default: 8000 },
+                        end: { ...MILLISECONDS, default: 5000 }
+                    }
+                },
+                failOnStateTimeout: { type: 'boolean', default: false },
+                settleTime: { ...MILLISECONDS, default: 300 },
+                networkIdleTime: { ...MILLISECONDS, default: 500 }
+            }
+        },
+        keepAlive: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                mode: { type: 'string', enum: ['all', 'any'], default: 'all' },
+                requests: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['urlPattern'],
+                        properties: {
+                            name: { type: 'string' },
+                            urlPattern: { type: 'string', format: 'regex' },
+                            methods: { type: 'array', items: { type: 'string', pattern: /^[A-Za-z]+$/, description: 'an HTTP method' } },
+                            statuses: HTTP_STATUSES
+                        }
+                    }
+                }
+            },
+            check: (keepAlive) => keepAlive.enabled && keepAlive.requests.length === 0
+                ? 'requests must list at least one expected backend response when enabled'
+                : null
+        },
+        health: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                maxConsoleErrors: { type: ['integer', 'null'], minimum: 0, default: null },
+                forbiddenConsolePatterns: { type: 'array', items: { type: 'string', format: 'regex' }, default: [] },
+                maxPageErrors: { type: ['integer', 'null'], minimum: 0, default: 0 },
+                httpFailures: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['urlPattern'],
+                        properties: {
+                            name: { type: 'string' },
+                            urlPattern: { type: 'string', format: 'regex' },
+                            statuses: { ...HTTP_STATUSES, default: ['4xx', '5xx'] }
+                        }
+                    }
+                },
+                maxDurationSeconds: { type: ['number', 'null'], minimum: 1, default: null }
+            }
+        },
+        mocks: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                rules: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['urlPattern'],
+                        // Ranges, abort reasons and conflicting keys are left to NetworkMocker.checkRule, which scripts use too
+                        properties: {
+                            name: { type: 'string' },
+                            urlPattern: { type: 'string', format: 'regex' },
+                            methods: { type: 'array', items: { type: 'string', pattern: /^[A-Za-z]+$/, description: 'an HTTP method' } },
+                            times: { type: 'integer' },
+                            delayMs: { type: 'integer' },
+                            abort: { type: 'string' },
+                            status: { type: 'integer' },
+                            body: { type: 'string' },
+                            json: ANY_JSON,
+                            file: { type: 'string', minLength: 1 },
+                            headers: { type: 'object', additionalProperties: { type: 'string' } },
+                            contentType: { type: 'string', minLength: 1 }
+                        },
+                        check: (rule) => NetworkMocker.checkRule(rule)
+                    }
+                }
+            }
+        },
+        har: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                bodies: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        urlPatterns: { type: 'array', items: { type: 'string', format: 'regex' }, default: [] },
+                        maxBytes: { type: 'integer', minimum: 0, default: 65536 }
+                    }
+                },
+                redactHeaders: { type: 'array', items: { type: 'string', minLength: 1 }, default: ['authorization', 'cookie', 'set-cookie'] },
+                redactFields: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] },
+                redactPatterns: { type: 'array', items: { type: 'string', format: 'regex' }, default: [] }
+            }
+        },
+        performance: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                budgets: PERFORMANCE_BUDGETS,
+                // Per throttling profile, used instead of "budgets"; throttled runs without an entry are not checked against budgets
+                throttledBudgets: {
+                    type: 'object',
+                    default: {},
+                    additionalProperties: PERFORMANCE_BUDGETS
+                },
+                compareRuns: { type: 'integer', minimum: 1, default: 10 },
+                maxIncreasePercent: { type: 'number', minimum: 0, default: 25 }
+            }
+        },
+        visualRegression: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                baselineDir: { type: 'string', minLength: 1, default: 'baselines' },
+                threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.1 },
+                maxDiffRatio: { type: 'number', minimum: 0, maximum: 1, default: 0.01 },
+                failOnDifference: { type: 'boolean', default: true },
+                steps: {
+                    type: 'object',
+                    default: {},
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            threshold: { type: 'number', minimum: 0, maximum: 1 },
+                            maxDiffRatio: { type: 'number', minimum: 0, maximum: 1 },
+                            ignore: { type: 'boolean' },
+                            ignoreRegions: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['x', 'y', 'width', 'height'],
+                                    properties: {
+                                        x: { type: 'integer', minimum: 0 },
+                                        y: { type: 'integer', minimum: 0 },
+                                        width: { type: 'integer', minimum: 1 },
+                                        height: { type: 'integer', minimum: 1 }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        fixture: {
+            type: 'object',
+            default: {},
+            properties: {
+                host: { type: 'string', minLength: 1, default: '127.0.0.1' },
+                port: { type: 'integer', minimum: 0, maximum: 65535, default: 0 }
+            }
+        },
+        browser: {
+            type: 'object',
+            default: {},
+            properties: {
+                headless: { type: 'boolean', default: true },
+                timeout: { type: 'integer', minimum: 1000, default: 45000 },
+                viewport: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        width: { type: 'integer', minimum: 100, default: 1280 },
+                        height: { type: 'integer', minimum: 100, default: 720 }
+                    }
+                }
+            }
+        },
+        throttling: {
+            type: 'object',
+            default: {},
+            properties: {
+                // A built-in profile or one from "profiles"; null runs unthrottled
+                profile: { type: ['string', 'null'], default: null },
+                profiles: { type: 'object', default: {}, additionalProperties: THROTTLING_PROFILE }
+            },
+            check: (throttling) => Throttler.checkName(throttling.profile, throttling)
+        },
+        schedule: {
+            type: 'object',
+            default: {},
+            properties: {
+                dailyRunTime: { ...TIME_OF_DAY, default: '6:00' },
+                timezone: { type: 'string', format: 'timezone', default: 'America/New_York' },
+                enabled: { type: 'boolean', default: true },
+                jitterMinutes: { type: 'integer', minimum: 0, maximum: 720, default: 0 },
+                // When empty, a single daily entry is built from dailyRunTime
+                entries: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['cron'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            cron: { type: 'string', format: 'cron' },
+                            timezone: { type: 'string', format: 'timezone' },
+                            jitterMinutes: { type: 'integer', minimum: 0, maximum: 720 },
+                            enabled: { type: 'boolean', default: true },
+                            throttling: { type: 'string', minLength: 1 }
+                        }
+                    }
+                },
+                catchUp: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        policy: { type: 'string', enum: ['skip', 'latest', 'all'], default: 'skip' },
+                        maxAgeHours: { type: 'integer', minimum: 1, default: 24 }
+                    }
+                },
+                blackouts: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['start', 'end'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            start: TIME_OF_DAY,
+                            end: TIME_OF_DAY,
+                            days: { type: 'array', minItems: 1, items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } }
+                        }
+                    }
+                }
+            }
+        },
+        notifications: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                events: { type: 'array', items: { type: 'string', enum: NOTIFY_EVENTS }, default: ['failure', 'recovery'] },
+                timeout: { ...MILLISECONDS, default: 10000 },
+                channels: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string', enum: ['webhook', 'slack', 'teams', 'command', 'email'] },
+                            name: { type: 'string', minLength: 1 },
+                            events: { type: 'array', items: { type: 'string', enum: NOTIFY_EVENTS } },
+                            url: { type: 'string', format: 'url' },
+                            headers: { type: 'object', additionalProperties: { type: 'string' } },
+                            command: { type: 'string', minLength: 1 },
+                            from: { type: 'string', minLength: 3 },
+                            to: { type: 'array', minItems: 1, items: { type: 'string', minLength: 3 } },
+                            subjectPrefix: { type: 'string' },
+                            smtp: {
+                                type: 'object',
+                                required: ['host'],
+                                properties: {
+                                    host: { type: 'string', minLength: 1 },
+                                    port: { type: 'integer', minimum: 1, maximum: 65535 },
+                                    secure: { type: 'boolean', default: false },
+                                    startTls: { type: 'boolean', default: true },
+                                    allowInsecureAuth: { type: 'boolean', default: false },
+                                    user: { type: 'string' },
+                                    password: { type: 'string' },
+                                    passwordEnv: { type: 'string', minLength: 1 }
+                                }
+                            }
+                        },
+                        check: (channel) => {
+                            if (['webhook', 'slack', 'teams'].includes(channel.type) && !channel.url) {
+                                return `${channel.type} notifiers need a "url"`;
+                            }
+                            if (channel.type === 'command' && !channel.command) {
+                                return 'command notifiers need a "command"';
+                            }
+                            if (channel.type === 'email' && (!channel.smtp || !channel.from || !channel.to)) {
+                                return 'email notifiers need "smtp", "from" and "to"';
+                            }
+                            return null;
+                        }
+                    }
+                }
+            }
+        },
+        api: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                host: { type: 'string', minLength: 1, default: '127.0.0.1' },
+                port: { type: 'integer', minimum: 0, maximum: 65535, default: 8080 },
+                token: { type: ['string', 'null'], default: null },
+                tokenEnv: { type: ['string', 'null'], default: null }
+            }
+        },
+        load: {
+            type: 'object',
+            default: {},
+            properties: {
+                sessions: { type: 'integer', minimum: 1, default: 5 },
+                rampUpSeconds: { type: 'number', minimum: 0, default: 0 },
+                durationMinutes: { type: 'number', minimum: 0, default: 0 },
+                iterations: { type: 'integer', minimum: 0, default: 1 },
+                thinkTimeMs: { ...MILLISECONDS, default: 0 },
+                maxErrorRate: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+                sessionReports: { type: 'boolean', default: false },
+                sessionChecks: { type: 'boolean', default: false }
+            },
+            check: (load) => load.durationMinutes > 0 || load.iterations > 0 ? null : 'set "iterations" or "durationMinutes" so the load run ends'
+        },
+        scripts: {
+            type: 'object',
+            default: {},
+            properties: {
+                suite: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] },
+                stepTimeoutMs: { ...MILLISECONDS, default: 10000 },
+                continueOnFailure: { type: 'boolean', default: true }
+            }
+        },
+        recording: {
+            type: 'object',
+            default: {},
+            properties: {
+                dir: { type: 'string', minLength: 1, default: 'recordings' },
+                replaySpeed: { type: 'number', minimum: 0.1, default: 1 },
+                maxDelayMs: { ...MILLISECONDS, default: 10000 },
+                selectorTimeoutMs: { ...MILLISECONDS, default: 5000 },
+                navigationGraceMs: { ...MILLISECONDS, default: 3000 }
+            }
+        },
+        history: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                file: { type: 'string', minLength: 1, default: 'logs/run-history.json' },
+                maxEntries: { type: 'integer', minimum: 1, default: 1000 }
+            }
+        },
+        logging: {
+            type: 'object',
+            default: {},
+            properties: {
+                screenshotQuality: { type: 'integer', minimum: 0, maximum: 100, default: 80 },
+                logLevel: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], default: 'info' },
+                sinks: { type: 'array', minItems: 1, items: { type: 'string', enum: ['text', 'jsonl'] }, default: ['text'] },
+                consoleFormat: { type: 'string', enum: ['text', 'json', 'silent'], default: 'text' },
+                retainLogs: { type: 'integer', minimum: 1, default: 30 },
+                captureNetwork: { type: 'boolean', default: true },
+                captureConsole: { type: 'boolean', default: true },
+                htmlReport: { type: 'boolean', default: true }
+            }
+        },
+        reporters: {
+            type: 'object',
+            default: {},
+            properties: {
+                formats: { type: 'array', items: { type: 'string', enum: ['junit', 'tap'] }, default: [] },
+                dir: { type: ['string', 'null'], default: null }
+            }
+        },
+        errorHandling: {
+            type: 'object',
+            default: {},
+            properties: {
+                maxRetries: { type: 'integer', minimum: 0, maximum: 10, default: 2 },
+                retryDelay: { ...MILLISECONDS, default: 5000 },
+                timeoutActions: { type: 'integer', minimum: 1000, default: 20000 },
+                takeScreenshotOnError: { type: 'boolean', default: true },
+                continueOnMinorErrors: { type: 'boolean', default: true }
+            }
+        },
+        choices: {
+            type: 'object',
+            default: {},
+            properties: {
+                strategy: { type: 'string', minLength: 1, default: 'random' },
+                pattern: { type: 'array', minItems: 1, items: { type: 'string', enum: ['left', 'right'] }, default: ['left', 'right'] },
+                seed: { type: ['integer', 'string', 'null'], default: null },
+                weights: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        left: { type: 'number', minimum: 0, default: 1 },
+                        right: { type: 'number', minimum: 0, default: 1 }
+                    },
+                    check: (weights) => weights.left + weights.right > 0 ? null : 'left and right cannot both be 0'
+                },
+                rules: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            type: { type: 'string', enum: ['keyword', 'count'], default: 'keyword' },
+                            pattern: { type: 'string', format: 'regex' },
+                            prefer: { type: 'string', enum: ['same', 'other', 'left', 'right', 'fewer', 'more'] },
+                            score: { type: 'number', default: 1 }
+                        },
+                        check: (rule) => {
+                            if (rule.type === 'keyword' && (!rule.pattern || !['same', 'other', 'left', 'right'].includes(rule.prefer))) {
+                                return 'keyword rules need a "pattern" and "prefer" of "same", "other", "left" or "right"';
+                            }
+                            if (rule.type === 'count' && !['fewer', 'more'].includes(rule.prefer)) {
+                                return 'count rules need "prefer" of "fewer" or "more"';
+                            }
+                            return null;
+                        }
+                    }
+                },
+                tieBreaker: { type: 'string', enum: ['random', 'left', 'right'], default: 'random' },
+                module: { type: ['string', 'null'], default: null }
+            },
+            check: (choices) => {
+                const builtIns = new StrategyRegistry().list();
+                if (!choices.module && !builtIns.includes(choices.strategy)) {
+                    return `strategy "${choices.strategy}" is not built in (${builtIns.join(', ')}); set "module" to load a custom strategy`;
+                }
+                return null;
+            }
+        }
+    },
+    // Schedule entries and throttled budgets may name a custom throttling profile, so they are checked against the whole config
+    check: (config) => {
+        const entries = config.schedule && Array.isArray(config.schedule.entries) ? config.schedule.entries : [];
+        const throttledBudgets = (config.performance && config.performance.throttledBudgets) || {};
+        const problems = [
+            ...entries.map((entry, index) => {
+                const problem = entry && Throttler.checkName(entry.throttling, config.throttling);
+                return problem ? `schedule.entries[${index}].throttling: ${problem}` : null;
+            }),
+            ...Object.keys(throttledBudgets).map(name => {
+                const problem = Throttler.checkName(name, config.throttling);
+                return problem ? `performance.throttledBudgets: ${problem}` : null;
+            })
+        ].filter(Boolean);
+        return problems.length > 0 ? problems.join('; ') : null;
+    }
+};
+
+// Environment variables that override config keys. Values are coerced to the schema type.
+const ENV_OVERRIDES = {
+    GAME_TARGET: 'game.target',
+    GAME_URL: 'game.url',
+    GAME_MAX_SCENARIOS: 'game.maxScenarios',
+    BROWSER_HEADLESS: 'browser.headless',
+    BROWSER_TIMEOUT: 'browser.timeout',
+    SCHEDULE_ENABLED: 'schedule.enabled',
+    SCHEDULE_DAILY_RUN_TIME: 'schedule.dailyRunTime',
+    SCHEDULE_TIMEZONE: 'schedule.timezone',
+    SCHEDULE_JITTER_MINUTES: 'schedule.jitterMinutes',
+    SCHEDULE_CATCH_UP: 'schedule.catchUp.policy',
+    API_ENABLED: 'api.enabled',
+    API_PORT: 'api.port',
+    API_TOKEN: 'api.token',
+    HEALTH_ENABLED: 'health.enabled',
+    HEALTH_MAX_DURATION_SECONDS: 'health.maxDurationSeconds',
+    PERFORMANCE_ENABLED: 'performance.enabled',
+    HAR_ENABLED: 'har.enabled',
+    THROTTLING_PROFILE: 'throttling.profile',
+    MOCKS_ENABLED: 'mocks.enabled',
+    LOAD_SESSIONS: 'load.sessions',
+    LOAD_DURATION_MINUTES: 'load.durationMinutes',
+    LOG_LEVEL: 'logging.logLevel',
+    REPORTERS: 'reporters.formats',
+    CHOICE_STRATEGY: 'choices.strategy',
+    CHOICE_SEED: 'choices.seed'
+};
+
+module.exports = { SCHEMA, ENV_OVERRIDES };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const http = require('http');
+const ReportGenerator = require('./reportGenerator');
+const Throttler = require('./throttler');
+
+// JSON artifacts of a run that GET /runs/:id inlines, by their file suffix
+const RUN_ARTIFACTS = ['summary', 'health', 'performance', 'visual', 'scenarios', 'mocks', 'throttling'];
+
+// Optional HTTP API for a running scheduler: status, on-demand runs and run artifacts
+class ControlServer {
+    constructor(config, scheduler) {
+        this.config = config.api || {};
+        this.scheduler = scheduler;
+        this.server = null;
+        this.url = null;
+        this.startedAt = null;
+        this.token = this.config.tokenEnv ? process.env[this.config.tokenEnv] : this.config.token;
+    }
+    
+    async start() {
+        if (this.server) {
+            return this.url;
+        }
+        // A missing secret must not quietly turn into an open API
+        if (this.config.tokenEnv && !this.token) {
+            throw new Error(`api.tokenEnv is ${this.config.tokenEnv}, but that environment variable is empty; refusing to start the control API without a token`);
+        }
+        
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => this.sendJson(res, 500, { error: error.message }));
+        });
+        
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port || 0, this.config.host || '127.0.0.1', resolve);
+        });
+        
+        const { address, port } = this.server.address();
+        this.url = `http://${address}:${port}`;
+        this.startedAt = new Date();
+        return this.url;
+    }
+    
+    async stop() {
+        if (!this.server) return;
+        
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        this.url = null;
+    }
+    
+    async handleRequest(req, res) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        
+        // Liveness checks stay unauthenticated so container probes need no secret
+        if (pathname === '/healthz' && req.method === 'GET') {
+            return this.sendJson(res, 200, {
+                status: 'ok',
+                uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+                scheduler: this.scheduler.started ? 'running' : 'idle',
+                isRunning: this.scheduler.isRunning
+            });
+        }
+        
+        if (this.token && !this.authorized(req)) {
+            return this.sendJson(res, 401, { error: 'Missing or invalid bearer token' });
+        }
+        
+        if (pathname === '/status' && req.method === 'GET') {
+            return this.sendJson(res, 200, this.status());
+        }
+        
+        if (pathname === '/runs' && req.method === 'GET') {
+            const limit = Number(searchParams.get('limit')) || 20;
+            const runs = this.scheduler.history.list({ profile: searchParams.get('profile'), limit });
+            return this.sendJson(res, 200, { runs: runs.reverse() });
+        }
+        
+        if (pathname === '/runs' && req.method === 'POST') {
+            const body = await this.readBody(req);
+            let request;
+            try {
+                request = JSON.parse(body || '{}');
+            } catch (error) {
+                return this.sendJson(res, 400, { error: `Invalid JSON body: ${error.message}` });
+            }
+            return this.triggerRun(request.profile || searchParams.get('profile'), res, request.throttling || searchParams.get('throttling'));
+        }
+        
+        const runMatch = pathname.match(/^\/runs\/([^/]+)$/);
+        if (runMatch && req.method === 'GET') {
+            const id = decodeURIComponent(runMatch[1]);
+            const run = this.scheduler.history.list().reverse().find(entry => entry.id === id || entry.runId === id);
+            return run
+                ? this.sendJson(res, 200, { ...run, details: this.runDetails(run) })
+                : this.sendJson(res, 404, { error: `No run "${id}" in the run history` });
+        }
+        
+        this.sendJson(res, 404, { error: 'Not found' });
+    }
+    
+    // Hashed first so both sides have the same length and the comparison takes the same time whatever matches
+    authorized(req) {
+        const digest = value => crypto.createHash('sha256').update(value || '').digest();
+        return crypto.timingSafeEqual(digest(req.headers.authorization), digest(`Bearer ${this.token}`));
+    }
+    
+    // The run's JSON artifacts that exist, e.g. { summary: {...}, health: {...} }; slots that never ran have none
+    runDetails(run) {
+        if (!run.runId) return {};
+        
+        const reports = new ReportGenerator(process.cwd(), run.profile);
+        return Object.fromEntries(RUN_ARTIFACTS
+            .map(suffix => [suffix, reports.readJson(run.runId, suffix)])
+            .filter(([, artifact]) => artifact !== null));
+    }
+    
+    status() {
+        const status = this.scheduler.getStatus();
+        const history = this.scheduler.history;
+        
+        return {
+            ...status,
+            profiles: status.profiles.map(profile => ({ ...profile, lastRun: history.lastRun(profile.profile) })),
+            lastRun: history.lastRun(null, ['passed', 'failed', 'interrupted'])
+        };
+    }
+    
+    // Runs in the background; the same per-profile lock as scheduled runs turns a busy profile into 409
+    triggerRun(profileName, res, throttling = null) {
+        const profile = profileName ? this.scheduler.findProfile(profileName) : this.scheduler.profiles[0];
+        if (!profile) {
+            return this.sendJson(res, 404, { error: `Unknown profile "${profileName}"` });
+        }
+        const throttlingProblem = Throttler.checkName(throttling, profile.throttling);
+        if (throttlingProblem) {
+            return this.sendJson(res, 400, { error: throttlingProblem });
+        }
+        
+        const name = this.scheduler.profileName(profile);
+        if (this.scheduler.running.has(name)) {
+            return this.sendJson(res, 409, { error: `A run for profile "${name}" is already in progress`, isRunning: true });
+        }
+        
+        this.scheduler.runManual(name, { trigger: 'api', throttling })
+            .catch(error => console.error(`API-triggered run failed (${name}):`, error));
+        
+        const run = this.scheduler.history.lastRun(name);
+        this.sendJson(res, 202, {
+            id: run ? run.id : null,
+            runId: run ? run.runId : null,
+            profile: name,
+            status: run ? `/runs/${encodeURIComponent(run.id)}` : null
+        });
+    }
+    
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+    
+    sendJson(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload, null, 2));
+    }
+}
+
+module.exports = ControlServer;
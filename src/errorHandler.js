@@ -2,6 +2,10 @@ class ErrorHandler {
     constructor(config, logger) {
         this.config = config.errorHandling;
         this.logger = logger;
+        this.lastError = null;
+        this.errors = [];
+        // One entry per retried operation, kept for the run summary whatever the log level
+        this.retries = [];
     }
     
     async retryWithBackoff(operation, context = '', maxRetries = null) {
@@ -15,6 +19,7 @@ class ErrorHandler {
                 
                 if (attempt > 1) {
                     this.logger.success(`${context} succeeded on attempt ${attempt}`);
+                    this.retries.push({ context, attempts: attempt, succeeded: true });
                 }
                 
                 return result;
@@ -37,6 +42,7 @@ class ErrorHandler {
         this.logger.error(`${context} failed after ${retries + 1} attempts`, { 
             finalError: lastError.message 
         });
+        this.retries.push({ context, attempts: retries + 1, succeeded: false });
         throw lastError;
     }
     
@@ -54,16 +60,25 @@ class ErrorHandler {
     }
     
     async handleError(error, page = null, context = '') {
+        await this.captureError(error, page, context);
+        return this.shouldContinue(error);
+    }
+    
+    // Log the error, take the error screenshot and keep both as lastError for notifications
+    async captureError(error, page = null, context = '') {
+        const timestamp = new Date().toISOString();
         this.logger.error(`Error in ${context}`, {
             message: error.message,
             stack: error.stack,
-            timestamp: new Date().toISOString()
+            timestamp
         });
         
+        let screenshot = null;
+        
         // Take screenshot on error if configured
         if (this.config.takeScreenshotOnError && page) {
             try {
-                await this.logger.screenshot(page, `error-${Date.now()}`, `Error screenshot: ${context}`);
+                screenshot = await this.logger.screenshot(page, `error-${Date.now()}`, `Error screenshot: ${context}`);
             } catch (screenshotError) {
                 this.logger.warn('Failed to take error screenshot', { 
                     error: screenshotError.message 
@@ -71,7 +86,9 @@ class ErrorHandler {
             }
         }
         
-        return this.shouldContinue(error);
+        this.lastError = { context, message: error.message, stack: error.stack, screenshot, timestamp };
+        this.errors.push(this.lastError);
+        return this.lastError;
     }
     
     shouldContinue(error) {
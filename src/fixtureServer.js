@@ -0,0 +1,123 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'trolley-game');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.js': 'application/javascript',
+    '.json': 'application/json'
+};
+
+class FixtureServer {
+    constructor(config = {}) {
+        this.config = config;
+        this.server = null;
+        this.url = null;
+        this.choices = [];
+        this.requests = [];
+    }
+
+    async start() {
+        if (this.server) {
+            return this.url;
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port || 0, this.config.host || '127.0.0.1', resolve);
+        });
+
+        const { address, port } = this.server.address();
+        this.url = `http://${address}:${port}/?scenarios=${this.config.scenarios || 5}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        this.url = null;
+    }
+
+    handleRequest(req, res) {
+        // A request target like "//" is not a valid URL; it must never take the server (and the run using it) down
+        let pathname;
+        try {
+            ({ pathname } = new URL(req.url, 'http://localhost'));
+        } catch (error) {
+            return this.sendJson(res, 400, { error: 'Bad request URL' });
+        }
+        this.requests.push({ timestamp: new Date().toISOString(), method: req.method, path: pathname });
+
+        if (pathname === '/api/health') {
+            return this.sendJson(res, 200, { status: 'ok', database: 'awake' });
+        }
+
+        if (pathname === '/api/choices' && req.method === 'POST') {
+            return this.readBody(req)
+                .then(body => {
+                    const choice = JSON.parse(body || '{}');
+                    this.choices.push(choice);
+                    this.sendJson(res, 200, {
+                        scenario: choice.scenario,
+                        choice: choice.choice,
+                        totalChoices: this.choices.length,
+                        leftVotes: this.choices.filter(c => c.choice === 'left').length,
+                        rightVotes: this.choices.filter(c => c.choice === 'right').length
+                    });
+                })
+                .catch(error => this.sendJson(res, 400, { error: error.message }));
+        }
+
+        this.serveStatic(pathname, res);
+    }
+
+    serveStatic(pathname, res) {
+        const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+        const filePath = path.normalize(path.join(FIXTURE_DIR, relativePath));
+
+        // Never serve anything outside the fixture directory, and only files (a directory would fail with EISDIR)
+        if (!filePath.startsWith(FIXTURE_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        const stream = fs.createReadStream(filePath);
+        stream.on('open', () => {
+            res.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+            });
+            stream.pipe(res);
+        });
+        // A read error must never take the server (and the run using it) down
+        stream.on('error', (error) => {
+            if (!res.headersSent) {
+                this.sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: error.code === 'ENOENT' ? 'Not found' : error.message });
+            } else {
+                res.destroy(error);
+            }
+        });
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+module.exports = FixtureServer;
@@ -1,35 +1,133 @@
+const fs = require('fs');
 const puppeteer = require('puppeteer');
 const Logger = require('./logger');
 const ErrorHandler = require('./errorHandler');
+const StrategyRegistry = require('./strategyRegistry');
+const GameStateMachine = require('./gameStateMachine');
+const KeepAliveCheck = require('./keepAliveCheck');
+const HealthCheck = require('./healthCheck');
+const PerformanceMonitor = require('./performanceMonitor');
+const HarRecorder = require('./harRecorder');
+const NetworkMocker = require('./networkMocker');
+const Throttler = require('./throttler');
+const CiReporter = require('./ciReporter');
+const VisualRegression = require('./visualRegression');
+const ReportGenerator = require('./reportGenerator');
+const SessionReplayer = require('./sessionReplayer');
+const ScriptRunner = require('./scriptRunner');
+
+// Visible words that waitForGameState() takes as a sign that a scenario is showing
+const CHOICE_KEYWORDS = ['left', 'right', 'choice', 'victim', 'spare'];
 
 class GamePlayer {
-    constructor(config) {
+    // `browser` shares one browser between sessions (load mode); each session then gets its own context.
+    // `recording` (from --record) or `scripts` (a loaded script suite) replace the navigate, start and scenario steps.
+    // `throttling` names a throttling profile to use instead of throttling.profile, e.g. a schedule entry's.
+    constructor(config, { browser = null, runId = null, recording = null, scripts = null, throttling = null } = {}) {
         this.config = config;
-        this.logger = new Logger(config);
+        this.logger = new Logger(config, { runId });
+        this.throttler = new Throttler(config, this.logger, throttling);
+        // Every JSON Lines entry says which profile the run was throttled with
+        this.logger.setContext({ throttling: this.throttler.name });
         this.errorHandler = new ErrorHandler(config, this.logger);
+        this.sharedBrowser = browser;
+        this.recording = recording;
+        this.scripts = scripts;
+        this.scriptResults = null;
         this.browser = null;
+        this.context = null;
         this.page = null;
         this.scenarioCount = 0;
         this.choiceIndex = 0;
+        this.previousChoices = [];
+        this.choiceStrategy = new StrategyRegistry().create(config.choices);
+        this.stateMachine = new GameStateMachine(config, this.logger);
+        this.keepAliveCheck = new KeepAliveCheck(config, this.logger);
+        this.keepAliveResult = null;
+        this.healthCheck = new HealthCheck(config, this.logger);
+        this.healthResult = null;
+        this.performanceMonitor = new PerformanceMonitor(config, this.logger, this.throttler.name);
+        this.performanceResult = null;
+        this.harRecorder = new HarRecorder(config, this.logger);
+        this.networkMocker = new NetworkMocker(config, this.logger);
+        this.visualRegression = new VisualRegression(config, this.logger);
+        this.visualResult = null;
         this.gameStats = [];
         this.isGameActive = false;
+        this.error = null;
+        this.step = null;
+        this.failedStep = null;
+        // Checks that failed on a run that had already failed at failedStep
+        this.checkFailures = [];
+        this.reportPath = null;
+        this.timings = {};
+        this.stepScreenshots = {};
+        this.stepStartedAt = null;
+        this.stepScreenshotIndex = 0;
+        this.ciReports = {};
+    }
+    
+    static launchBrowser(config) {
+        return puppeteer.launch({
+            headless: config.browser.headless,
+            defaultViewport: config.browser.viewport,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+    }
+    
+    // Records how long the previous step took, in ms, under this.timings and the screenshots it took
+    enterStep(step) {
+        const now = Date.now();
+        if (this.step && this.stepStartedAt !== null) {
+            this.timings[this.step] = now - this.stepStartedAt;
+            this.stepScreenshots[this.step] = this.logger.screenshots.slice(this.stepScreenshotIndex);
+        }
+        this.step = step;
+        this.stepStartedAt = step ? now : null;
+        this.stepScreenshotIndex = this.logger.screenshots.length;
+    }
+    
+    // The steps playGame goes through, in order, for this flow and config
+    plannedSteps() {
+        let flow = ['navigate', 'start', 'scenarios'];
+        if (this.recording) {
+            flow = ['replay'];
+        } else if (this.scripts || this.config.scripts.suite.length > 0) {
+            flow = ['script'];
+        }
+        
+        return [
+            'init',
+            ...flow,
+            'keep-alive',
+            ...(this.visualRegression.config.enabled ? ['visual-regression'] : []),
+            ...(this.healthCheck.config.enabled ? ['health'] : []),
+            ...(this.performanceMonitor.config.enabled ? ['performance'] : [])
+        ];
     }
     
     async init() {
         try {
             this.logger.info('Initializing browser...');
             
-            this.browser = await puppeteer.launch({
-                headless: this.config.browser.headless,
-                defaultViewport: this.config.browser.viewport,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            
-            this.page = await this.browser.newPage();
+            if (this.sharedBrowser) {
+                // Isolated cookies, storage and cache, like a separate user
+                this.context = await this.sharedBrowser.createBrowserContext();
+                this.page = await this.context.newPage();
+                await this.page.setViewport(this.config.browser.viewport);
+            } else {
+                this.browser = await GamePlayer.launchBrowser(this.config);
+                this.page = await this.browser.newPage();
+            }
+            await this.stateMachine.attach(this.page);
+            await this.performanceMonitor.attach(this.page);
+            this.harRecorder.attach(this.page);
+            await this.networkMocker.attach(this.page);
+            await this.throttler.attach(this.page);
             
             // Set up network monitoring
             this.page.on('response', (response) => {
-                this.logger.logNetworkResponse(response);
+                this.logger.logNetworkResponse(response, { mocked: this.networkMocker.mocked(response.request()) });
             });
             
             // Set up console monitoring
@@ -40,7 +138,7 @@ class GamePlayer {
             
             // Set up error monitoring
             this.page.on('pageerror', (error) => {
-                this.logger.error('Page error occurred', { error: error.message });
+                this.logger.logPageError(error);
             });
             
             this.logger.success('Browser initialized successfully');
@@ -61,6 +159,7 @@ class GamePlayer {
             });
             
             await this.logger.screenshot(this.page, '01-game-loaded', 'Initial game page load');
+            await this.performanceMonitor.sample('navigate');
             this.logger.success('Successfully navigated to game');
             return true;
         }, 'Navigate to game', this.page) !== null;
@@ -70,22 +169,24 @@ class GamePlayer {
         this.logger.info('Starting game by clicking screen...');
         
         try {
-            // Wait longer for the React app to fully load
-            await new Promise(resolve => setTimeout(resolve, 5000));
+            // Wait for the React app to render its start screen
+            await this.stateMachine.waitForIntro();
             await this.logger.screenshot(this.page, '02a-before-start', 'Before starting game');
             
             // Click in the center area where the trolley image is located
             this.logger.info('Clicking to start the game...');
+            const mutationsBefore = await this.stateMachine.mutationCount();
             await this.page.click('body');
             
-            // Wait for game to respond and take another screenshot
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            // Wait for the first scenario and take another screenshot
+            await this.stateMachine.waitForScenario(mutationsBefore, this.waitForGameState.bind(this));
             await this.logger.screenshot(this.page, '02b-after-click', 'After clicking to start');
             
             this.logger.success('Game click completed, ready to proceed');
             return true;
             
         } catch (error) {
+            if (error.code === 'STATE_TIMEOUT') throw error;
             this.logger.warn('Minor issue during start, continuing anyway', { error: error.message });
             await this.logger.screenshot(this.page, '02c-error-start', 'Error during start');
             return true; // Continue anyway since the game is loaded
@@ -106,7 +207,7 @@ class GamePlayer {
                 message: text,
                 type: msg.type()
             });
-            this.logger.info('Game activity detected', { activity: text });
+            this.logger.debug('Game activity detected', { activity: text });
         }
         
         // Detect if game becomes active
@@ -116,24 +217,31 @@ class GamePlayer {
         }
     }
     
-    async waitForGameState(expectedStates, timeout = 10000) {
+    async waitForGameState(expectedStates, timeout = 10000, abortSignal = null) {
         this.logger.info('Waiting for game state change...', { expectedStates });
         const startTime = Date.now();
         
         while (Date.now() - startTime < timeout) {
-            // Check for visual changes by taking a screenshot and looking for different elements
+            // Another signal already moved the state machine on
+            if (abortSignal && abortSignal.aborted) {
+                return false;
+            }
+            
+            // Look for choice words in what a player can see: the rendered text and the alt text of visible images.
+            // Script and style source, hidden screens and image URLs do not count.
             try {
-                // Look for common game elements
-                const hasChoiceElements = await this.page.$$eval('*', (elements) => {
-                    return elements.some(el => {
-                        const text = el.textContent || el.alt || el.src || '';
-                        return text.toLowerCase().includes('left') || 
-                               text.toLowerCase().includes('right') ||
-                               text.toLowerCase().includes('choice') ||
-                               text.toLowerCase().includes('victim') ||
-                               text.toLowerCase().includes('spare');
-                    });
-                });
+                const hasChoiceElements = await this.page.evaluate((keywords) => {
+                    const isVisible = (el) => {
+                        const rect = el.getBoundingClientRect();
+                        const style = window.getComputedStyle(el);
+                        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+                    };
+                    const texts = [
+                        document.body ? document.body.innerText : '',
+                        ...Array.from(document.querySelectorAll('img[alt]')).filter(isVisible).map(img => img.alt)
+                    ].map(text => text.toLowerCase());
+                    return keywords.some(keyword => texts.some(text => text.includes(keyword)));
+                }, CHOICE_KEYWORDS);
                 
                 if (hasChoiceElements) {
                     this.logger.info('Choice elements detected on page');
@@ -157,56 +265,95 @@ class GamePlayer {
         
         for (let i = 0; i < this.config.game.maxScenarios; i++) {
             this.scenarioCount = i + 1;
+            this.logger.setContext({ scenario: this.scenarioCount });
             this.logger.info(`Attempting to play scenario ${this.scenarioCount}`);
             
+            const record = {
+                index: this.scenarioCount,
+                startedAt: new Date().toISOString(),
+                instruction: null,
+                choice: null,
+                registered: false,
+                screenshots: {},
+                console: [],
+                network: []
+            };
+            const consoleStart = this.logger.consoleData.length;
+            const networkStart = this.logger.networkData.length;
+            
             // Take screenshot of current state
-            await this.logger.screenshot(this.page, `03a-scenario-${this.scenarioCount}-start`, `Scenario ${this.scenarioCount} initial state`);
+            record.screenshots.start = await this.logger.screenshot(this.page, `03a-scenario-${this.scenarioCount}-start`, `Scenario ${this.scenarioCount} initial state`);
             
-            // Try clicking to advance the game state
-            this.logger.info('Advancing game state with click...');
-            await this.page.click('body');
-            await new Promise(resolve => setTimeout(resolve, 8000)); // Longer wait for game to load resources
+            // Click to advance the game state unless the first scenario is already showing; after a result
+            // (even one that timed out, leaving the machine in "scenario") the game always needs a click
+            if (i > 0 || this.stateMachine.state !== 'scenario') {
+                this.logger.info('Advancing game state with click...');
+                const mutationsBefore = await this.stateMachine.mutationCount();
+                await this.page.click('body');
+                await this.stateMachine.waitForScenario(mutationsBefore, this.waitForGameState.bind(this));
+            }
             
             // Take screenshot of state before choice
-            await this.logger.screenshot(this.page, `03b-scenario-${this.scenarioCount}-ready`, `Scenario ${this.scenarioCount} ready for choice`);
+            record.screenshots.ready = await this.logger.screenshot(this.page, `03b-scenario-${this.scenarioCount}-ready`, `Scenario ${this.scenarioCount} ready for choice`);
+            record.instruction = await this.readScenarioInstructions();
                 
             // Make a choice
-            const choiceDirection = this.determineChoice();
-            this.logger.info(`Making ${choiceDirection} choice for scenario ${this.scenarioCount}`);
-            
-            const viewport = this.config.browser.viewport;
-            const centerY = viewport.height / 2;
+            const decision = await this.determineChoice({ instruction: record.instruction });
+            const choiceDirection = decision.direction;
+            this.logger.info(`Making ${choiceDirection} choice for scenario ${this.scenarioCount}`, decision);
             
-            // Click left or right side based on choice
+            record.choice = { ...decision, method: null, selector: null, madeAt: new Date().toISOString() };
+            const mutationsBeforeChoice = await this.stateMachine.mutationCount();
             try {
-                if (choiceDirection === 'left') {
-                    await this.page.mouse.click(viewport.width * 0.25, centerY);
-                } else {
-                    await this.page.mouse.click(viewport.width * 0.75, centerY);
-                }
-                this.logger.success(`Clicked ${choiceDirection} side of screen`);
+                const click = await this.clickChoice(choiceDirection);
+                record.choice.method = click.method;
+                record.choice.selector = click.selector;
             } catch (error) {
                 this.logger.warn(`Error with ${choiceDirection} click, trying center`, { error: error.message });
                 await this.page.click('body');
+                record.choice.method = 'body';
             }
             
-            // Wait for response and take screenshot
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            await this.logger.screenshot(this.page, `04-choice-${this.scenarioCount}-result`, `After ${choiceDirection} choice result`);
+            // Wait for the game to show the result and take screenshot
+            await this.stateMachine.waitForResult(mutationsBeforeChoice);
+            record.screenshots.result = await this.logger.screenshot(this.page, `04-choice-${this.scenarioCount}-result`, `After ${choiceDirection} choice result`);
             
             // Check if stats were logged to console (sign of successful interaction)
             const statsCount = this.gameStats.length;
             if (statsCount > actualScenariosPlayed) {
                 actualScenariosPlayed++;
+                record.registered = true;
                 this.logger.success(`Scenario ${this.scenarioCount} appears successful - stats detected`);
             } else {
                 this.logger.warn(`Scenario ${this.scenarioCount} may not have registered - no new stats`);
             }
             
             this.choiceIndex++;
+            this.previousChoices.push(choiceDirection);
+            
+            record.endedAt = new Date().toISOString();
+            record.console = this.logger.consoleData.slice(consoleStart);
+            record.network = this.logger.networkData.slice(networkStart);
+            this.logger.recordScenario(record);
+            await this.performanceMonitor.sample(`scenario ${this.scenarioCount}`);
             
-            // Additional wait to let game process
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            if (await this.stateMachine.checkEnd()) {
+                this.logger.info(`Game ended after scenario ${this.scenarioCount}`);
+                break;
+            }
+        }
+        
+        this.logger.setContext({ scenario: null });
+        
+        // Advance past the last result to the end screen
+        if (this.stateMachine.state !== 'end') {
+            try {
+                await this.page.click('body');
+                await this.stateMachine.waitForEnd();
+            } catch (error) {
+                if (error.code === 'STATE_TIMEOUT') throw error;
+                this.logger.warn('Could not advance to the end screen', { error: error.message });
+            }
         }
         
         // Take final screenshot
@@ -234,7 +381,7 @@ class GamePlayer {
                 try {
                     const instructionElement = await this.page.$(selector.trim());
                     if (instructionElement) {
-                        const instructionText = await this.page.evaluate(el => el.textContent, instructionElement);
+                        const instructionText = (await this.page.evaluate(el => el.textContent, instructionElement) || '').trim();
                         this.logger.info(`Scenario ${this.scenarioCount} instructions`, { text: instructionText });
                         return instructionText;
                     }
@@ -251,34 +398,31 @@ class GamePlayer {
         }
     }
     
-    async makeChoice() {
-        try {
-            // Determine which choice to make based on strategy
-            const choiceDirection = this.determineChoice();
-            this.logger.info(`Making ${choiceDirection} choice for scenario ${this.scenarioCount}`);
-            
-            // Get viewport size to calculate click positions
-            const viewport = this.config.browser.viewport;
-            const centerX = viewport.width / 2;
-            const centerY = viewport.height / 2;
-            
-            // Click left or right side of the screen
-            if (choiceDirection === 'left') {
-                // Click left side (1/4 from left edge)
-                await this.page.mouse.click(viewport.width * 0.25, centerY);
-            } else {
-                // Click right side (3/4 from left edge)
-                await this.page.mouse.click(viewport.width * 0.75, centerY);
-            }
-            
-            this.logger.success(`Successfully clicked ${choiceDirection} side of screen`);
-            this.choiceIndex++;
-            return true;
-            
-        } catch (error) {
-            this.logger.error('Error making choice', { error: error.message });
-            return false;
+    async clickChoice(direction) {
+        const selectors = this.config.game.choiceSelectors[direction];
+        const match = selectors ? await this.findChoiceElement(selectors) : null;
+        
+        if (match) {
+            await match.element.click();
+            this.logger.success(`Clicked ${direction} choice element`, {
+                scenario: this.scenarioCount,
+                method: 'selector',
+                selector: match.selector
+            });
+            return { method: 'selector', selector: match.selector };
         }
+        
+        // No configured selector matched a clickable element, fall back to screen position
+        const viewport = this.config.browser.viewport;
+        const x = direction === 'left' ? viewport.width * 0.25 : viewport.width * 0.75;
+        await this.page.mouse.click(x, viewport.height / 2);
+        this.logger.warn(`No ${direction} choice element matched, clicked ${direction} side of screen`, {
+            scenario: this.scenarioCount,
+            method: 'coordinates',
+            x,
+            y: viewport.height / 2
+        });
+        return { method: 'coordinates', selector: null };
     }
     
     async findChoiceElement(selectors) {
@@ -286,9 +430,11 @@ class GamePlayer {
         
         for (const selector of selectorList) {
             try {
-                const element = await this.page.$(selector.trim());
-                if (element) {
-                    return element;
+                const elements = await this.page.$$(selector.trim());
+                for (const element of elements) {
+                    if (await this.isClickable(element)) {
+                        return { element, selector: selector.trim() };
+                    }
                 }
             } catch (e) {
                 // Continue to next selector
@@ -297,100 +443,294 @@ class GamePlayer {
         return null;
     }
     
-    determineChoice() {
-        const strategy = this.config.choices.strategy;
-        
-        switch (strategy) {
-            case 'random':
-                return Math.random() < 0.5 ? 'left' : 'right';
-            case 'pattern':
-                const pattern = this.config.choices.pattern;
-                return pattern[this.choiceIndex % pattern.length];
-            case 'left':
-                return 'left';
-            case 'right':
-                return 'right';
-            default:
-                return 'left'; // Default fallback
+    async isClickable(element) {
+        const box = await element.boundingBox();
+        if (!box || box.width === 0 || box.height === 0) {
+            return false;
         }
+        
+        // The element must be visible, enabled and not covered by another element at its center.
+        // elementFromPoint() only sees the viewport, so a choice below the fold is scrolled into view first,
+        // as the click would do; if its center is still off screen it does not count as clickable yet.
+        return await element.evaluate((el) => {
+            const style = window.getComputedStyle(el);
+            if (style.visibility === 'hidden' || style.display === 'none' || style.pointerEvents === 'none' ||
+                Number(style.opacity) === 0 || el.disabled) {
+                return false;
+            }
+            
+            el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+            const rect = el.getBoundingClientRect();
+            const topElement = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+            return topElement !== null && (el === topElement || el.contains(topElement) || topElement.contains(el));
+        });
     }
     
-    async checkGameEnd() {
-        try {
-            const endSelectors = this.config.game.endSelector.split(', ');
-            
-            for (const selector of endSelectors) {
-                try {
-                    const endElement = await this.page.$(selector.trim());
-                    if (endElement) {
-                        this.logger.info('Game end detected', { selector });
-                        await this.logger.screenshot(this.page, '05-game-end', 'Game end screen');
-                        return true;
-                    }
-                } catch (e) {
-                    // Continue to next selector
-                }
-            }
-            return false;
-        } catch (error) {
-            this.logger.error('Error checking game end', { error: error.message });
-            return false;
-        }
+    async determineChoice(context = {}) {
+        return await this.choiceStrategy.choose({
+            instruction: null,
+            ...context,
+            scenarioIndex: this.scenarioCount,
+            choiceIndex: this.choiceIndex,
+            previousChoices: [...this.previousChoices]
+        });
     }
     
     async cleanup() {
         try {
-            if (this.page) {
-                await this.page.close();
+            this.throttler.stop();
+            if (this.throttler.name) {
+                this.logger.writeArtifact('throttling', this.throttler.summary());
             }
-            if (this.browser) {
-                await this.browser.close();
+            // Response bodies can only be read while the page is open
+            await this.harRecorder.save();
+            if (this.networkMocker.added.length > 0) {
+                const mocks = this.networkMocker.summary();
+                this.logger.info(`Mock rules fired: ${mocks.rules.map(rule => `"${rule.name}" ${rule.fired}×`).join(', ')}`);
+                this.logger.writeArtifact('mocks', mocks);
             }
-            this.logger.info('Browser cleanup completed');
         } catch (error) {
             this.logger.error('Error during cleanup', { error: error.message });
         } finally {
+            await this.closeBrowser();
             this.logger.finalize();
+            this.generateReport();
+            this.writeCiReports();
+        }
+    }
+    
+    // Each one is closed even when closing another failed, so no run leaves a Chrome process behind
+    // (the scheduler daemon would gather one per failed run)
+    async closeBrowser() {
+        const targets = [['page', this.page], ['context', this.context], ['browser', this.browser]];
+        let closed = true;
+        for (const [name, target] of targets) {
+            if (!target) continue;
+            try {
+                await target.close();
+            } catch (error) {
+                closed = false;
+                this.logger.error(`Error closing the ${name}`, { error: error.message });
+            }
+        }
+        if (closed) {
+            this.logger.info('Browser cleanup completed');
+        }
+    }
+    
+    generateReport() {
+        if (this.config.logging.htmlReport === false) return null;
+        
+        try {
+            this.reportPath = new ReportGenerator(process.cwd(), this.logger.profile).generate(this.logger.runId);
+            console.log(`Run report: ${this.reportPath}`);
+            return this.reportPath;
+        } catch (error) {
+            console.error('Failed to generate run report:', error.message);
+            return null;
         }
     }
     
+    writeCiReports() {
+        if (this.config.reporters.formats.length === 0) return this.ciReports;
+        
+        try {
+            this.ciReports = new CiReporter(this.config).write(this);
+            Object.entries(this.ciReports).forEach(([format, filePath]) => {
+                console.log(`${format === 'junit' ? 'JUnit' : 'TAP'} report: ${filePath}`);
+            });
+        } catch (error) {
+            console.error('Failed to write CI reports:', error.message);
+        }
+        return this.ciReports;
+    }
+    
+    // Files this run left behind, for the run history
+    artifacts() {
+        const files = {
+            log: this.logger.logFile,
+            jsonLog: this.logger.jsonLogFile,
+            network: this.logger.networkLog,
+            console: this.logger.consoleLog,
+            scenarios: this.logger.scenarioLog,
+            screenshots: this.logger.screenshotDir,
+            report: this.reportPath,
+            ...this.ciReports
+        };
+        
+        return Object.fromEntries(Object.entries(files).filter(([, filePath]) => filePath && fs.existsSync(filePath)));
+    }
+    
     async playGame() {
         let success = false;
+        let scenariosPlayed = 0;
+        const startedAt = Date.now();
         
         try {
             // Initialize browser
+            this.enterStep('init');
             if (!(await this.init())) {
                 throw new Error('Failed to initialize browser');
             }
             
-            // Navigate to game
-            if (!(await this.navigateToGame())) {
-                throw new Error('Failed to navigate to game');
+            if (this.recording) {
+                // Replay a recorded session instead of the built-in flow
+                this.enterStep('replay');
+                await new SessionReplayer(this, this.recording).run();
+            } else if (this.scripts || this.config.scripts.suite.length > 0) {
+                // Scripted QA flows instead of the built-in one; load errors fail the run here
+                this.enterStep('script');
+                const scriptRunner = new ScriptRunner(this, this.scripts || ScriptRunner.loadSuite(this.config.scripts.suite));
+                try {
+                    await scriptRunner.run();
+                } finally {
+                    this.scriptResults = scriptRunner.results;
+                }
+            } else {
+                // Navigate to game
+                this.enterStep('navigate');
+                if (!(await this.navigateToGame())) {
+                    throw new Error('Failed to navigate to game');
+                }
+                
+                // Start the game
+                this.enterStep('start');
+                if (!(await this.startGame())) {
+                    throw new Error('Failed to start game');
+                }
+                
+                // Play through scenarios
+                this.enterStep('scenarios');
+                scenariosPlayed = await this.playScenarios();
             }
             
-            // Start the game
-            if (!(await this.startGame())) {
-                throw new Error('Failed to start game');
+            // Make sure the backend was really reached, not just the static page
+            this.enterStep('keep-alive');
+            this.keepAliveResult = this.keepAliveCheck.evaluate(this.logger.networkData);
+            if (!this.keepAliveResult.passed) {
+                throw new Error(`Backend keep-alive check failed: ${this.keepAliveResult.reason}`);
             }
             
-            // Play through scenarios
-            const scenariosPlayed = await this.playScenarios();
-            
-            success = true;
-            this.logger.success(`Game completed successfully! Played ${scenariosPlayed} scenarios`);
-            
-            if (this.gameStats.length > 0) {
-                this.logger.success('Game statistics were captured - indicating actual gameplay occurred!');
+            // Compare step screenshots with their approved baselines
+            if (this.visualRegression.config.enabled) {
+                this.enterStep('visual-regression');
+                this.visualResult = this.visualRegression.compareRun(this.logger.screenshotDir);
+                this.logger.writeArtifact('visual', this.visualResult);
+                if (!this.visualResult.passed) {
+                    throw new Error(`Visual regression check failed: ${this.visualResult.changed} step(s) differ from baseline`);
+                }
             }
             
+            this.enterStep(null);
+            success = true;
         } catch (error) {
-            this.logger.error('Game play failed', { error: error.message, stack: error.stack });
+            await this.fail(error);
+        }
+        
+        try {
+            success = (await this.runChecks(startedAt)) && success;
+            if (success) {
+                this.logger.success(`Game completed successfully! Played ${scenariosPlayed} scenarios`);
+                
+                if (this.gameStats.length > 0) {
+                    this.logger.success('Game statistics were captured - indicating actual gameplay occurred!');
+                }
+            }
         } finally {
+            this.logger.writeArtifact('summary', this.summary(success, startedAt, scenariosPlayed));
             await this.cleanup();
         }
         
         return success;
     }
+    
+    // The run's outcome and what went wrong per step, for --history, --show, --trends and the report,
+    // which must not depend on the log level
+    summary(success, startedAt, scenariosPlayed) {
+        return {
+            runId: this.logger.runId,
+            profile: this.logger.profile,
+            throttling: this.throttler.name,
+            result: success ? 'passed' : 'failed',
+            startedAt: new Date(startedAt).toISOString(),
+            endedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt,
+            scenarios: scenariosPlayed,
+            failedStep: this.failedStep,
+            error: this.error,
+            checkFailures: this.checkFailures,
+            timings: this.timings,
+            retries: this.errorHandler.retries,
+            errors: this.errorHandler.errors.map(({ context, message, timestamp }) => ({ context, message, timestamp })),
+            transitions: this.stateMachine.transitions,
+            stateTimeouts: this.stateMachine.timedOut,
+            // Choices clicked by screen position because no choice selector matched
+            fallbacks: this.logger.scenarioData
+                .filter(record => record.choice && record.choice.method === 'coordinates')
+                .map(record => ({ scenario: record.index, direction: record.choice.direction }))
+        };
+    }
+    
+    async fail(error, step = this.step) {
+        this.error = error.message;
+        this.failedStep = step;
+        this.enterStep(null);
+        this.logger.error('Game play failed', { error: error.message, stack: error.stack });
+        await this.errorHandler.captureError(error, this.page, this.failedStep);
+    }
+    
+    // Checks that judge the whole run. They run whether or not the flow passed, so a failed run still
+    // records its findings. A failing check fails a run that had passed; when the run had already
+    // failed, it is added to checkFailures next to the original error.
+    async runChecks(startedAt) {
+        const checks = [];
+        
+        // Console errors, page errors, HTTP failures and run time, against the configured limits
+        if (this.healthCheck.config.enabled) {
+            checks.push(['health', () => {
+                this.healthResult = this.healthCheck.evaluate({
+                    networkData: this.logger.networkData,
+                    consoleData: this.logger.consoleData,
+                    pageErrors: this.logger.pageErrors,
+                    durationMs: Date.now() - startedAt
+                });
+                this.logger.writeArtifact('health', this.healthResult);
+                return this.healthResult.passed ? null : `Health check failed: ${this.healthResult.reason}`;
+            }]);
+        }
+        
+        // Page timings, Web Vitals and traffic against budgets and the median of recent runs.
+        // Needs the page, so not after init failed; failed runs are measured too, so the history has no gaps.
+        if (this.performanceMonitor.config.enabled && this.performanceMonitor.page) {
+            checks.push(['performance', async () => {
+                this.performanceResult = await this.performanceMonitor.evaluate();
+                this.logger.writeArtifact('performance', this.performanceResult);
+                return this.performanceResult.passed ? null : `Performance budget exceeded: ${this.performanceResult.reason}`;
+            }]);
+        }
+        
+        let passed = true;
+        for (const [step, check] of checks) {
+            this.enterStep(step);
+            let problem;
+            try {
+                problem = await check();
+            } catch (error) {
+                problem = `${step} check could not run: ${error.message}`;
+            }
+            this.enterStep(null);
+            if (!problem) continue;
+            
+            passed = false;
+            if (this.failedStep) {
+                this.checkFailures.push({ step, error: problem });
+                this.logger.error(`Also failed: ${problem}`);
+            } else {
+                await this.fail(new Error(problem), step);
+            }
+        }
+        return passed;
+    }
 }
 
 module.exports = GamePlayer;
\ No newline at end of file
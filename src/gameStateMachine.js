@@ -0,0 +1,274 @@
+const STATES = ['loading', 'intro', 'scenario', 'result', 'end'];
+
+// How long to wait to enter each state; the run starts in "loading"
+const DEFAULT_TIMEOUTS = {
+    intro: 10000,
+    scenario: 12000,
+    result: 8000,
+    end: 5000
+};
+
+// Console text that signals the game entered a state
+const CONSOLE_SIGNALS = {
+    intro: /\b(loaded|ready)\b/i,
+    scenario: /\bscenario\b|choice available|game started/i,
+    result: /\b(stats|result|victims?|score)\b/i,
+    end: /game over|\bsummary\b|\bend\b/i
+};
+
+class GameStateMachine {
+    constructor(config, logger) {
+        this.config = config.game;
+        this.logger = logger;
+        this.timeouts = { ...DEFAULT_TIMEOUTS, ...(this.config.stateTimeouts || {}) };
+        this.settleTime = this.config.settleTime || 300;
+        this.networkIdleTime = this.config.networkIdleTime || 500;
+        this.page = null;
+        this.state = 'loading';
+        this.enteredAt = Date.now();
+        this.transitions = [];
+        // States that were waited for in vain: { state, from, timeoutMs, at }
+        this.timedOut = [];
+        this.consoleWaiters = new Set();
+    }
+
+    // Must run before the first navigation so the mutation tracker is injected into every document
+    async attach(page) {
+        this.page = page;
+
+        await page.evaluateOnNewDocument(() => {
+            window.__gameMutations = { count: 0, last: 0 };
+            new MutationObserver(() => {
+                window.__gameMutations.count++;
+                window.__gameMutations.last = performance.now();
+            }).observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        });
+
+        page.on('console', (msg) => {
+            const text = msg.text();
+            this.consoleWaiters.forEach(waiter => waiter(text));
+        });
+    }
+
+    transition(to, trigger) {
+        if (!STATES.includes(to)) {
+            throw new Error(`Unknown game state: ${to}`);
+        }
+
+        const now = Date.now();
+        const entry = {
+            from: this.state,
+            to,
+            trigger,
+            at: new Date(now).toISOString(),
+            durationMs: now - this.enteredAt
+        };
+
+        this.transitions.push(entry);
+        this.state = to;
+        this.enteredAt = now;
+        this.logger.setContext({ state: to });
+        this.logger.info(`Game state: ${entry.from} → ${to} (${trigger}, ${entry.durationMs}ms)`);
+        return entry;
+    }
+
+    async mutationCount() {
+        try {
+            return await this.page.evaluate(() => (window.__gameMutations ? window.__gameMutations.count : 0));
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Wait for the first of the given signals, then move to `state`, for `timeout` ms (default: the state's own).
+    // Resolves to the trigger name, or null if the state's timeout expired first; the machine then stays where it
+    // was, and with game.failOnStateTimeout the wait rejects with an error whose code is STATE_TIMEOUT.
+    async waitFor(state, signals, timeout = this.timeouts[state]) {
+        const controller = new AbortController();
+        const started = Date.now();
+        let timer = null;
+        const cleanups = [];
+
+        const candidates = signals.map(signal => this.watch(signal, timeout, controller.signal, cleanups)
+            .then(matched => matched ? signal.name : new Promise(() => {}))
+            .catch(() => new Promise(() => {})));
+
+        candidates.push(new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeout);
+        }));
+
+        const trigger = await Promise.race(candidates);
+
+        clearTimeout(timer);
+        controller.abort();
+        cleanups.forEach(cleanup => cleanup());
+
+        if (trigger) {
+            this.transition(state, trigger);
+            return trigger;
+        }
+
+        const message = `Timed out after ${timeout}ms waiting for game state "${state}"`;
+        this.timedOut.push({ state, from: this.state, timeoutMs: timeout, at: new Date().toISOString() });
+        this.logger.warn(`${message}, still in "${this.state}"`, {
+            currentState: this.state,
+            signals: signals.map(signal => signal.name),
+            waitedMs: Date.now() - started
+        });
+        if (this.config.failOnStateTimeout) {
+            const error = new Error(message);
+            error.code = 'STATE_TIMEOUT';
+            throw error;
+        }
+        return null;
+    }
+
+    async watch(signal, timeout, abortSignal, cleanups) {
+        switch (signal.type) {
+            case 'selector':
+                await this.page.waitForFunction((selectors) => selectors.some(selector => {
+                    try {
+                        return Array.from(document.querySelectorAll(selector)).some(el => {
+                            const rect = el.getBoundingClientRect();
+                            const style = window.getComputedStyle(el);
+                            return rect.width > 0 && rect.height > 0 &&
+                                style.visibility !== 'hidden' && style.display !== 'none';
+                        });
+                    } catch (e) {
+                        return false;
+                    }
+                }), { timeout, signal: abortSignal, polling: 250 }, signal.selectors);
+                return true;
+
+            case 'mutation':
+                // DOM changed since `since` and has been quiet for settleTime
+                await this.page.waitForFunction((since, quietMs) => {
+                    const mutations = window.__gameMutations;
+                    return mutations && mutations.count > since && performance.now() - mutations.last >= quietMs;
+                }, { timeout, signal: abortSignal, polling: 100 }, signal.since, this.settleTime);
+                return true;
+
+            case 'networkIdle':
+                await this.page.waitForNetworkIdle({ idleTime: this.networkIdleTime, timeout, signal: abortSignal });
+                return true;
+
+            case 'console':
+                return await new Promise(resolve => {
+                    const waiter = (text) => {
+                        if (signal.pattern.test(text)) resolve(true);
+                    };
+                    this.consoleWaiters.add(waiter);
+                    cleanups.push(() => this.consoleWaiters.delete(waiter));
+                });
+
+            case 'check':
+                return await signal.check(timeout, abortSignal);
+
+            default:
+                throw new Error(`Unknown signal type: ${signal.type}`);
+        }
+    }
+
+    splitSelectors(selectors) {
+        return (selectors || '').split(', ').map(selector => selector.trim()).filter(Boolean);
+    }
+
+    async waitForIntro(timeout) {
+        return await this.waitFor('intro', [
+            { name: 'start element visible', type: 'selector', selectors: this.splitSelectors(this.config.startSelector) },
+            { name: 'console ready', type: 'console', pattern: CONSOLE_SIGNALS.intro },
+            { name: 'network idle', type: 'networkIdle' }
+        ], timeout);
+    }
+
+    // `since` is the mutation count taken just before the click that should lead to a scenario
+    async waitForScenario(since, waitForGameState, timeout) {
+        const signals = [
+            { name: 'console scenario', type: 'console', pattern: CONSOLE_SIGNALS.scenario },
+            {
+                name: 'game state elements',
+                type: 'check',
+                check: async (timeout, abortSignal) => {
+                    await this.waitForMutation(since, timeout, abortSignal);
+                    return await waitForGameState(['scenario'], timeout, abortSignal);
+                }
+            }
+        ];
+
+        const { left, right } = this.config.choiceSelectors || {};
+        if (left && right) {
+            signals.unshift({ name: 'choice elements visible', type: 'check', check: (timeout, abortSignal) => this.waitForChoices(since, timeout, abortSignal) });
+        }
+
+        const instructionSelectors = this.splitSelectors(this.config.instructionSelector);
+        if (instructionSelectors.length > 0) {
+            signals.push({ name: 'instruction visible', type: 'selector', selectors: instructionSelectors });
+        }
+
+        return await this.waitFor('scenario', signals, timeout);
+    }
+
+    // Both choices visible after the DOM changed, so a stale screen does not count
+    async waitForChoices(since, timeout, abortSignal) {
+        const { left, right } = this.config.choiceSelectors;
+
+        await this.waitForMutation(since, timeout, abortSignal);
+        await this.page.waitForFunction((leftSelectors, rightSelectors) => {
+            const visible = (selectors) => selectors.some(selector => {
+                try {
+                    return Array.from(document.querySelectorAll(selector)).some(el => {
+                        const rect = el.getBoundingClientRect();
+                        return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+                    });
+                } catch (e) {
+                    return false;
+                }
+            });
+            return visible(leftSelectors) && visible(rightSelectors);
+        }, { timeout, signal: abortSignal, polling: 250 }, this.splitSelectors(left), this.splitSelectors(right));
+
+        return true;
+    }
+
+    async waitForMutation(since, timeout, abortSignal) {
+        await this.page.waitForFunction((before) => {
+            return window.__gameMutations && window.__gameMutations.count > before;
+        }, { timeout, signal: abortSignal, polling: 100 }, since);
+    }
+
+    async waitForResult(since, timeout) {
+        return await this.waitFor('result', [
+            { name: 'console result', type: 'console', pattern: CONSOLE_SIGNALS.result },
+            { name: 'DOM settled', type: 'mutation', since }
+        ], timeout);
+    }
+
+    async waitForEnd(timeout) {
+        const signals = [{ name: 'console end', type: 'console', pattern: CONSOLE_SIGNALS.end }];
+        const endSelectors = this.splitSelectors(this.config.endSelector);
+        if (endSelectors.length > 0) {
+            signals.unshift({ name: 'end element visible', type: 'selector', selectors: endSelectors });
+        }
+        return await this.waitFor('end', signals, timeout);
+    }
+
+    // Non-blocking check used after each result: has the end screen appeared?
+    async checkEnd() {
+        const selectors = this.splitSelectors(this.config.endSelector);
+        const visible = await this.page.evaluate((list) => list.some(selector => {
+            try {
+                const el = document.querySelector(selector);
+                return el !== null && el.getBoundingClientRect().height > 0;
+            } catch (e) {
+                return false;
+            }
+        }), selectors).catch(() => false);
+
+        if (visible) {
+            this.transition('end', 'end element visible');
+        }
+        return visible;
+    }
+}
+
+module.exports = GameStateMachine;
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const REDACTED = '[REDACTED]';
+
+// Longest save() waits for response bodies still being read
+const PENDING_TIMEOUT_MS = 5000;
+
+function toNameValue(object) {
+    return Object.entries(object || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// HAR timings from Chrome's ResourceTiming: every phase is relative to requestTime, -1 when it did not happen
+function harTimings(timing, totalMs) {
+    if (!timing) {
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, totalMs), receive: 0 };
+    }
+    
+    const phase = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+    const timings = {
+        blocked: firstStart !== undefined ? firstStart : -1,
+        dns: phase(timing.dnsStart, timing.dnsEnd),
+        // HAR counts ssl as part of connect
+        connect: phase(timing.connectStart, timing.connectEnd),
+        ssl: phase(timing.sslStart, timing.sslEnd),
+        send: Math.max(0, timing.sendEnd - timing.sendStart),
+        wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)
+    };
+    const beforeReceive = ['blocked', 'dns', 'connect', 'send', 'wait'].reduce((total, key) => total + Math.max(0, timings[key]), 0);
+    timings.receive = Math.max(0, totalMs - beforeReceive);
+    
+    Object.keys(timings).forEach(key => {
+        timings[key] = Math.round(timings[key] * 1000) / 1000;
+    });
+    return timings;
+}
+
+// Every request of a run as HAR 1.2, with bodies of matching calls and redaction, saved as logs/<runId>.har
+class HarRecorder {
+    constructor(config, logger) {
+        this.config = config.har || { enabled: false };
+        this.logger = logger;
+        this.filePath = path.join(logger.logDir, `${logger.runId}.har`);
+        this.redactHeaders = (this.config.redactHeaders || []).map(name => name.toLowerCase());
+        this.redactFields = (this.config.redactFields || []).map(name => name.toLowerCase());
+        this.redactPatterns = (this.config.redactPatterns || []).map(pattern => new RegExp(pattern, 'gi'));
+        this.bodyPatterns = ((this.config.bodies && this.config.bodies.urlPatterns) || []).map(pattern => new RegExp(pattern));
+        this.maxBodyBytes = (this.config.bodies && this.config.bodies.maxBytes) || 0;
+        this.browserVersion = '';
+        this.pages = [];
+        this.entries = [];
+        this.startedAt = new WeakMap();
+        this.pending = new Set();
+    }
+    
+    attach(page) {
+        if (!this.config.enabled) return;
+        
+        page.browser().version().then(browserVersion => { this.browserVersion = browserVersion; }, () => {});
+        page.on('framenavigated', (frame) => {
+            if (frame === page.mainFrame() && frame.url() !== 'about:blank') {
+                this.pages.push({
+                    startedDateTime: new Date().toISOString(),
+                    id: `page_${this.pages.length + 1}`,
+                    // The page URL, redacted like request URLs
+                    title: this.redactUrl(frame.url()),
+                    pageTimings: { onContentLoad: -1, onLoad: -1 }
+                });
+            }
+        });
+        page.on('domcontentloaded', () => this.markPage('onContentLoad'));
+        page.on('load', () => this.markPage('onLoad'));
+        page.on('request', (request) => {
+            this.startedAt.set(request, Date.now());
+        });
+        // Redirect hops finish too, each with its 3xx response, so the whole chain is recorded
+        page.on('requestfinished', (request) => this.track(this.addEntry(request, null)));
+        page.on('requestfailed', (request) => this.track(this.addEntry(request, request.failure())));
+    }
+    
+    // Milliseconds since the current page started, the first time the event fires
+    markPage(timing) {
+        const current = this.pages[this.pages.length - 1];
+        if (current && current.pageTimings[timing] === -1) {
+            current.pageTimings[timing] = Date.now() - Date.parse(current.startedDateTime);
+        }
+    }
+    
+    track(promise) {
+        this.pending.add(promise);
+        promise.finally(() => this.pending.delete(promise));
+    }
+    
+    capturesBody(url) {
+        return this.maxBodyBytes > 0 && this.bodyPatterns.some(pattern => pattern.test(url));
+    }
+    
+    headers(headers) {
+        return toNameValue(headers).map(header => (this.redactHeaders.includes(header.name.toLowerCase()) ? { ...header, value: REDACTED } : header));
+    }
+    
+    // JSON keys and form fields named in redactFields, then redactPatterns over whatever is left
+    redactBody(text, mimeType = '') {
+        let result = text;
+        if (this.redactFields.length > 0) {
+            if (mimeType.includes('json')) {
+                try {
+                    const redactValue = (value) => {
+                        if (Array.isArray(value)) return value.map(redactValue);
+                        if (value && typeof value === 'object') {
+                            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactFields.includes(key.toLowerCase()) ? REDACTED : redactValue(item)]));
+                        }
+                        return value;
+                    };
+                    result = JSON.stringify(redactValue(JSON.parse(text)));
+                } catch (error) {
+                    // Not valid JSON after all; the patterns below still apply
+                }
+            } else if (mimeType.includes('x-www-form-urlencoded')) {
+                const params = new URLSearchParams(text);
+                [...params.keys()].forEach(key => {
+                    if (this.redactFields.includes(key.toLowerCase())) params.set(key, REDACTED);
+                });
+                result = params.toString();
+            }
+        }
+        return this.redactPatterns.reduce((body, pattern) => body.replace(pattern, REDACTED), result);
+    }
+    
+    body(text, mimeType) {
+        const size = Buffer.byteLength(text);
+        const redacted = this.redactBody(text, mimeType);
+        if (Buffer.byteLength(redacted) <= this.maxBodyBytes) {
+            return { size, text: redacted };
+        }
+        return { size, text: Buffer.from(redacted).subarray(0, this.maxBodyBytes).toString(), comment: `truncated to ${this.maxBodyBytes} of ${Buffer.byteLength(redacted)} bytes` };
+    }
+    
+    queryString(url) {
+        try {
+            return [...new URL(url).searchParams].map(([name, value]) => ({
+                name,
+                value: this.redactFields.includes(name.toLowerCase()) ? REDACTED : value
+            }));
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    // Relative URLs, e.g. a Location header, are resolved against `base` and come back absolute only when redacted
+    redactUrl(url, base) {
+        if (!url) return url;
+        try {
+            const parsed = new URL(url, base);
+            const redacted = [...parsed.searchParams.keys()].filter(key => this.redactFields.includes(key.toLowerCase()));
+            if (redacted.length === 0) return url;
+            redacted.forEach(key => parsed.searchParams.set(key, REDACTED));
+            return parsed.toString();
+        } catch (error) {
+            return url;
+        }
+    }
+    
+    async postData(request) {
+        let text = request.postData();
+        if (text === undefined && request.hasPostData()) {
+            text = await request.fetchPostData().catch(() => undefined);
+        }
+        if (text === undefined) return null;
+        
+        const mimeType = headerValue(request.headers(), 'content-type') || '';
+        if (!this.capturesBody(request.url())) {
+            return { size: Buffer.byteLength(text), postData: { mimeType, text: '', comment: 'body not captured, URL does not match har.bodies.urlPatterns' } };
+        }
+        const { size, ...body } = this.body(text, mimeType);
+        return { size, postData: { mimeType, ...body } };
+    }
+    
+    async content(request, response) {
+        const mimeType = headerValue(response.headers(), 'content-type') || 'x-unknown';
+        const length = Number(headerValue(response.headers(), 'content-length'));
+        const content = { size: Number.isFinite(length) ? length : -1, mimeType };
+        if (response.status() >= 300 && response.status() < 400) return content;
+        if (!this.capturesBody(request.url())) return content;
+        
+        try {
+            return { ...content, ...this.body(await response.text(), mimeType) };
+        } catch (error) {
+            return { ...content, comment: `body unavailable: ${error.message}` };
+        }
+    }
+    
+    async addEntry(request, failure) {
+        const finishedAt = Date.now();
+        const startedAt = this.startedAt.get(request) || finishedAt;
+        const totalMs = finishedAt - startedAt;
+        const response = request.response();
+        
+        try {
+            const post = await this.postData(request);
+            const entry = {
+                pageref: this.pages.length > 0 ? this.pages[this.pages.length - 1].id : undefined,
+                startedDateTime: new Date(startedAt).toISOString(),
+                time: 0,
+                request: {
+                    method: request.method(),
+                    url: this.redactUrl(request.url()),
+                    httpVersion: '',
+                    cookies: [],
+                    headers: this.headers(request.headers()),
+                    queryString: this.queryString(request.url()),
+                    headersSize: -1,
+                    bodySize: post ? post.size : 0,
+                    ...(post ? { postData: post.postData } : {})
+                },
+                response: response ? {
+                    status: response.status(),
+                    statusText: response.statusText(),
+                    httpVersion: '',
+                    cookies: [],
+                    headers: this.headers(response.headers()),
+                    content: await this.content(request, response),
+                    redirectURL: this.redactUrl(headerValue(response.headers(), 'location') || '', request.url()),
+                    headersSize: -1,
+                    bodySize: -1
+                } : {
+                    status: 0,
+                    statusText: '',
+                    httpVersion: '',
+                    cookies: [],
+                    headers: [],
+                    content: { size: 0, mimeType: 'x-unknown' },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: -1,
+                    _error: failure ? failure.errorText : 'no response'
+                },
+                cache: {},
+                timings: harTimings(response ? response.timing() : null, totalMs),
+                serverIPAddress: response && response.remoteAddress().ip ? response.remoteAddress().ip : undefined,
+                _resourceType: request.resourceType()
+            };
+            // HAR wants time to be the sum of the phases; ssl is already inside connect
+            entry.time = Object.entries(entry.timings)
+                .filter(([phase, ms]) => phase !== 'ssl' && ms > 0)
+                .reduce((total, [, ms]) => total + ms, 0);
+            if (response && response.fromCache()) entry.cache.comment = 'served from cache';
+            this.entries.push(entry);
+        } catch (error) {
+            this.logger.debug(`HAR entry skipped for ${request.url()}`, { error: error.message });
+        }
+    }
+    
+    // Waits for bodies still being read; call before the page closes
+    async save() {
+        if (!this.config.enabled) return null;
+        
+        await Promise.race([
+            Promise.all([...this.pending]),
+            new Promise(resolve => setTimeout(resolve, PENDING_TIMEOUT_MS).unref())
+        ]);
+        const entries = [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+        const har = {
+            log: {
+                version: '1.2',
+                creator: { name: 'Jenkins Automated Game Player', version },
+                browser: { name: 'Chromium', version: this.browserVersion },
+                pages: this.pages,
+                entries,
+                comment: `Run ${this.logger.runId}`
+            }
+        };
+        
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(har, null, 2));
+            this.logger.info(`HAR saved: ${entries.length} requests`, { path: this.filePath });
+            return this.filePath;
+        } catch (error) {
+            this.logger.error('Failed to save HAR', { error: error.message });
+            return null;
+        }
+    }
+}
+
+module.exports = HarRecorder;
@@ -0,0 +1,118 @@
+const KeepAliveCheck = require('./keepAliveCheck');
+
+// End-of-run rules over what the Logger collected; any violation fails the run
+class HealthCheck {
+    constructor(config, logger) {
+        this.config = config.health || { enabled: false };
+        this.captureNetwork = config.logging.captureNetwork;
+        this.captureConsole = config.logging.captureConsole;
+        this.logger = logger;
+    }
+    
+    sample(entries, format) {
+        return entries.slice(0, 3).map(format);
+    }
+    
+    checkConsole(consoleData, violations) {
+        const { maxConsoleErrors, forbiddenConsolePatterns = [] } = this.config;
+        if (maxConsoleErrors === null && forbiddenConsolePatterns.length === 0) return;
+        
+        if (!this.captureConsole) {
+            violations.push({ rule: 'console', message: 'logging.captureConsole is disabled, so console rules cannot be checked', samples: [] });
+            return;
+        }
+        
+        const errors = consoleData.filter(entry => entry.type === 'error');
+        if (maxConsoleErrors !== null && errors.length > maxConsoleErrors) {
+            violations.push({
+                rule: 'maxConsoleErrors',
+                message: `${errors.length} console error(s), at most ${maxConsoleErrors} allowed`,
+                samples: this.sample(errors, entry => entry.text)
+            });
+        }
+        
+        forbiddenConsolePatterns.forEach(pattern => {
+            const regex = new RegExp(pattern, 'i');
+            const matches = consoleData.filter(entry => regex.test(entry.text));
+            if (matches.length > 0) {
+                violations.push({
+                    rule: 'forbiddenConsolePatterns',
+                    message: `${matches.length} console message(s) match forbidden pattern "${pattern}"`,
+                    samples: this.sample(matches, entry => `${entry.type}: ${entry.text}`)
+                });
+            }
+        });
+    }
+    
+    checkHttp(networkData, violations) {
+        const rules = this.config.httpFailures || [];
+        if (rules.length === 0) return;
+        
+        if (!this.captureNetwork) {
+            violations.push({ rule: 'httpFailures', message: 'logging.captureNetwork is disabled, so HTTP rules cannot be checked', samples: [] });
+            return;
+        }
+        
+        rules.forEach(rule => {
+            const pattern = new RegExp(rule.urlPattern, 'i');
+            const statuses = rule.statuses || ['4xx', '5xx'];
+            // A mocked error status is the test's own doing, not the backend failing
+            const failures = networkData.filter(entry => !entry.mocked && pattern.test(entry.url) && KeepAliveCheck.statusMatches(entry.status, statuses));
+            if (failures.length > 0) {
+                violations.push({
+                    rule: 'httpFailures',
+                    message: `${failures.length} ${statuses.join('/')} response(s) from ${rule.name || `URLs matching "${rule.urlPattern}"`}`,
+                    samples: this.sample(failures, entry => `${entry.method} ${entry.url} - ${entry.status}`)
+                });
+            }
+        });
+    }
+    
+    evaluate({ networkData, consoleData, pageErrors, durationMs }) {
+        if (!this.config.enabled) {
+            return { enabled: false, passed: true, reason: null, violations: [] };
+        }
+        
+        const violations = [];
+        this.checkConsole(consoleData, violations);
+        
+        const { maxPageErrors, maxDurationSeconds } = this.config;
+        if (maxPageErrors !== null && pageErrors.length > maxPageErrors) {
+            violations.push({
+                rule: 'maxPageErrors',
+                message: `${pageErrors.length} uncaught page error(s), at most ${maxPageErrors} allowed`,
+                samples: this.sample(pageErrors, entry => entry.message)
+            });
+        }
+        
+        this.checkHttp(networkData, violations);
+        
+        if (maxDurationSeconds !== null && durationMs > maxDurationSeconds * 1000) {
+            violations.push({
+                rule: 'maxDurationSeconds',
+                message: `run took ${Math.round(durationMs / 1000)}s, at most ${maxDurationSeconds}s allowed`,
+                samples: []
+            });
+        }
+        
+        const passed = violations.length === 0;
+        const reason = passed ? null : violations.map(violation => violation.message).join('; ');
+        const checked = {
+            consoleMessages: consoleData.length,
+            consoleErrors: consoleData.filter(entry => entry.type === 'error').length,
+            pageErrors: pageErrors.length,
+            responses: networkData.length,
+            durationMs
+        };
+        
+        if (passed) {
+            this.logger.success('Health check passed', checked);
+        } else {
+            this.logger.error(`Health check failed with ${violations.length} violation(s)`, { violations });
+        }
+        
+        return { enabled: true, passed, reason, violations, checked };
+    }
+}
+
+module.exports = HealthCheck;
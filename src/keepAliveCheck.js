@@ -0,0 +1,87 @@
+class KeepAliveCheck {
+    constructor(config, logger) {
+        this.config = config.keepAlive || { enabled: false, requests: [] };
+        this.captureNetwork = config.logging.captureNetwork;
+        this.logger = logger;
+    }
+
+    // "2xx" matches any 200-299 status, numbers match exactly
+    static statusMatches(status, expected) {
+        if (!expected || expected.length === 0) {
+            expected = ['2xx'];
+        }
+
+        return expected.some(entry => {
+            if (typeof entry === 'number') {
+                return status === entry;
+            }
+            const match = /^([1-5])xx$/i.exec(String(entry));
+            return match ? Math.floor(status / 100) === Number(match[1]) : status === Number(entry);
+        });
+    }
+
+    // Responses a mock rule answered never reached the backend, so they do not count
+    evaluateExpectation(expectation, networkData) {
+        const pattern = new RegExp(expectation.urlPattern, 'i');
+        const methods = (expectation.methods || []).map(method => method.toUpperCase());
+
+        const mockedMatches = networkData.filter(entry => entry.mocked && pattern.test(entry.url));
+        const urlMatches = networkData.filter(entry => !entry.mocked && pattern.test(entry.url));
+        const methodMatches = urlMatches.filter(entry => methods.length === 0 || methods.includes(entry.method));
+        const matches = methodMatches.filter(entry => KeepAliveCheck.statusMatches(entry.status, expectation.statuses));
+
+        let reason = null;
+        if (urlMatches.length === 0) {
+            reason = `no response from a URL matching "${expectation.urlPattern}"${mockedMatches.length > 0 ? ` (${mockedMatches.length} mocked response(s) do not count)` : ''}`;
+        } else if (methodMatches.length === 0) {
+            reason = `responses matched "${expectation.urlPattern}" but none used ${methods.join('/')}`;
+        } else if (matches.length === 0) {
+            const seen = [...new Set(methodMatches.map(entry => entry.status))].join(', ');
+            reason = `responses matched "${expectation.urlPattern}" with status ${seen}, expected ${(expectation.statuses || ['2xx']).join('/')}`;
+        }
+
+        return {
+            name: expectation.name || expectation.urlPattern,
+            passed: matches.length > 0,
+            reason,
+            matchCount: matches.length,
+            sample: matches.slice(0, 3).map(entry => `${entry.method} ${entry.url} - ${entry.status}`)
+        };
+    }
+
+    evaluate(networkData) {
+        if (!this.config.enabled) {
+            return { enabled: false, passed: true, reason: null, results: [] };
+        }
+
+        if (!this.captureNetwork) {
+            const reason = 'logging.captureNetwork is disabled, so backend traffic cannot be verified';
+            this.logger.error('Backend keep-alive check failed', { reason });
+            return { enabled: true, passed: false, reason, results: [] };
+        }
+
+        const requests = this.config.requests || [];
+        if (requests.length === 0) {
+            const reason = 'keepAlive.requests is empty, nothing to verify';
+            this.logger.error('Backend keep-alive check failed', { reason });
+            return { enabled: true, passed: false, reason, results: [] };
+        }
+
+        const results = requests.map(expectation => this.evaluateExpectation(expectation, networkData));
+        const failed = results.filter(result => !result.passed);
+
+        // "all" needs every expectation met, "any" needs at least one
+        const passed = this.config.mode === 'any' ? failed.length < results.length : failed.length === 0;
+        const reason = passed ? null : failed.map(result => `${result.name}: ${result.reason}`).join('; ');
+
+        if (passed) {
+            this.logger.success('Backend keep-alive verified', { results });
+        } else {
+            this.logger.error('Backend keep-alive check failed - the backend was never actually reached', { reason, results });
+        }
+
+        return { enabled: true, passed, reason, results };
+    }
+}
+
+module.exports = KeepAliveCheck;
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const GamePlayer = require('./gamePlayer');
+const ReportGenerator = require('./reportGenerator');
+
+const DEFAULTS = {
+    sessions: 5,
+    rampUpSeconds: 0,
+    durationMinutes: 0,
+    iterations: 1,
+    thinkTimeMs: 0,
+    maxErrorRate: 0,
+    sessionReports: false,
+    sessionChecks: false
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Nearest-rank percentile of an already sorted list
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function latencyStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    
+    return {
+        min: sorted[0],
+        avg: Math.round(sorted.reduce((total, value) => total + value, 0) / sorted.length),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Runs N game sessions at once, each in its own browser context of one shared browser
+class LoadRunner {
+    constructor(config) {
+        this.config = config;
+        this.settings = { ...DEFAULTS, ...(config.load || {}) };
+        this.profile = config.profile || 'default';
+        this.runId = `load-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+        this.reports = new ReportGenerator(process.cwd(), this.profile);
+        this.browser = null;
+        this.sessions = [];
+        this.stopping = false;
+        this.startedAt = null;
+        this.endedAt = null;
+    }
+    
+    // Sessions finish the game they are playing, then stop
+    stop() {
+        this.stopping = true;
+    }
+    
+    // Sessions log to their own files only; the runner prints one line per game instead.
+    // Health checks, performance budgets and HAR files judge or record a single user's game, and under load they
+    // would fail sessions on limits meant for one user and fill logs/, so they stay off unless sessionChecks is set
+    sessionConfig() {
+        const checks = this.settings.sessionChecks;
+        return {
+            ...this.config,
+            health: { ...this.config.health, enabled: checks && this.config.health.enabled },
+            performance: { ...this.config.performance, enabled: checks && this.config.performance.enabled },
+            har: { ...this.config.har, enabled: checks && this.config.har.enabled },
+            logging: {
+                ...this.config.logging,
+                consoleFormat: 'silent',
+                htmlReport: this.settings.sessionReports
+            },
+            reporters: {
+                ...this.config.reporters,
+                formats: this.settings.sessionReports ? this.config.reporters.formats : []
+            }
+        };
+    }
+    
+    async run() {
+        const { sessions, rampUpSeconds, durationMinutes, iterations } = this.settings;
+        this.startedAt = new Date();
+        const deadline = durationMinutes > 0 ? this.startedAt.getTime() + durationMinutes * 60 * 1000 : null;
+        
+        console.log(`🏋️ Load run ${this.runId} (${this.profile}): ${sessions} session(s), ramp-up ${rampUpSeconds}s, ${durationMinutes > 0 ? `${durationMinutes} min` : ''}${durationMinutes > 0 && iterations > 0 ? ' or ' : ''}${iterations > 0 ? `${iterations} game(s) per session` : ''}`);
+        
+        this.browser = await GamePlayer.launchBrowser(this.config);
+        try {
+            const config = this.sessionConfig();
+            await Promise.all(Array.from({ length: sessions }, (_, index) => {
+                const startDelay = Math.round(rampUpSeconds * 1000 * index / sessions);
+                return this.runSession(index + 1, config, startDelay, deadline);
+            }));
+        } finally {
+            await this.browser.close().catch(() => {});
+            this.browser = null;
+        }
+        
+        this.endedAt = new Date();
+        return this.summarize();
+    }
+    
+    async runSession(number, config, startDelay, deadline) {
+        const session = { session: number, games: [] };
+        this.sessions.push(session);
+        await sleep(startDelay);
+        
+        const { iterations, thinkTimeMs } = this.settings;
+        for (let game = 1; iterations === 0 || game <= iterations; game++) {
+            if (this.stopping || (deadline && Date.now() >= deadline)) break;
+            
+            if (!this.browser.connected) {
+                session.games.push({ game, runId: null, success: false, durationMs: 0, scenarios: 0, step: 'init', error: 'Shared browser disconnected', timings: {} });
+                break;
+            }
+            
+            const runId = `${this.runId}-s${String(number).padStart(2, '0')}-${String(game).padStart(3, '0')}`;
+            const gamePlayer = new GamePlayer(config, { browser: this.browser, runId });
+            const started = Date.now();
+            let success = false;
+            try {
+                success = await gamePlayer.playGame();
+            } catch (error) {
+                gamePlayer.error = gamePlayer.error || error.message;
+            }
+            
+            const result = {
+                game,
+                runId,
+                success,
+                durationMs: Date.now() - started,
+                scenarios: gamePlayer.scenarioCount,
+                step: gamePlayer.failedStep,
+                error: gamePlayer.error,
+                timings: gamePlayer.timings
+            };
+            session.games.push(result);
+            console.log(`${success ? '✅' : '❌'} Session ${number} game ${game}: ${success ? 'passed' : `failed at ${result.step} - ${result.error}`} in ${(result.durationMs / 1000).toFixed(1)}s`);
+            
+            if (thinkTimeMs > 0) {
+                await sleep(thinkTimeMs);
+            }
+        }
+    }
+    
+    summarize() {
+        const games = this.sessions.flatMap(session => session.games.map(game => ({ ...game, session: session.session })));
+        const failed = games.filter(game => !game.success);
+        const errorRate = games.length > 0 ? failed.length / games.length : 1;
+        const durationMs = this.endedAt - this.startedAt;
+        
+        const steps = {};
+        games.forEach(game => {
+            Object.entries(game.timings).forEach(([step, ms]) => {
+                steps[step] = steps[step] || [];
+                steps[step].push(ms);
+            });
+        });
+        
+        const errors = {};
+        failed.forEach(game => {
+            const key = `${game.step || 'unknown'}: ${game.error}`;
+            errors[key] = errors[key] || { step: game.step, error: game.error, count: 0, sessions: new Set() };
+            errors[key].count++;
+            errors[key].sessions.add(game.session);
+        });
+        
+        return {
+            runId: this.runId,
+            profile: this.profile,
+            url: this.config.game.url,
+            settings: this.settings,
+            startedAt: this.startedAt.toISOString(),
+            endedAt: this.endedAt.toISOString(),
+            durationMs,
+            // An empty run (stopped before any game) counts as failed
+            passed: games.length > 0 && errorRate <= this.settings.maxErrorRate,
+            games: games.length,
+            succeeded: games.length - failed.length,
+            failed: failed.length,
+            errorRate,
+            gamesPerMinute: durationMs > 0 ? Number((games.length / (durationMs / 60000)).toFixed(2)) : 0,
+            latency: latencyStats(games.map(game => game.durationMs)),
+            steps: Object.fromEntries(Object.entries(steps).map(([step, values]) => [step, latencyStats(values)])),
+            errors: Object.values(errors)
+                .map(error => ({ ...error, sessions: [...error.sessions].sort((a, b) => a - b) }))
+                .sort((a, b) => b.count - a.count),
+            sessions: this.sessions
+                .sort((a, b) => a.session - b.session)
+                .map(session => {
+                    const sessionFailed = session.games.filter(game => !game.success).length;
+                    return {
+                        session: session.session,
+                        games: session.games.length,
+                        succeeded: session.games.length - sessionFailed,
+                        failed: sessionFailed,
+                        errorRate: session.games.length > 0 ? sessionFailed / session.games.length : null,
+                        latency: latencyStats(session.games.map(game => game.durationMs)),
+                        runs: session.games
+                    };
+                })
+        };
+    }
+    
+    // JSON for tooling plus an HTML page, both next to the regular run logs
+    writeReport(summary) {
+        fs.mkdirSync(this.reports.logDir, { recursive: true });
+        const jsonPath = path.join(this.reports.logDir, `${summary.runId}.json`);
+        fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2));
+        const htmlPath = this.reports.generateLoad(summary);
+        return { jsonPath, htmlPath };
+    }
+}
+
+module.exports = LoadRunner;
@@ -1,18 +1,37 @@
 const fs = require('fs');
 const path = require('path');
 
+// "success" is an info-level message with its own label
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40 };
+
+// Files that belong to one run: a run id, or a load run's "load-" id, then anything, e.g. "-health.json", ".har", "-junit.xml"
+const RUN_FILE = /^(load-)?\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}/;
+
 class Logger {
-    constructor(config) {
+    constructor(config, { runId = null } = {}) {
         this.config = config.logging;
-        this.runId = this.generateRunId();
-        this.logDir = path.join(process.cwd(), 'logs');
-        this.screenshotDir = path.join(process.cwd(), 'screenshots', this.runId);
+        this.runId = runId || this.generateRunId();
+        // Named profiles keep their runs apart under logs/<profile>/ and screenshots/<profile>/
+        this.profile = config.profile || 'default';
+        const profileDir = this.profile === 'default' ? '' : this.profile;
+        this.logDir = path.join(process.cwd(), 'logs', profileDir);
+        this.screenshotDir = path.join(process.cwd(), 'screenshots', profileDir, this.runId);
         this.logFile = path.join(this.logDir, `${this.runId}.log`);
+        this.jsonLogFile = path.join(this.logDir, `${this.runId}.jsonl`);
         this.networkLog = path.join(this.logDir, `${this.runId}-network.json`);
         this.consoleLog = path.join(this.logDir, `${this.runId}-console.json`);
+        this.scenarioLog = path.join(this.logDir, `${this.runId}-scenarios.json`);
         
         this.networkData = [];
         this.consoleData = [];
+        this.scenarioData = [];
+        this.pageErrors = [];
+        this.screenshots = [];
+        
+        this.minLevel = LEVELS[this.config.logLevel] || LEVELS.info;
+        this.sinks = this.config.sinks || ['text'];
+        this.consoleFormat = this.config.consoleFormat || 'text';
+        this.context = {};
         
         this.ensureDirectories();
         this.initializeLog();
@@ -35,21 +54,65 @@ class Logger {
     initializeLog() {
         const header = `
 === Jenkins Automated Game Player - Run ${this.runId} ===
+Profile: ${this.profile}
 Started: ${new Date().toISOString()}
 Configuration: ${JSON.stringify(this.config, null, 2)}
 ========================================
 
 `;
-        fs.writeFileSync(this.logFile, header);
+        if (this.sinks.includes('text')) {
+            fs.writeFileSync(this.logFile, header);
+        }
+        if (this.sinks.includes('jsonl')) {
+            fs.writeFileSync(this.jsonLogFile, JSON.stringify({
+                timestamp: new Date().toISOString(),
+                level: 'info',
+                runId: this.runId,
+                profile: this.profile,
+                message: 'Run started',
+                data: { logging: this.config }
+            }) + '\n');
+        }
+    }
+    
+    // Merged into every entry until cleared, e.g. { scenario: 3 } or { state: 'result' }
+    setContext(context) {
+        Object.entries(context).forEach(([key, value]) => {
+            if (value === undefined || value === null) {
+                delete this.context[key];
+            } else {
+                this.context[key] = value;
+            }
+        });
     }
     
     log(level, message, data = null) {
+        if ((LEVELS[level] || LEVELS.info) < this.minLevel) return;
+        
         const timestamp = new Date().toISOString();
         const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-        const fullEntry = data ? `${logEntry}\nData: ${JSON.stringify(data, null, 2)}\n` : `${logEntry}\n`;
+        const jsonEntry = { timestamp, level, runId: this.runId, profile: this.profile, ...this.context, message };
+        if (data) {
+            jsonEntry.data = data;
+        }
         
-        console.log(logEntry);
-        fs.appendFileSync(this.logFile, fullEntry);
+        if (this.consoleFormat === 'json') {
+            console.log(JSON.stringify(jsonEntry));
+        } else if (this.consoleFormat !== 'silent') {
+            console.log(logEntry);
+        }
+        
+        if (this.sinks.includes('text')) {
+            const fullEntry = data ? `${logEntry}\nData: ${JSON.stringify(data, null, 2)}\n` : `${logEntry}\n`;
+            fs.appendFileSync(this.logFile, fullEntry);
+        }
+        if (this.sinks.includes('jsonl')) {
+            fs.appendFileSync(this.jsonLogFile, JSON.stringify(jsonEntry) + '\n');
+        }
+    }
+    
+    debug(message, data) {
+        this.log('debug', message, data);
     }
     
     info(message, data) {
@@ -75,6 +138,7 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
                 path: screenshotPath,
                 fullPage: true
             });
+            this.screenshots.push(screenshotPath);
             this.info(`Screenshot captured: ${name}`, { path: screenshotPath, description });
             return screenshotPath;
         } catch (error) {
@@ -83,7 +147,8 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
         }
     }
     
-    logNetworkResponse(response) {
+    // `mocked` responses were answered by a mock rule, so the keep-alive and health checks leave them out
+    logNetworkResponse(response, { mocked = false } = {}) {
         if (!this.config.captureNetwork) return;
         
         const networkEntry = {
@@ -92,11 +157,12 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
             status: response.status(),
             statusText: response.statusText(),
             headers: response.headers(),
-            method: response.request().method()
+            method: response.request().method(),
+            mocked
         };
         
         this.networkData.push(networkEntry);
-        this.info(`Network request: ${networkEntry.method} ${networkEntry.url} - ${networkEntry.status}`);
+        this.debug(`Network request: ${networkEntry.method} ${networkEntry.url} - ${networkEntry.status}${mocked ? ' (mocked)' : ''}`);
     }
     
     logConsoleMessage(msg) {
@@ -110,7 +176,40 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
         };
         
         this.consoleData.push(consoleEntry);
-        this.info(`Console ${consoleEntry.type}: ${consoleEntry.text}`);
+        this.debug(`Console ${consoleEntry.type}: ${consoleEntry.text}`);
+    }
+    
+    // Uncaught exceptions in the page, kept for the health check
+    logPageError(error) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            message: error.message,
+            stack: error.stack
+        };
+        
+        this.pageErrors.push(entry);
+        this.error('Page error occurred', { error: error.message });
+    }
+    
+    writeArtifact(suffix, data) {
+        const artifactPath = path.join(this.logDir, `${this.runId}-${suffix}.json`);
+        try {
+            fs.writeFileSync(artifactPath, JSON.stringify(data, null, 2));
+            this.info(`Artifact saved: ${path.basename(artifactPath)}`);
+            return artifactPath;
+        } catch (error) {
+            this.error(`Failed to save artifact: ${suffix}`, { error: error.message });
+            return null;
+        }
+    }
+    
+    recordScenario(record) {
+        this.scenarioData.push(record);
+        this.info(`Scenario ${record.index} recorded`, {
+            instruction: record.instruction,
+            choice: record.choice && record.choice.direction,
+            registered: record.registered
+        });
     }
     
     finalize() {
@@ -125,8 +224,24 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
                 this.info(`Console data saved: ${this.consoleData.length} messages`);
             }
             
-            const footer = `\n========================================\nCompleted: ${new Date().toISOString()}\n`;
-            fs.appendFileSync(this.logFile, footer);
+            if (this.scenarioData.length > 0) {
+                fs.writeFileSync(this.scenarioLog, JSON.stringify(this.scenarioData, null, 2));
+                this.info(`Scenario data saved: ${this.scenarioData.length} scenarios`);
+            }
+            
+            if (this.sinks.includes('text')) {
+                const footer = `\n========================================\nCompleted: ${new Date().toISOString()}\n`;
+                fs.appendFileSync(this.logFile, footer);
+            }
+            if (this.sinks.includes('jsonl')) {
+                fs.appendFileSync(this.jsonLogFile, JSON.stringify({
+                    timestamp: new Date().toISOString(),
+                    level: 'info',
+                    runId: this.runId,
+                    profile: this.profile,
+                    message: 'Run completed'
+                }) + '\n');
+            }
             
             this.cleanupOldLogs();
         } catch (error) {
@@ -134,16 +249,18 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
         }
     }
     
+    // Every file of a run older than retainLogs days, not just its logs, and its screenshots/ directory;
+    // the run history and profile directories stay
     cleanupOldLogs() {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - this.config.retainLogs);
+        
         try {
             const files = fs.readdirSync(this.logDir);
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - this.config.retainLogs);
-            
-            files.forEach(file => {
+            files.filter(file => RUN_FILE.test(file)).forEach(file => {
                 const filePath = path.join(this.logDir, file);
                 const stats = fs.statSync(filePath);
-                if (stats.mtime < cutoffDate && file.endsWith('.log')) {
+                if (stats.isFile() && stats.mtime < cutoffDate) {
                     fs.unlinkSync(filePath);
                     this.info(`Cleaned up old log file: ${file}`);
                 }
@@ -151,6 +268,21 @@ Configuration: ${JSON.stringify(this.config, null, 2)}
         } catch (error) {
             this.warn('Error cleaning up old logs', { error: error.message });
         }
+        
+        // screenshots/<profile>/<runId>/; other profiles' directories are not named like runs
+        const screenshotRoot = path.dirname(this.screenshotDir);
+        try {
+            fs.readdirSync(screenshotRoot).filter(dir => RUN_FILE.test(dir) && dir !== this.runId).forEach(dir => {
+                const dirPath = path.join(screenshotRoot, dir);
+                const stats = fs.statSync(dirPath);
+                if (stats.isDirectory() && stats.mtime < cutoffDate) {
+                    fs.rmSync(dirPath, { recursive: true, force: true });
+                    this.info(`Cleaned up old screenshots: ${dir}`);
+                }
+            });
+        } catch (error) {
+            this.warn('Error cleaning up old screenshots', { error: error.message });
+        }
     }
 }
 
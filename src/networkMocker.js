@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+// Error codes puppeteer's request.abort() accepts
+const ABORT_REASONS = [
+    'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse', 'connectionaborted',
+    'connectionclosed', 'connectionfailed', 'connectionrefused', 'connectionreset', 'internetdisconnected',
+    'namenotresolved', 'timedout', 'failed'
+];
+const RESPONSE_KEYS = ['status', 'body', 'json', 'file', 'headers', 'contentType'];
+const RULE_KEYS = ['name', 'urlPattern', 'methods', 'times', 'delayMs', 'abort', ...RESPONSE_KEYS];
+
+// Intercepts the page's requests and answers matching ones from rules: a canned response, an error status, latency or an abort
+class NetworkMocker {
+    constructor(config, logger) {
+        this.config = config.mocks || { enabled: false, rules: [] };
+        this.baseDir = config.configDir || process.cwd();
+        this.logger = logger;
+        this.page = null;
+        this.intercepting = false;
+        this.rules = [];
+        // Every rule ever added, including removed ones, for the summary
+        this.added = [];
+        this.hits = [];
+        // Requests answered by a rule, whose responses never came from the backend
+        this.answered = new WeakSet();
+    }
+    
+    // Problem with a rule from config or a script, or null when it is usable
+    static checkRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object with a "urlPattern"';
+        
+        const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+        if (unknown.length > 0) return `has unknown key(s) ${unknown.join(', ')} (allowed: ${RULE_KEYS.join(', ')})`;
+        if (typeof rule.urlPattern !== 'string') return 'needs a "urlPattern" (regular expression)';
+        try {
+            new RegExp(rule.urlPattern);
+        } catch (error) {
+            return `urlPattern is not a valid regular expression: ${error.message}`;
+        }
+        
+        const responds = RESPONSE_KEYS.some(key => rule[key] !== undefined);
+        if (rule.abort !== undefined && !ABORT_REASONS.includes(rule.abort)) return `abort must be one of ${ABORT_REASONS.join(', ')}`;
+        if (rule.abort !== undefined && responds) return 'cannot both abort and respond';
+        if (['body', 'json', 'file'].filter(key => rule[key] !== undefined).length > 1) return 'takes only one of body, json or file';
+        if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) return 'status must be an HTTP status code';
+        if (rule.delayMs !== undefined && !(Number.isInteger(rule.delayMs) && rule.delayMs >= 0)) return 'delayMs must be a whole number of milliseconds';
+        if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times >= 1)) return 'times must be a positive integer';
+        if (rule.abort === undefined && !responds && rule.delayMs === undefined) return 'needs something to do: status/body/json/file, abort or delayMs';
+        return null;
+    }
+    
+    // A rule's `file` is relative to the config file, like a script rule's is to its script
+    async attach(page) {
+        this.page = page;
+        if (!this.config.enabled) return;
+        
+        for (const rule of this.config.rules) {
+            await this.addRule(rule, { source: 'config', baseDir: this.baseDir });
+        }
+    }
+    
+    // Whether the response to `request` came from a rule rather than the server
+    mocked(request) {
+        return this.answered.has(request);
+    }
+    
+    // Rules are tried in the order they were added; a script's rules go away when the script ends
+    async addRule(rule, { source, baseDir }) {
+        const problem = NetworkMocker.checkRule(rule);
+        if (problem) throw new Error(`Mock rule ${rule && rule.name ? `"${rule.name}" ` : ''}${problem}`);
+        
+        let body = rule.body;
+        if (rule.json !== undefined) body = JSON.stringify(rule.json);
+        if (rule.file !== undefined) {
+            const filePath = path.resolve(baseDir, rule.file);
+            try {
+                body = fs.readFileSync(filePath);
+            } catch (error) {
+                throw new Error(`Mock rule "${rule.name || rule.urlPattern}" cannot read ${filePath}: ${error.message}`);
+            }
+        }
+        
+        const added = {
+            ...rule,
+            name: rule.name || rule.urlPattern,
+            regex: new RegExp(rule.urlPattern),
+            methods: (rule.methods || []).map(method => method.toUpperCase()),
+            contentType: rule.contentType || (rule.json !== undefined || (rule.file || '').endsWith('.json') ? 'application/json' : undefined),
+            responseBody: body,
+            responds: RESPONSE_KEYS.some(key => rule[key] !== undefined),
+            source,
+            fired: 0
+        };
+        this.rules.push(added);
+        this.added.push(added);
+        this.logger.info(`Mock rule added: ${rule.name || rule.urlPattern}`, { source, urlPattern: rule.urlPattern });
+        await this.intercept();
+    }
+    
+    removeRules(predicate) {
+        const removed = this.rules.filter(predicate);
+        this.rules = this.rules.filter(rule => !predicate(rule));
+        removed.forEach(rule => this.logger.info(`Mock rule removed: ${rule.name}`, { fired: rule.fired }));
+        return removed.length;
+    }
+    
+    // Interception is only switched on once there is a rule, since it turns off the browser cache
+    async intercept() {
+        if (this.intercepting || !this.page) return;
+        
+        this.intercepting = true;
+        await this.page.setRequestInterception(true);
+        this.page.on('request', (request) => {
+            this.handle(request).catch(error => {
+                this.logger.debug(`Mocked request could not be answered: ${request.url()}`, { error: error.message });
+            });
+        });
+    }
+    
+    match(request) {
+        return this.rules.find(rule => rule.regex.test(request.url()) &&
+            (rule.methods.length === 0 || rule.methods.includes(request.method())) &&
+            (rule.times === undefined || rule.fired < rule.times));
+    }
+    
+    async handle(request) {
+        if (request.isInterceptResolutionHandled()) return;
+        
+        const rule = this.match(request);
+        if (!rule) {
+            await request.continue();
+            return;
+        }
+        
+        rule.fired++;
+        const action = rule.abort !== undefined ? `abort (${rule.abort})`
+            : (rule.responds ? `respond ${rule.status || 200}` : 'pass through');
+        this.hits.push({ rule: rule.name, method: request.method(), url: request.url(), action, delayMs: rule.delayMs || 0, at: new Date().toISOString() });
+        this.logger.info(`Mock rule "${rule.name}" fired: ${request.method()} ${request.url()} → ${action}${rule.delayMs ? ` after ${rule.delayMs}ms` : ''}`);
+        
+        if (rule.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+        }
+        
+        if (rule.abort !== undefined) {
+            await request.abort(rule.abort);
+        } else if (rule.responds) {
+            this.answered.add(request);
+            await request.respond({
+                status: rule.status || 200,
+                headers: rule.headers || {},
+                contentType: rule.contentType,
+                body: rule.responseBody === undefined ? '' : rule.responseBody
+            });
+        } else {
+            await request.continue();
+        }
+    }
+    
+    // Which rules existed, how often each fired and every request they answered
+    summary() {
+        return {
+            rules: this.added.map(rule => ({ name: rule.name, urlPattern: rule.urlPattern, source: rule.source, fired: rule.fired })),
+            hits: this.hits
+        };
+    }
+}
+
+module.exports = NetworkMocker;
+module.exports.ABORT_REASONS = ABORT_REASONS;
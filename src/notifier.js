@@ -0,0 +1,393 @@
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const { spawn } = require('child_process');
+
+const DEFAULTS = {
+    enabled: false,
+    events: ['failure', 'recovery'],
+    timeout: 10000,
+    channels: []
+};
+
+// Minimal SMTP conversation: enough for EHLO, STARTTLS, AUTH PLAIN and one message
+class SmtpClient {
+    constructor(options, timeout) {
+        this.options = options;
+        this.timeout = timeout;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.pending = null;
+    }
+    
+    connect() {
+        const { host, port, secure } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve())
+                : net.connect({ host, port }, () => resolve());
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+    
+    attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error(`SMTP server timed out after ${this.timeout}ms`)));
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+    
+    // A reply ends with a line whose code is followed by a space, e.g. "250 OK" after "250-SIZE"
+    receive(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.join('\n') });
+                this.lines = [];
+            }
+        }
+        this.flush();
+    }
+    
+    flush() {
+        if (this.pending && this.replies.length > 0) {
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(this.replies.shift());
+        }
+    }
+    
+    fail(error) {
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+    }
+    
+    async command(line, expectedCode) {
+        const reply = new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+        });
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        this.flush();
+        
+        const { code, text } = await reply;
+        if (code !== expectedCode) {
+            throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${text}`);
+        }
+        return text;
+    }
+    
+    async startTls() {
+        await this.command('STARTTLS', 220);
+        const plainSocket = this.socket;
+        plainSocket.removeAllListeners('data');
+        plainSocket.removeAllListeners('close');
+        
+        await new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({ socket: plainSocket, servername: this.options.host }, resolve);
+            secureSocket.once('error', reject);
+            this.attach(secureSocket);
+        });
+    }
+    
+    async send({ from, to, data }) {
+        await this.connect();
+        try {
+            await this.command(null, 220);
+            const features = await this.command(`EHLO ${os.hostname()}`, 250);
+            
+            let encrypted = Boolean(this.options.secure);
+            if (!encrypted && this.options.startTls !== false && /STARTTLS/i.test(features)) {
+                await this.startTls();
+                await this.command(`EHLO ${os.hostname()}`, 250);
+                encrypted = true;
+            }
+            
+            if (this.options.user) {
+                // AUTH PLAIN is the password in base64, so it only goes over a plain connection when asked to
+                if (!encrypted && !this.options.allowInsecureAuth) {
+                    const why = this.options.startTls === false ? 'startTls is off' : 'the server does not offer STARTTLS';
+                    throw new Error(`SMTP AUTH refused: the connection is not encrypted (${why}); set smtp.allowInsecureAuth to send the password anyway`);
+                }
+                const credentials = Buffer.from(`\0${this.options.user}\0${this.options.password || ''}`).toString('base64');
+                await this.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+            
+            await this.command(`MAIL FROM:<${from}>`, 250);
+            for (const recipient of to) {
+                await this.command(`RCPT TO:<${recipient}>`, 250);
+            }
+            await this.command('DATA', 354);
+            await this.command(`${data}\r\n.`, 250);
+            await this.command('QUIT', 221).catch(() => {});
+        } finally {
+            this.socket.removeAllListeners('close');
+            this.socket.end();
+        }
+    }
+}
+
+class Notifier {
+    constructor(config) {
+        this.config = { ...DEFAULTS, ...(config.notifications || {}) };
+    }
+    
+    // A pass right after a failed or interrupted run is a recovery
+    eventFor(success, previousRun) {
+        if (!success) return 'failure';
+        if (previousRun && previousRun.result !== 'passed') return 'recovery';
+        return 'success';
+    }
+    
+    // Recoveries are successes too, so channels listening for "success" get them as well
+    wants(channel, event) {
+        if (event === 'test') return true;
+        const events = channel.events || this.config.events;
+        return events.includes(event) || (event === 'recovery' && events.includes('success'));
+    }
+    
+    buildMessage(event, gamePlayer, { trigger = 'manual' } = {}) {
+        const { logger, errorHandler } = gamePlayer;
+        const screenshots = errorHandler.errors.map(error => error.screenshot).filter(Boolean);
+        const titles = {
+            failure: `❌ Game run failed (${logger.profile})${gamePlayer.failedStep ? ` at step "${gamePlayer.failedStep}"` : ''}`,
+            recovery: `✅ Game run recovered (${logger.profile})`,
+            success: `✅ Game run passed (${logger.profile})`
+        };
+        
+        return this.withText({
+            event,
+            title: titles[event],
+            profile: logger.profile,
+            runId: logger.runId,
+            result: event === 'failure' ? 'failed' : 'passed',
+            trigger,
+            url: gamePlayer.config.game.url,
+            step: gamePlayer.failedStep,
+            error: gamePlayer.error,
+            // Checks such as health that failed too, on top of the error above
+            alsoFailed: event === 'failure' ? (gamePlayer.checkFailures || []).map(failure => `${failure.step}: ${failure.error}`) : [],
+            // Everything ErrorHandler.handleError caught during the run, root cause first
+            handledErrors: event === 'failure' ? errorHandler.errors.map(({ context, message, timestamp, screenshot }) => ({ context, message, timestamp, screenshot })) : [],
+            screenshot: event === 'failure' && screenshots.length > 0 ? screenshots[screenshots.length - 1] : null,
+            report: gamePlayer.reportPath,
+            log: logger.logFile,
+            host: os.hostname(),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    testMessage(profile = 'default') {
+        return this.withText({
+            event: 'test',
+            title: `🔔 Test notification (${profile})`,
+            profile,
+            runId: null,
+            result: null,
+            trigger: 'manual',
+            url: null,
+            step: 'navigate',
+            error: 'This is a test notification; no game was played',
+            alsoFailed: [],
+            handledErrors: [],
+            screenshot: null,
+            report: null,
+            log: null,
+            host: os.hostname(),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    withText(message) {
+        const lines = [
+            message.title,
+            message.runId && `Run: ${message.runId} (${message.trigger})`,
+            message.url && `URL: ${message.url}`,
+            message.step && message.event !== 'success' && message.event !== 'recovery' && `Failed step: ${message.step}`,
+            message.error && `Error: ${message.error}`,
+            ...message.alsoFailed.map(failure => `Also failed: ${failure}`),
+            ...message.handledErrors.map(error => `Handled error in ${error.context}: ${error.message}`),
+            message.screenshot && `Screenshot: ${message.screenshot}`,
+            message.report && `Report: ${message.report}`,
+            `Host: ${message.host}`
+        ];
+        return { ...message, text: lines.filter(Boolean).join('\n') };
+    }
+    
+    async runFinished(gamePlayer, success, { previousRun = null, trigger = 'manual' } = {}) {
+        if (!this.config.enabled) return [];
+        
+        const event = this.eventFor(success, previousRun);
+        return this.send(this.buildMessage(event, gamePlayer, { trigger }));
+    }
+    
+    // A failing channel is reported but never fails the run or stops the other channels
+    async send(message) {
+        const channels = this.config.channels.filter(channel => this.wants(channel, message.event));
+        
+        return Promise.all(channels.map(async channel => {
+            const name = channel.name || channel.type;
+            try {
+                await this.deliver(channel, message);
+                console.log(`Notification sent via ${name} (${message.event})`);
+                return { channel: name, sent: true };
+            } catch (error) {
+                console.error(`Notification via ${name} failed: ${error.message}`);
+                return { channel: name, sent: false, error: error.message };
+            }
+        }));
+    }
+    
+    deliver(channel, message) {
+        switch (channel.type) {
+            case 'webhook':
+                return this.post(channel, message);
+            case 'slack':
+                return this.post(channel, this.slackPayload(message));
+            case 'teams':
+                return this.post(channel, this.teamsPayload(message));
+            case 'command':
+                return this.runCommand(channel, message);
+            case 'email':
+                return this.sendEmail(channel, message);
+            default:
+                throw new Error(`Unknown notifier type "${channel.type}"`);
+        }
+    }
+    
+    colorFor(event) {
+        return event === 'failure' ? '#d73a49' : (event === 'test' ? '#0969da' : '#2ea44f');
+    }
+    
+    facts(message) {
+        return [
+            ['Profile', message.profile],
+            ['Run', message.runId],
+            ['Trigger', message.trigger],
+            ['Failed step', message.event === 'failure' ? message.step : null],
+            ['Error', message.error],
+            ['Also failed', message.alsoFailed.join('\n')],
+            ['Handled errors', message.handledErrors.map(error => `${error.context}: ${error.message}`).join('\n')],
+            ['Screenshot', message.screenshot],
+            ['Report', message.report]
+        ].filter(([, value]) => value);
+    }
+    
+    slackPayload(message) {
+        return {
+            text: message.title,
+            attachments: [{
+                color: this.colorFor(message.event),
+                fields: this.facts(message).map(([title, value]) => ({ title, value: String(value), short: ['Profile', 'Run', 'Trigger'].includes(title) }))
+            }]
+        };
+    }
+    
+    teamsPayload(message) {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: message.title,
+            themeColor: this.colorFor(message.event).slice(1),
+            title: message.title,
+            sections: [{ facts: this.facts(message).map(([name, value]) => ({ name, value: String(value) })) }]
+        };
+    }
+    
+    async post(channel, payload) {
+        const response = await fetch(channel.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(this.config.timeout)
+        });
+        
+        if (!response.ok) {
+            throw new Error(`${channel.url} responded ${response.status} ${response.statusText}`);
+        }
+    }
+    
+    // The command gets the message as JSON on stdin and the main fields as NOTIFY_* variables
+    runCommand(channel, message) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(channel.command, {
+                shell: true,
+                stdio: ['pipe', 'inherit', 'inherit'],
+                env: {
+                    ...process.env,
+                    NOTIFY_EVENT: message.event,
+                    NOTIFY_TITLE: message.title,
+                    NOTIFY_PROFILE: message.profile || '',
+                    NOTIFY_RUN_ID: message.runId || '',
+                    NOTIFY_STEP: message.step || '',
+                    NOTIFY_ERROR: message.error || '',
+                    NOTIFY_SCREENSHOT: message.screenshot || '',
+                    NOTIFY_REPORT: message.report || ''
+                }
+            });
+            
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error(`command timed out after ${this.config.timeout}ms`));
+            }, this.config.timeout);
+            
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('exit', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`command exited with code ${code}`));
+                }
+            });
+            
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(message));
+        });
+    }
+    
+    async sendEmail(channel, message) {
+        const smtp = channel.smtp;
+        const password = smtp.passwordEnv ? process.env[smtp.passwordEnv] : smtp.password;
+        const client = new SmtpClient({
+            ...smtp,
+            port: smtp.port || (smtp.secure ? 465 : 25),
+            password
+        }, this.config.timeout);
+        
+        const subject = `${channel.subjectPrefix ? `${channel.subjectPrefix} ` : ''}${message.title}`;
+        const body = Buffer.from(message.text).toString('base64').replace(/.{76}/g, '$&\r\n');
+        const data = [
+            `From: ${channel.from}`,
+            `To: ${channel.to.join(', ')}`,
+            `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body
+        ].join('\r\n');
+        
+        await client.send({ from: channel.from, to: channel.to, data });
+    }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,235 @@
+const ReportGenerator = require('./reportGenerator');
+
+// Summary metrics, in the order they are reported; "lower is better" for all of them
+const METRICS = ['ttfbMs', 'domContentLoadedMs', 'loadMs', 'lcpMs', 'cls', 'inpMs', 'tbtMs', 'heapUsedMB', 'requests', 'transferKB'];
+
+// Fewer previous runs than this make the median too noisy to compare against
+const MIN_COMPARE_RUNS = 3;
+
+// Runs inside every page: Web Vitals from PerformanceObserver. TBT and INP are reset by each sample
+function observeVitals() {
+    const perf = window.__gamePerformance = { lcp: null, cls: 0, tbt: 0, inp: 0 };
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    };
+    
+    observe('largest-contentful-paint', entry => { perf.lcp = entry.startTime; });
+    observe('layout-shift', entry => { if (!entry.hadRecentInput) perf.cls += entry.value; });
+    observe('longtask', entry => { perf.tbt += Math.max(0, entry.duration - 50); });
+    observe('event', entry => { if (entry.interactionId) perf.inp = Math.max(perf.inp, entry.duration); }, { durationThreshold: 16 });
+}
+
+function round(value, digits = 0) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Page performance during navigateToGame() and each scenario, checked against budgets and recent runs
+class PerformanceMonitor {
+    // `throttling` is the run's throttling profile; only runs with the same one are compared
+    constructor(config, logger, throttling = null) {
+        this.config = config.performance || { enabled: false };
+        this.logger = logger;
+        this.throttling = throttling;
+        this.page = null;
+        this.samples = [];
+        this.requests = 0;
+        this.transferBytes = 0;
+        this.sampledRequests = 0;
+        this.sampledBytes = 0;
+        this.sampledAt = null;
+    }
+    
+    // Must run before the first navigation so the observers see the whole page load
+    async attach(page) {
+        if (!this.config.enabled) return;
+        
+        this.page = page;
+        this.sampledAt = Date.now();
+        await page.evaluateOnNewDocument(observeVitals);
+        
+        try {
+            const client = await page.createCDPSession();
+            await client.send('Network.enable');
+            client.on('Network.requestWillBeSent', () => { this.requests++; });
+            client.on('Network.loadingFinished', (event) => { this.transferBytes += event.encodedDataLength || 0; });
+        } catch (error) {
+            this.logger.warn('Request counting unavailable, requests and transferKB will be missing', { error: error.message });
+        }
+    }
+    
+    async readPage() {
+        const vitals = await this.page.evaluate(() => {
+            const perf = window.__gamePerformance || null;
+            const navigation = performance.getEntriesByType('navigation')[0] || null;
+            const result = {
+                lcp: perf && perf.lcp,
+                cls: perf && perf.cls,
+                tbt: perf && perf.tbt,
+                inp: perf && perf.inp,
+                ttfb: navigation && navigation.responseStart,
+                // 0 until the event has fired
+                domContentLoaded: navigation && navigation.domContentLoadedEventEnd > 0 ? navigation.domContentLoadedEventEnd : null,
+                load: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null
+            };
+            if (perf) {
+                perf.tbt = 0;
+                perf.inp = 0;
+            }
+            return result;
+        });
+        const metrics = await this.page.metrics();
+        return { ...vitals, heapUsedMB: round(metrics.JSHeapUsedSize / (1024 * 1024), 1) };
+    }
+    
+    // Metrics for what happened since the previous sample, under a label like "navigate" or "scenario 2"
+    async sample(label) {
+        if (!this.config.enabled || !this.page) return null;
+        
+        try {
+            const page = await this.readPage();
+            const now = Date.now();
+            const sample = {
+                label,
+                at: new Date(now).toISOString(),
+                durationMs: now - this.sampledAt,
+                lcpMs: round(page.lcp),
+                cls: round(page.cls, 3),
+                inpMs: round(page.inp),
+                tbtMs: round(page.tbt),
+                heapUsedMB: page.heapUsedMB,
+                requests: this.requests - this.sampledRequests,
+                transferKB: round((this.transferBytes - this.sampledBytes) / 1024, 1)
+            };
+            this.sampledAt = now;
+            this.sampledRequests = this.requests;
+            this.sampledBytes = this.transferBytes;
+            this.samples.push(sample);
+            this.logger.debug(`Performance sample: ${label}`, sample);
+            return sample;
+        } catch (error) {
+            this.logger.warn(`Could not read performance metrics for ${label}`, { error: error.message });
+            return null;
+        }
+    }
+    
+    // Whole-run values: navigation timing and LCP/CLS as they stand now, the worst INP, total TBT and traffic
+    async summarize() {
+        await this.sample('end');
+        const page = await this.readPage().catch(() => ({}));
+        const values = (key) => this.samples.map(sample => sample[key]).filter(value => value !== null);
+        const sum = (key) => values(key).reduce((total, value) => total + value, 0);
+        const max = (key) => (values(key).length > 0 ? Math.max(...values(key)) : null);
+        
+        return {
+            ttfbMs: round(page.ttfb),
+            domContentLoadedMs: round(page.domContentLoaded),
+            loadMs: round(page.load),
+            lcpMs: round(page.lcp),
+            cls: round(page.cls, 3),
+            inpMs: max('inpMs'),
+            tbtMs: sum('tbtMs'),
+            heapUsedMB: max('heapUsedMB'),
+            requests: this.requests,
+            transferKB: round(this.transferBytes / 1024, 1)
+        };
+    }
+    
+    // Unthrottled runs use "budgets"; a throttled run uses its profile's throttledBudgets entry, or none,
+    // since limits meant for a normal connection would fail every slow-3g run
+    budgetsInUse() {
+        if (!this.throttling) return this.config.budgets || {};
+        return (this.config.throttledBudgets || {})[this.throttling] || null;
+    }
+    
+    checkBudgets(summary) {
+        const exceeded = [];
+        Object.entries(this.budgetsInUse() || {}).forEach(([metric, budget]) => {
+            const value = summary[metric];
+            if (value === null || value === undefined) return;
+            
+            if (budget.fail !== undefined && value > budget.fail) {
+                exceeded.push({ metric, value, limit: budget.fail, level: 'fail' });
+            } else if (budget.warn !== undefined && value > budget.warn) {
+                exceeded.push({ metric, value, limit: budget.warn, level: 'warn' });
+            }
+        });
+        return exceeded;
+    }
+    
+    // Median of each metric over the last compareRuns runs of this profile, throttled the same way, that saved metrics
+    compare(summary) {
+        const reports = new ReportGenerator(process.cwd(), this.logger.profile);
+        const previous = reports.listRunIds()
+            .filter(runId => runId !== this.logger.runId)
+            .map(runId => reports.readJson(runId, 'performance'))
+            .filter(result => result && result.summary && (result.throttling || null) === this.throttling)
+            .slice(-this.config.compareRuns);
+        
+        const comparison = { runs: previous.length, metrics: {}, regressions: [] };
+        if (previous.length < MIN_COMPARE_RUNS) return comparison;
+        
+        METRICS.forEach(metric => {
+            const history = previous.map(result => result.summary[metric]).filter(value => typeof value === 'number');
+            const value = summary[metric];
+            if (history.length < MIN_COMPARE_RUNS || typeof value !== 'number') return;
+            
+            const baseline = median(history);
+            const changePercent = baseline > 0 ? round((value - baseline) / baseline * 100, 1) : null;
+            comparison.metrics[metric] = { median: baseline, value, changePercent };
+            if (changePercent !== null && changePercent > this.config.maxIncreasePercent) {
+                comparison.regressions.push({ metric, value, median: baseline, changePercent });
+            }
+        });
+        return comparison;
+    }
+    
+    async evaluate() {
+        const summary = await this.summarize();
+        const budgets = this.checkBudgets(summary);
+        const comparison = this.compare(summary);
+        const failed = budgets.filter(entry => entry.level === 'fail');
+        const describe = entry => `${entry.metric} ${entry.value} over ${entry.level} budget ${entry.limit}`;
+        
+        const result = {
+            enabled: true,
+            throttling: this.throttling,
+            budgetsChecked: this.budgetsInUse() !== null,
+            passed: failed.length === 0,
+            reason: failed.length > 0 ? failed.map(describe).join('; ') : null,
+            summary,
+            budgets,
+            comparison,
+            samples: this.samples
+        };
+        
+        budgets.filter(entry => entry.level === 'warn').forEach(entry => {
+            this.logger.warn(`Performance budget: ${describe(entry)}`);
+        });
+        comparison.regressions.forEach(entry => {
+            this.logger.warn(`Performance regression: ${entry.metric} ${entry.value} is ${entry.changePercent}% above the median of the last ${comparison.runs} runs (${entry.median})`);
+        });
+        if (!result.budgetsChecked) {
+            this.logger.info(`Performance not checked against budgets: no performance.throttledBudgets for throttling profile ${this.throttling}`, summary);
+        } else if (result.passed) {
+            this.logger.success('Performance within budget', summary);
+        } else {
+            this.logger.error(`Performance budget exceeded: ${result.reason}`, summary);
+        }
+        return result;
+    }
+}
+
+module.exports = PerformanceMonitor;
+module.exports.METRICS = METRICS;
@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+
+// Logger.generateRunId(), e.g. 2024-05-01T09-30-00
+const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}$/;
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ReportGenerator {
+    constructor(baseDir = process.cwd(), profile = 'default') {
+        const profileDir = profile === 'default' ? '' : profile;
+        this.profile = profile;
+        this.logDir = path.join(baseDir, 'logs', profileDir);
+        this.screenshotRoot = path.join(baseDir, 'screenshots', profileDir);
+    }
+
+    // Run ids with a text or JSON Lines log, oldest first
+    listRunIds() {
+        if (!fs.existsSync(this.logDir)) return [];
+
+        const runs = fs.readdirSync(this.logDir)
+            .filter(file => /\.(log|jsonl)$/.test(file))
+            .map(file => file.replace(/\.(log|jsonl)$/, ''))
+            .filter(runId => RUN_ID_PATTERN.test(runId));
+        return [...new Set(runs)].sort();
+    }
+
+    // Run ids with a screenshot directory, oldest first; skips the directories of named profiles next to them
+    listScreenshotRunIds() {
+        if (!fs.existsSync(this.screenshotRoot)) return [];
+
+        return fs.readdirSync(this.screenshotRoot, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && RUN_ID_PATTERN.test(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    latestRunId() {
+        const runs = this.listRunIds();
+        return runs.length > 0 ? runs[runs.length - 1] : null;
+    }
+
+    readJson(runId, suffix) {
+        const filePath = path.join(this.logDir, `${runId}-${suffix}.json`);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Prefers the JSON Lines log; text log entries look like "[timestamp] LEVEL: message",
+    // optionally followed by "Data: {...}"
+    parseLog(runId) {
+        const jsonLogPath = path.join(this.logDir, `${runId}.jsonl`);
+        if (fs.existsSync(jsonLogPath)) {
+            // A run killed mid-write can leave a truncated last line; it is skipped like any other malformed one
+            return fs.readFileSync(jsonLogPath, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    return [];
+                }
+                if (!entry || typeof entry.message !== 'string') return [];
+                return [{ ...entry, data: entry.data ? JSON.stringify(entry.data, null, 2) : null }];
+            });
+        }
+
+        const logPath = path.join(this.logDir, `${runId}.log`);
+        if (!fs.existsSync(logPath)) {
+            throw new Error(`No log found for run ${runId} (${logPath})`);
+        }
+
+        const entries = [];
+        let current = null;
+        let inData = false;
+
+        fs.readFileSync(logPath, 'utf8').split('\n').forEach(line => {
+            const match = /^\[(\d{4}-[^\]]+)\] ([A-Z]+): (.*)$/.exec(line);
+            if (match) {
+                current = { timestamp: match[1], level: match[2].toLowerCase(), message: match[3], data: null };
+                entries.push(current);
+                inData = false;
+            } else if (line.startsWith('====')) {
+                // The run's header and footer, never part of an entry's data
+                current = null;
+                inData = false;
+            } else if (current && line.startsWith('Data: ')) {
+                current.data = line.slice(6);
+                inData = true;
+            } else if (current && inData && line !== '') {
+                current.data += '\n' + line;
+            }
+        });
+
+        return entries;
+    }
+
+    loadScreenshots(runId) {
+        const dir = path.join(this.screenshotRoot, runId);
+        if (!fs.existsSync(dir)) return {};
+
+        const screenshots = {};
+        fs.readdirSync(dir).filter(file => file.endsWith('.png')).sort().forEach(file => {
+            screenshots[file.slice(0, -4)] = 'data:image/png;base64,' + fs.readFileSync(path.join(dir, file)).toString('base64');
+        });
+        return screenshots;
+    }
+
+    // The result comes from the run's summary artifact. Runs from before it existed fall back to the log
+    // messages, which a logLevel above info may have filtered out
+    summarize(runId, entries, scenarios) {
+        const run = this.readJson(runId, 'summary');
+        const first = entries[0];
+        const last = entries[entries.length - 1];
+        const failed = entries.some(entry => entry.message === 'Game play failed');
+        const succeeded = entries.some(entry => entry.message.startsWith('Game completed successfully'));
+        const logged = {
+            startedAt: first ? first.timestamp : null,
+            endedAt: last ? last.timestamp : null,
+            durationMs: first && last ? new Date(last.timestamp) - new Date(first.timestamp) : 0,
+            result: failed ? 'failed' : (succeeded ? 'passed' : 'incomplete')
+        };
+        const { startedAt, endedAt, durationMs, result } = run || logged;
+
+        return {
+            runId,
+            profile: this.profile,
+            startedAt,
+            endedAt,
+            durationMs,
+            result,
+            scenarios: scenarios.length,
+            registeredScenarios: scenarios.filter(scenario => scenario.registered).length,
+            errors: entries.filter(entry => entry.level === 'error').length,
+            warnings: entries.filter(entry => entry.level === 'warn').length
+        };
+    }
+
+    generate(runId) {
+        const entries = this.parseLog(runId);
+        const network = this.readJson(runId, 'network') || [];
+        const consoleMessages = this.readJson(runId, 'console') || [];
+        const scenarios = this.readJson(runId, 'scenarios') || [];
+        const visual = this.readJson(runId, 'visual');
+        const health = this.readJson(runId, 'health');
+        const performance = this.readJson(runId, 'performance');
+        const mocks = this.readJson(runId, 'mocks');
+        const throttling = this.readJson(runId, 'throttling');
+        const har = fs.existsSync(path.join(this.logDir, `${runId}.har`)) ? `${runId}.har` : null;
+        const screenshots = this.loadScreenshots(runId);
+        const summary = this.summarize(runId, entries, scenarios);
+
+        const html = this.render({ summary, entries, network, consoleMessages, scenarios, visual, health, performance, mocks, throttling, har, screenshots });
+        const reportPath = path.join(this.logDir, `${runId}-report.html`);
+        fs.writeFileSync(reportPath, html);
+        return reportPath;
+    }
+
+    renderImage(screenshots, name) {
+        if (!screenshots[name]) return '';
+        return `<figure><img src="${screenshots[name]}" alt="${escapeHtml(name)}" loading="lazy"><figcaption>${escapeHtml(name)}</figcaption></figure>`;
+    }
+
+    renderScenarios(scenarios, screenshots, used) {
+        if (scenarios.length === 0) {
+            return '<p class="muted">No scenario records for this run.</p>';
+        }
+
+        return scenarios.map(scenario => {
+            const names = Object.values(scenario.screenshots || {})
+                .filter(Boolean)
+                .map(screenshotPath => path.basename(screenshotPath, '.png'));
+            names.forEach(name => used.add(name));
+            const choice = scenario.choice || {};
+
+            return `
+<section class="scenario ${scenario.registered ? '' : 'unregistered'}">
+    <h3>Scenario ${escapeHtml(scenario.index)} ${scenario.registered ? '' : '<span class="badge warn">not registered</span>'}</h3>
+    <p class="instruction">${escapeHtml(scenario.instruction || '(no instruction text found)')}</p>
+    <p>Choice: <strong>${escapeHtml(choice.direction)}</strong> via ${escapeHtml(choice.strategy)} (${escapeHtml(choice.reason)}), clicked by ${escapeHtml(choice.method)}${choice.selector ? ` <code>${escapeHtml(choice.selector)}</code>` : ''}</p>
+    <p class="muted">${escapeHtml(scenario.startedAt)} → ${escapeHtml(scenario.endedAt)} · ${(scenario.console || []).length} console · ${(scenario.network || []).length} network</p>
+    <div class="gallery">${names.map(name => this.renderImage(screenshots, name)).join('')}</div>
+</section>`;
+        }).join('');
+    }
+
+    renderPerformance(performance) {
+        const budgets = Object.fromEntries(performance.budgets.map(entry => [entry.metric, entry]));
+        const { comparison } = performance;
+        const summaryRows = Object.entries(performance.summary).map(([metric, value]) => {
+            const budget = budgets[metric];
+            const compared = comparison.metrics[metric];
+            const regressed = comparison.regressions.some(entry => entry.metric === metric);
+            const rowClass = budget ? `level-${budget.level === 'fail' ? 'error' : 'warn'}` : (regressed ? 'level-warn' : '');
+            return `
+<tr class="${rowClass}"><td>${escapeHtml(metric)}</td><td>${escapeHtml(value === null ? '-' : value)}</td><td>${budget ? `over ${escapeHtml(budget.level)} budget ${escapeHtml(budget.limit)}` : ''}</td><td>${compared ? `${escapeHtml(compared.median)} (${compared.changePercent === null ? '-' : `${compared.changePercent > 0 ? '+' : ''}${escapeHtml(compared.changePercent)}%`})` : ''}</td></tr>`;
+        }).join('');
+
+        const sampleRows = performance.samples.map(sample => `
+<tr><td>${escapeHtml(sample.label)}</td><td>${escapeHtml(sample.durationMs)}</td><td>${escapeHtml(sample.requests)}</td><td>${escapeHtml(sample.transferKB)}</td><td>${escapeHtml(sample.heapUsedMB)}</td><td>${escapeHtml(sample.tbtMs)}</td><td>${escapeHtml(sample.inpMs)}</td></tr>`).join('');
+
+        return `
+<h2>Performance</h2>
+<p class="${performance.passed ? 'result-passed' : 'result-failed'}">${performance.budgetsChecked === false ? `Not checked against budgets: none set for throttling profile ${escapeHtml(performance.throttling)}.` : (performance.passed ? 'Within budget.' : escapeHtml(performance.reason))}</p>
+<table>
+    <thead><tr><th>Metric</th><th>Value</th><th>Budget</th><th>Median of last ${comparison.runs} runs</th></tr></thead>
+    <tbody>${summaryRows}
+    </tbody>
+</table>
+<table>
+    <thead><tr><th>Sample</th><th>Duration (ms)</th><th>Requests</th><th>Transferred (KB)</th><th>Heap (MB)</th><th>TBT (ms)</th><th>Longest interaction (ms)</th></tr></thead>
+    <tbody>${sampleRows}
+    </tbody>
+</table>`;
+    }
+
+    renderMocks(mocks) {
+        const ruleRows = mocks.rules.map(rule => `
+<tr class="${rule.fired === 0 ? 'level-warn' : ''}"><td>${escapeHtml(rule.name)}</td><td><code>${escapeHtml(rule.urlPattern)}</code></td><td>${escapeHtml(rule.source)}</td><td>${escapeHtml(rule.fired)}</td></tr>`).join('');
+        const hitRows = mocks.hits.map(hit => `
+<tr><td>${escapeHtml(hit.at)}</td><td>${escapeHtml(hit.rule)}</td><td>${escapeHtml(hit.method)}</td><td>${escapeHtml(hit.url)}</td><td>${escapeHtml(hit.action)}${hit.delayMs ? ` after ${escapeHtml(hit.delayMs)}ms` : ''}</td></tr>`).join('');
+
+        return `
+<h2>Mocked requests</h2>
+<table>
+    <thead><tr><th>Rule</th><th>URL pattern</th><th>Added by</th><th>Fired</th></tr></thead>
+    <tbody>${ruleRows}
+    </tbody>
+</table>
+${mocks.hits.length > 0 ? `<table>
+    <thead><tr><th>Time</th><th>Rule</th><th>Method</th><th>URL</th><th>Action</th></tr></thead>
+    <tbody>${hitRows}
+    </tbody>
+</table>` : '<p class="muted">No request matched a mock rule.</p>'}`;
+    }
+
+    render({ summary, entries, network, consoleMessages, scenarios, visual, health, performance, mocks, throttling, har, screenshots }) {
+        const used = new Set();
+        const scenarioHtml = this.renderScenarios(scenarios, screenshots, used);
+        const otherScreenshots = Object.keys(screenshots).filter(name => !used.has(name));
+
+        const timelineRows = entries.map(entry => `
+<tr class="level-${entry.level}" data-level="${entry.level}">
+    <td class="nowrap">${escapeHtml(entry.timestamp.slice(11, 23))}</td>
+    <td><span class="badge ${entry.level}">${escapeHtml(entry.level)}</span></td>
+    <td>${escapeHtml(entry.message)}${entry.data ? `<details><summary>data</summary><pre>${escapeHtml(entry.data)}</pre></details>` : ''}</td>
+</tr>`).join('');
+
+        const networkRows = network.map(entry => `
+<tr class="${entry.status >= 400 ? 'level-error' : ''}" data-filter="${escapeHtml(`${entry.method} ${entry.status} ${entry.url}`.toLowerCase())}">
+    <td class="nowrap">${escapeHtml((entry.timestamp || '').slice(11, 23))}</td>
+    <td>${escapeHtml(entry.method)}</td>
+    <td>${escapeHtml(entry.status)}</td>
+    <td class="url">${escapeHtml(entry.url)}</td>
+</tr>`).join('');
+
+        const consoleRows = consoleMessages.map(entry => `
+<tr class="${entry.type === 'error' ? 'level-error' : (entry.type === 'warn' || entry.type === 'warning' ? 'level-warn' : '')}" data-filter="${escapeHtml(`${entry.type} ${entry.text}`.toLowerCase())}">
+    <td class="nowrap">${escapeHtml((entry.timestamp || '').slice(11, 23))}</td>
+    <td>${escapeHtml(entry.type)}</td>
+    <td>${escapeHtml(entry.text)}</td>
+</tr>`).join('');
+
+        const visualHtml = visual ? `
+<h2>Visual regression</h2>
+<table>
+    <thead><tr><th>Step</th><th>Status</th><th>Details</th></tr></thead>
+    <tbody>${visual.results.map(result => `
+<tr class="${result.passed ? '' : 'level-error'}"><td>${escapeHtml(result.name)}</td><td>${escapeHtml(result.status)}</td><td>${escapeHtml(result.reason || '')}</td></tr>`).join('')}
+    </tbody>
+</table>` : '';
+
+        const healthHtml = health && health.enabled ? `
+<h2>Health</h2>
+${health.passed ? '<p class="result-passed">All health rules passed.</p>' : `
+<table>
+    <thead><tr><th>Rule</th><th>Violation</th><th>Examples</th></tr></thead>
+    <tbody>${health.violations.map(violation => `
+<tr class="level-error"><td>${escapeHtml(violation.rule)}</td><td>${escapeHtml(violation.message)}</td><td>${violation.samples.map(sample => `<div class="url">${escapeHtml(sample)}</div>`).join('')}</td></tr>`).join('')}
+    </tbody>
+</table>`}` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeHtml(summary.runId)} - Jenkins Automated Game Player</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1em 2em; color: #222; }
+    header { border-bottom: 2px solid #ddd; margin-bottom: 1em; }
+    .result-passed { color: #1a7f37; } .result-failed { color: #cf222e; } .result-incomplete { color: #9a6700; }
+    .stats { display: flex; flex-wrap: wrap; gap: 1.5em; list-style: none; padding: 0; }
+    .stats strong { display: block; font-size: 1.4em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85em; margin-bottom: 1em; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    tr.level-error { background: #ffebe9; } tr.level-warn { background: #fff8c5; }
+    .badge { border-radius: 3px; padding: 0 4px; font-size: 0.8em; background: #eee; }
+    .badge.error { background: #cf222e; color: #fff; } .badge.warn { background: #d4a72c; color: #fff; } .badge.success { background: #1a7f37; color: #fff; }
+    .nowrap { white-space: nowrap; } .url { word-break: break-all; } .muted { color: #777; }
+    .gallery { display: flex; flex-wrap: wrap; gap: 0.5em; }
+    figure { margin: 0; width: 280px; } figure img { width: 100%; border: 1px solid #ccc; cursor: zoom-in; } figure img.zoomed { position: fixed; inset: 2%; width: 96%; height: 96%; object-fit: contain; background: #000c; z-index: 10; cursor: zoom-out; }
+    figcaption { font-size: 0.75em; color: #555; }
+    .scenario { border-left: 4px solid #1a7f37; padding-left: 1em; margin-bottom: 1.5em; } .scenario.unregistered { border-color: #d4a72c; }
+    .filters { margin: 0.5em 0; } .filters input { width: 300px; }
+    pre { white-space: pre-wrap; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<header>
+    <h1>Run ${escapeHtml(summary.runId)}${summary.profile !== 'default' ? ` (${escapeHtml(summary.profile)})` : ''} <span class="result-${summary.result}">${escapeHtml(summary.result.toUpperCase())}</span></h1>
+    <ul class="stats">
+        <li><strong>${Math.round(summary.durationMs / 1000)}s</strong>duration</li>
+        <li><strong>${summary.registeredScenarios}/${summary.scenarios}</strong>scenarios registered</li>
+        <li><strong>${summary.errors}</strong>errors</li>
+        <li><strong>${summary.warnings}</strong>warnings</li>
+        <li><strong>${network.length}</strong>network responses</li>
+        <li><strong>${consoleMessages.length}</strong>console messages</li>
+    </ul>
+    <p class="muted">${escapeHtml(summary.startedAt)} → ${escapeHtml(summary.endedAt)}</p>
+    ${throttling ? `<p>Throttling: <strong>${escapeHtml(throttling.profile)}</strong> (${escapeHtml(throttling.settings)})${throttling.events.map(event => ` · ${escapeHtml(event.offline ? 'offline' : 'online')} at ${escapeHtml(event.at.slice(11, 19))}`).join('')}</p>` : ''}
+</header>
+
+<h2>Scenarios</h2>
+${scenarioHtml}
+
+${otherScreenshots.length > 0 ? `<h2>Other screenshots</h2><div class="gallery">${otherScreenshots.map(name => this.renderImage(screenshots, name)).join('')}</div>` : ''}
+${visualHtml}
+${healthHtml}
+${performance ? this.renderPerformance(performance) : ''}
+${mocks ? this.renderMocks(mocks) : ''}
+
+<h2>Timeline</h2>
+<div class="filters"><label><input type="checkbox" id="errors-only"> errors and warnings only</label></div>
+<table id="timeline"><thead><tr><th>Time</th><th>Level</th><th>Message</th></tr></thead><tbody>${timelineRows}</tbody></table>
+
+<h2>Network</h2>
+${har ? `<p class="muted">Headers, bodies and timings for every request: <a href="${escapeHtml(har)}">${escapeHtml(har)}</a> (Chrome DevTools → Network → Import HAR file)</p>` : ''}
+<div class="filters"><input type="search" placeholder="Filter by method, status or URL" data-table="network"></div>
+<table id="network"><thead><tr><th>Time</th><th>Method</th><th>Status</th><th>URL</th></tr></thead><tbody>${networkRows}</tbody></table>
+
+<h2>Console</h2>
+<div class="filters"><input type="search" placeholder="Filter by type or text" data-table="console"></div>
+<table id="console"><thead><tr><th>Time</th><th>Type</th><th>Text</th></tr></thead><tbody>${consoleRows}</tbody></table>
+
+<script>
+    document.querySelectorAll('input[data-table]').forEach(input => {
+        input.addEventListener('input', () => {
+            const query = input.value.toLowerCase();
+            document.querySelectorAll('#' + input.dataset.table + ' tbody tr').forEach(row => {
+                row.hidden = query !== '' && !row.dataset.filter.includes(query);
+            });
+        });
+    });
+    document.getElementById('errors-only').addEventListener('change', (event) => {
+        document.querySelectorAll('#timeline tbody tr').forEach(row => {
+            row.hidden = event.target.checked && !['error', 'warn'].includes(row.dataset.level);
+        });
+    });
+    document.querySelectorAll('figure img').forEach(img => {
+        img.addEventListener('click', () => img.classList.toggle('zoomed'));
+    });
+</script>
+</body>
+</html>
+`;
+    }
+
+    generateLoad(summary) {
+        const reportPath = path.join(this.logDir, `${summary.runId}-report.html`);
+        fs.writeFileSync(reportPath, this.renderLoad(summary));
+        return reportPath;
+    }
+
+    renderLoad(summary) {
+        const seconds = (ms) => ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`;
+        const percent = (ratio) => ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+        const latencyCells = (latency) => ['min', 'avg', 'p50', 'p95', 'max']
+            .map(key => `<td>${seconds(latency ? latency[key] : null)}</td>`).join('');
+        const result = summary.passed ? 'passed' : 'failed';
+
+        const sessionRows = summary.sessions.map(session => `
+<tr class="${session.failed > 0 ? 'level-error' : ''}">
+    <td>${session.session}</td><td>${session.games}</td><td>${session.succeeded}</td><td>${session.failed}</td><td>${percent(session.errorRate)}</td>${latencyCells(session.latency)}
+</tr>`).join('');
+
+        const stepRows = Object.entries(summary.steps).map(([step, latency]) => `
+<tr><td>${escapeHtml(step)}</td>${latencyCells(latency)}</tr>`).join('');
+
+        const errorRows = summary.errors.map(error => `
+<tr class="level-error"><td>${error.count}</td><td>${escapeHtml(error.step)}</td><td>${escapeHtml(error.error)}</td><td>${error.sessions.join(', ')}</td></tr>`).join('');
+
+        const gameRows = summary.sessions.flatMap(session => session.runs.map(game => `
+<tr class="${game.success ? '' : 'level-error'}">
+    <td>${session.session}</td><td>${game.game}</td><td class="nowrap">${escapeHtml(game.runId)}</td><td>${game.success ? 'passed' : 'failed'}</td><td>${seconds(game.durationMs)}</td><td>${game.scenarios}</td><td>${escapeHtml(game.error || '')}</td>
+</tr>`)).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Load run ${escapeHtml(summary.runId)} - Jenkins Automated Game Player</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1em 2em; color: #222; }
+    header { border-bottom: 2px solid #ddd; margin-bottom: 1em; }
+    .result-passed { color: #1a7f37; } .result-failed { color: #cf222e; }
+    .stats { display: flex; flex-wrap: wrap; gap: 1.5em; list-style: none; padding: 0; }
+    .stats strong { display: block; font-size: 1.4em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85em; margin-bottom: 1em; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    tr.level-error { background: #ffebe9; }
+    .nowrap { white-space: nowrap; } .muted { color: #777; }
+</style>
+</head>
+<body>
+<header>
+    <h1>Load run ${escapeHtml(summary.runId)}${summary.profile !== 'default' ? ` (${escapeHtml(summary.profile)})` : ''} <span class="result-${result}">${result.toUpperCase()}</span></h1>
+    <ul class="stats">
+        <li><strong>${summary.settings.sessions}</strong>sessions</li>
+        <li><strong>${summary.games}</strong>games</li>
+        <li><strong>${percent(summary.errorRate)}</strong>error rate (limit ${percent(summary.settings.maxErrorRate)})</li>
+        <li><strong>${seconds(summary.latency ? summary.latency.p50 : null)}</strong>median game</li>
+        <li><strong>${seconds(summary.latency ? summary.latency.p95 : null)}</strong>p95 game</li>
+        <li><strong>${summary.gamesPerMinute}</strong>games per minute</li>
+    </ul>
+    <p class="muted">${escapeHtml(summary.url)} · ${escapeHtml(summary.startedAt)} → ${escapeHtml(summary.endedAt)} · ramp-up ${summary.settings.rampUpSeconds}s</p>
+</header>
+
+<h2>Sessions</h2>
+<table>
+    <thead><tr><th>Session</th><th>Games</th><th>Passed</th><th>Failed</th><th>Error rate</th><th>Min</th><th>Avg</th><th>p50</th><th>p95</th><th>Max</th></tr></thead>
+    <tbody>${sessionRows}</tbody>
+</table>
+
+<h2>Step latency</h2>
+<table>
+    <thead><tr><th>Step</th><th>Min</th><th>Avg</th><th>p50</th><th>p95</th><th>Max</th></tr></thead>
+    <tbody>${stepRows}</tbody>
+</table>
+
+<h2>Errors</h2>
+${errorRows ? `<table>
+    <thead><tr><th>Count</th><th>Step</th><th>Error</th><th>Sessions</th></tr></thead>
+    <tbody>${errorRows}</tbody>
+</table>` : '<p class="muted">No failed games.</p>'}
+
+<h2>Games</h2>
+<table>
+    <thead><tr><th>Session</th><th>Game</th><th>Run</th><th>Result</th><th>Duration</th><th>Scenarios</th><th>Error</th></tr></thead>
+    <tbody>${gameRows}</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const ReportGenerator = require('./reportGenerator');
+
+// Ways a step can go less than smoothly, counted per step by stepIssues()
+const ISSUE_KINDS = ['retries', 'exhausted', 'timeouts', 'fallbacks', 'errors'];
+
+// Reads past runs back from logs/ for --history, --show and --trends
+class RunAnalyzer {
+    constructor(baseDir = process.cwd(), profile = 'default') {
+        this.reports = new ReportGenerator(baseDir, profile);
+    }
+    
+    listRunIds() {
+        return this.reports.listRunIds();
+    }
+    
+    parseData(entry) {
+        if (!entry.data) return {};
+        try {
+            return JSON.parse(entry.data);
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Per-step issue counts for one run, e.g. { 'Navigate to game': { retries: 1, ... } }, from its summary artifact:
+    // retryWithBackoff() calls, game states that timed out, choices clicked by screen position and caught errors
+    stepIssues(run) {
+        const steps = {};
+        const count = (step, kind, amount = 1) => {
+            steps[step] = steps[step] || Object.fromEntries(ISSUE_KINDS.map(issue => [issue, 0]));
+            steps[step][kind] += amount;
+        };
+        if (!run) return steps;
+        
+        run.retries.forEach(retry => {
+            count(retry.context, 'retries', retry.attempts - 1);
+            if (!retry.succeeded) count(retry.context, 'exhausted');
+        });
+        run.stateTimeouts.forEach(timeout => count(`wait for ${timeout.state}`, 'timeouts'));
+        run.fallbacks.forEach(() => count('click choice', 'fallbacks'));
+        run.errors.forEach(error => count(error.context, 'errors'));
+        return steps;
+    }
+    
+    // Runs from before the summary artifact existed have no step data, and their result and error come from the log
+    summarizeRun(runId) {
+        const entries = this.reports.parseLog(runId);
+        const scenarios = this.reports.readJson(runId, 'scenarios');
+        const run = this.reports.readJson(runId, 'summary');
+        const summary = this.reports.summarize(runId, entries, scenarios || []);
+        const failure = entries.find(entry => entry.message === 'Game play failed');
+        const steps = this.stepIssues(run);
+        
+        return {
+            ...summary,
+            // Runs from before the scenario log existed only have the log line per scenario
+            scenarios: scenarios ? scenarios.length : entries.filter(entry => /^Attempting to play scenario \d+/.test(entry.message)).length,
+            retries: Object.values(steps).reduce((total, step) => total + step.retries, 0),
+            error: run ? run.error : (failure ? (this.parseData(failure).error || null) : null),
+            failedStep: run ? run.failedStep : null,
+            timings: run ? run.timings : {},
+            steps
+        };
+    }
+    
+    history(limit = 20) {
+        return this.listRunIds().slice(-limit).map(runId => {
+            try {
+                return this.summarizeRun(runId);
+            } catch (error) {
+                return { runId, result: 'unreadable', error: error.message, durationMs: 0, scenarios: 0, errors: 0, warnings: 0, retries: 0, steps: {} };
+            }
+        });
+    }
+    
+    show(runId) {
+        const entries = this.reports.parseLog(runId);
+        const run = this.reports.readJson(runId, 'summary');
+        const summary = this.summarizeRun(runId);
+        const scenarios = this.reports.readJson(runId, 'scenarios') || [];
+        const screenshotDir = path.join(this.reports.screenshotRoot, runId);
+        const artifacts = fs.readdirSync(this.reports.logDir)
+            .filter(file => file.startsWith(runId))
+            .map(file => path.join(this.reports.logDir, file));
+        
+        return {
+            summary,
+            transitions: run
+                ? run.transitions.map(transition => `${transition.from} → ${transition.to} (${transition.trigger}, ${transition.durationMs}ms)`)
+                : entries.filter(entry => entry.message.startsWith('Game state: ')).map(entry => entry.message.slice(12)),
+            scenarios: scenarios.map(scenario => ({
+                index: scenario.index,
+                instruction: scenario.instruction,
+                choice: scenario.choice ? scenario.choice.direction : null,
+                strategy: scenario.choice ? scenario.choice.strategy : null,
+                registered: scenario.registered
+            })),
+            problems: entries
+                .filter(entry => entry.level === 'error' || entry.level === 'warn')
+                .map(entry => ({ timestamp: entry.timestamp, level: entry.level, message: entry.message })),
+            visual: this.reports.readJson(runId, 'visual'),
+            health: this.reports.readJson(runId, 'health'),
+            performance: this.reports.readJson(runId, 'performance'),
+            mocks: this.reports.readJson(runId, 'mocks'),
+            throttling: this.reports.readJson(runId, 'throttling'),
+            artifacts,
+            screenshots: fs.existsSync(screenshotDir) ? fs.readdirSync(screenshotDir).filter(file => file.endsWith('.png')).length : 0
+        };
+    }
+    
+    // Success rate per UTC day and, per step, how many runs hit a retry, timeout, fallback or error
+    trends(days = 14) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const runs = this.history(Infinity).filter(run => run.runId.slice(0, 10) >= since);
+        
+        const byDay = {};
+        runs.forEach(run => {
+            const day = run.runId.slice(0, 10);
+            byDay[day] = byDay[day] || { day, runs: 0, passed: 0, failed: 0, other: 0 };
+            byDay[day].runs++;
+            if (run.result === 'passed') byDay[day].passed++;
+            else if (run.result === 'failed') byDay[day].failed++;
+            else byDay[day].other++;
+        });
+        
+        const bySteps = {};
+        runs.forEach(run => {
+            Object.entries(run.steps).forEach(([step, counts]) => {
+                bySteps[step] = bySteps[step] || { step, affectedRuns: 0, passedAnyway: 0, ...Object.fromEntries(ISSUE_KINDS.map(kind => [kind, 0])) };
+                bySteps[step].affectedRuns++;
+                if (run.result === 'passed') bySteps[step].passedAnyway++;
+                ISSUE_KINDS.forEach(kind => { bySteps[step][kind] += counts[kind]; });
+            });
+        });
+        
+        return {
+            since,
+            totalRuns: runs.length,
+            successRate: runs.length > 0 ? runs.filter(run => run.result === 'passed').length / runs.length : null,
+            days: Object.values(byDay)
+                .sort((a, b) => a.day.localeCompare(b.day))
+                .map(day => ({ ...day, successRate: day.passed / day.runs })),
+            steps: Object.values(bySteps)
+                .map(step => ({ ...step, flakiness: step.affectedRuns / runs.length }))
+                .sort((a, b) => b.flakiness - a.flakiness)
+        };
+    }
+}
+
+module.exports = RunAnalyzer;
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+    enabled: true,
+    file: 'logs/run-history.json',
+    maxEntries: 1000
+};
+
+// Results that mean a scheduled slot was dealt with and must not be caught up again
+const HANDLED_RESULTS = ['passed', 'failed', 'skipped', 'missed', 'running'];
+
+class RunHistory {
+    constructor(config) {
+        this.config = { ...DEFAULTS, ...(config.history || {}) };
+        this.filePath = path.resolve(process.cwd(), this.config.file);
+    }
+    
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return { runs: [] };
+        }
+        
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return { runs: Array.isArray(data.runs) ? data.runs : [] };
+        } catch (error) {
+            console.error(`Run history ${this.filePath} is unreadable, starting a new one: ${error.message}`);
+            return { runs: [] };
+        }
+    }
+    
+    // Written to a temporary file first so a crash mid-write never leaves half a history
+    save(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ runs: data.runs.slice(-this.config.maxEntries) }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+    
+    update(id, changes) {
+        if (!this.config.enabled) return null;
+        
+        const data = this.load();
+        const run = data.runs.find(entry => entry.id === id);
+        if (!run) return null;
+        
+        Object.assign(run, changes);
+        this.save(data);
+        return run;
+    }
+    
+    add(run) {
+        if (!this.config.enabled) return run;
+        
+        const data = this.load();
+        data.runs.push(run);
+        this.save(data);
+        return run;
+    }
+    
+    start({ runId, profile, trigger, entry = null, scheduledFor = null, throttling = null }) {
+        return this.add({
+            id: `${profile}:${runId}`,
+            runId,
+            profile,
+            trigger,
+            entry,
+            scheduledFor,
+            throttling,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            result: 'running',
+            pid: process.pid
+        });
+    }
+    
+    finish(id, { result, error = null, artifacts = {} }) {
+        return this.update(id, {
+            endedAt: new Date().toISOString(),
+            result,
+            error,
+            artifacts
+        });
+    }
+    
+    // Play one game and keep its history entry up to date, whatever the outcome
+    async track(gamePlayer, { trigger, entry = null, scheduledFor = null }) {
+        const run = this.start({
+            runId: gamePlayer.logger.runId,
+            profile: gamePlayer.logger.profile,
+            trigger,
+            entry,
+            scheduledFor,
+            throttling: gamePlayer.throttler.name
+        });
+        
+        let success = false;
+        try {
+            success = await gamePlayer.playGame();
+        } finally {
+            this.finish(run.id, {
+                result: success ? 'passed' : 'failed',
+                error: gamePlayer.error,
+                artifacts: gamePlayer.artifacts()
+            });
+        }
+        
+        return success;
+    }
+    
+    // A slot recorded without playing a game, e.g. skipped because the profile was busy
+    note({ profile, trigger, entry = null, scheduledFor = null, result, reason }) {
+        const now = new Date().toISOString();
+        return this.add({
+            id: `${profile}:${now}:${result}`,
+            runId: null,
+            profile,
+            trigger,
+            entry,
+            scheduledFor,
+            startedAt: now,
+            endedAt: now,
+            result,
+            error: reason
+        });
+    }
+    
+    list({ profile = null, limit = null } = {}) {
+        const runs = this.load().runs.filter(run => !profile || run.profile === profile);
+        return limit ? runs.slice(-limit) : runs;
+    }
+    
+    // `results` narrows it down, e.g. ['passed', 'failed'] to ignore skipped and missed slots
+    lastRun(profile, results = null) {
+        const runs = this.list({ profile }).filter(run => !results || results.includes(run.result));
+        return runs.length > 0 ? runs[runs.length - 1] : null;
+    }
+    
+    // Runs still marked "running" whose process is gone died with the host or the process
+    markInterrupted() {
+        if (!this.config.enabled) return [];
+        
+        const data = this.load();
+        const interrupted = data.runs.filter(run => run.result === 'running' && !this.isAlive(run.pid));
+        if (interrupted.length === 0) return [];
+        
+        interrupted.forEach(run => {
+            run.result = 'interrupted';
+            run.error = 'process ended before the run finished';
+        });
+        this.save(data);
+        return interrupted;
+    }
+    
+    isAlive(pid) {
+        if (!pid) return false;
+        if (pid === process.pid) return true;
+        
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+    
+    // Latest slot of a schedule entry that a run (or a skip/miss note) already accounts for
+    lastHandledSlot(profile, entry) {
+        const slots = this.list({ profile })
+            .filter(run => run.entry === entry && run.scheduledFor && HANDLED_RESULTS.includes(run.result))
+            .map(run => run.scheduledFor)
+            .sort();
+        return slots.length > 0 ? slots[slots.length - 1] : null;
+    }
+    
+    // Latest slot of a schedule entry that was started at all, including interrupted runs
+    lastSeenSlot(profile, entry) {
+        const slots = this.list({ profile })
+            .filter(run => run.entry === entry && run.scheduledFor)
+            .map(run => run.scheduledFor)
+            .sort();
+        return slots.length > 0 ? slots[slots.length - 1] : null;
+    }
+}
+
+module.exports = RunHistory;
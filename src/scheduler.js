@@ -1,82 +1,328 @@
 const cron = require('node-cron');
 const GamePlayer = require('./gamePlayer');
+const RunHistory = require('./runHistory');
+const Notifier = require('./notifier');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function minutesOfDay(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
 
 class Scheduler {
-    constructor(config) {
+    // `profiles` are resolved profile configs to schedule; defaults to the base config alone
+    constructor(config, profiles = null) {
         this.config = config;
+        this.profiles = profiles || [config];
         this.isRunning = false;
-        this.cronJob = null;
+        this.running = new Set();
+        this.cronJobs = new Map();
+        this.started = false;
+        this.history = new RunHistory(config);
+    }
+    
+    // Without explicit entries, dailyRunTime becomes a single daily entry
+    scheduleEntries(profile) {
+        const schedule = profile.schedule;
+        const [hour, minute] = schedule.dailyRunTime.split(':').map(Number);
+        const entries = schedule.entries && schedule.entries.length > 0
+            ? schedule.entries
+            : [{ name: 'daily', cron: `${minute} ${hour} * * *` }];
+        
+        return entries
+            .map((entry, index) => ({
+                name: entry.name || `entry-${index + 1}`,
+                cron: entry.cron,
+                timezone: entry.timezone || schedule.timezone,
+                jitterMinutes: entry.jitterMinutes !== undefined ? entry.jitterMinutes : (schedule.jitterMinutes || 0),
+                enabled: entry.enabled !== false,
+                throttling: entry.throttling || null
+            }))
+            .filter(entry => entry.enabled);
+    }
+    
+    // Tasks are created stopped so next runs can be computed before (or without) starting them
+    createJobs() {
+        if (this.cronJobs.size > 0) return;
+        
+        this.profiles.filter(profile => profile.schedule.enabled).forEach(profile => {
+            const name = this.profileName(profile);
+            
+            this.scheduleEntries(profile).forEach(entry => {
+                const job = cron.createTask(entry.cron, async (context) => {
+                    const blackout = this.activeBlackout(profile, new Date());
+                    if (blackout) {
+                        console.log(`Skipping scheduled run for profile "${name}" (${entry.name}): inside blackout window ${this.describeBlackout(blackout)}`);
+                        return;
+                    }
+                    
+                    console.log(`Scheduled game run starting for profile "${name}" (${entry.name})...`);
+                    await this.runGame(profile, { trigger: 'scheduled', entry: entry.name, scheduledFor: context.date.toISOString(), throttling: entry.throttling });
+                }, {
+                    name: `${name}:${entry.name}`,
+                    timezone: entry.timezone,
+                    maxRandomDelay: entry.jitterMinutes * 60 * 1000
+                });
+                
+                this.cronJobs.set(`${name}:${entry.name}`, { profile, entry, job });
+            });
+        });
     }
     
     start() {
-        if (!this.config.schedule.enabled) {
+        this.createJobs();
+        
+        if (this.cronJobs.size === 0) {
             console.log('Scheduling is disabled in configuration');
             return false;
         }
         
-        const [hour, minute] = this.config.schedule.dailyRunTime.split(':');
-        const cronExpression = `${minute} ${hour} * * *`; // Daily at specified time
-        
-        console.log(`Setting up daily schedule: ${this.config.schedule.dailyRunTime} (cron: ${cronExpression})`);
-        
-        this.cronJob = cron.schedule(cronExpression, async () => {
-            console.log('Scheduled game run starting...');
-            await this.runGame();
+        this.cronJobs.forEach(({ profile, entry, job }) => {
+            const jitter = entry.jitterMinutes > 0 ? `, up to ${entry.jitterMinutes} min jitter` : '';
+            console.log(`Setting up schedule "${entry.name}" for profile "${this.profileName(profile)}": ${entry.cron} (${entry.timezone}${jitter})`);
+            job.start();
         });
         
+        this.started = true;
         console.log('Scheduler started successfully');
+        
+        this.catchUp().catch(error => console.error('Missed-run catch-up failed:', error));
         return true;
     }
     
     stop() {
-        if (this.cronJob) {
-            this.cronJob.destroy();
-            this.cronJob = null;
-            console.log('Scheduler stopped');
+        if (this.cronJobs.size > 0) {
+            this.cronJobs.forEach(({ job }) => job.destroy());
+            this.cronJobs.clear();
+            if (this.started) {
+                console.log('Scheduler stopped');
+            }
+            this.started = false;
+        }
+    }
+    
+    // Blackout times are wall-clock times in the profile's schedule timezone
+    localTime(date, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        
+        return {
+            day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+    
+    activeBlackout(profile, date) {
+        const { day, minutes } = this.localTime(date, profile.schedule.timezone);
+        
+        return (profile.schedule.blackouts || []).find(blackout => {
+            const start = minutesOfDay(blackout.start);
+            const end = minutesOfDay(blackout.end);
+            let startDay = day;
+            
+            if (start <= end) {
+                if (minutes < start || minutes >= end) return false;
+            } else if (minutes < end) {
+                // Window wrapped past midnight, so it opened the day before
+                startDay = (day + 6) % 7;
+            } else if (minutes < start) {
+                return false;
+            }
+            
+            return !blackout.days || blackout.days.includes(WEEKDAYS[startDay]);
+        }) || null;
+    }
+    
+    describeBlackout(blackout) {
+        const window = `${blackout.start}-${blackout.end}${blackout.days ? ` ${blackout.days.join(',')}` : ''}`;
+        return blackout.name ? `"${blackout.name}" (${window})` : window;
+    }
+    
+    // Next cron match that is not inside a blackout window; jitter is added on top when it fires
+    nextRun({ profile, job }, from = new Date()) {
+        let next = job.timeMatcher.getNextMatch(from);
+        for (let attempt = 0; attempt < 1000; attempt++) {
+            if (!this.activeBlackout(profile, next)) return next;
+            next = job.timeMatcher.getNextMatch(next);
         }
+        return null;
+    }
+    
+    profileName(profile) {
+        return profile.profile || 'default';
     }
     
-    async runGame() {
-        if (this.isRunning) {
-            console.log('Game is already running, skipping this execution');
+    findProfile(name) {
+        return this.profiles.find(profile => this.profileName(profile) === name) || null;
+    }
+    
+    // Scheduled slots that passed while the scheduler was not running, oldest first.
+    // Entries without any recorded run have nothing to compare against and report none.
+    missedRuns(now = new Date()) {
+        this.createJobs();
+        const missed = [];
+        
+        this.cronJobs.forEach(({ profile, entry, job }) => {
+            const name = this.profileName(profile);
+            const lastSeen = this.history.lastSeenSlot(name, entry.name);
+            if (!lastSeen) return;
+            
+            const slots = [];
+            // The newest slot was started but never finished, e.g. the host went down mid-run
+            if (this.history.lastHandledSlot(name, entry.name) !== lastSeen) {
+                slots.push(new Date(lastSeen));
+            }
+            
+            let next = job.timeMatcher.getNextMatch(new Date(lastSeen));
+            while (next <= now && slots.length < 1000) {
+                if (!this.activeBlackout(profile, next)) slots.push(next);
+                next = job.timeMatcher.getNextMatch(next);
+            }
+            
+            if (slots.length > 0) {
+                missed.push({ profile, entry, slots });
+            }
+        });
+        
+        return missed;
+    }
+    
+    // Apply each profile's schedule.catchUp policy to the runs missed while the scheduler was down
+    async catchUp(now = new Date()) {
+        const interrupted = this.history.markInterrupted();
+        interrupted.forEach(run => {
+            console.log(`Run ${run.runId} for profile "${run.profile}" was interrupted before it finished`);
+        });
+        
+        for (const { profile, entry, slots } of this.missedRuns(now)) {
+            const name = this.profileName(profile);
+            const { policy, maxAgeHours } = profile.schedule.catchUp || { policy: 'skip', maxAgeHours: 24 };
+            const oldest = now.getTime() - maxAgeHours * 60 * 60 * 1000;
+            const recent = slots.filter(slot => slot.getTime() >= oldest);
+            
+            let toRun = [];
+            if (policy === 'all') {
+                toRun = recent;
+            } else if (policy === 'latest' && recent.length > 0) {
+                toRun = [recent[recent.length - 1]];
+            }
+            
+            console.log(`Profile "${name}" missed ${slots.length} scheduled run(s) of "${entry.name}" (catch-up policy: ${policy}, ${toRun.length} to run)`);
+            
+            slots.filter(slot => !toRun.includes(slot)).forEach(slot => {
+                this.history.note({
+                    profile: name,
+                    trigger: 'scheduled',
+                    entry: entry.name,
+                    scheduledFor: slot.toISOString(),
+                    result: 'missed',
+                    reason: slot.getTime() < oldest ? `older than ${maxAgeHours}h` : `catch-up policy "${policy}"`
+                });
+            });
+            
+            for (const slot of toRun) {
+                console.log(`Catching up "${entry.name}" for profile "${name}" (was due ${slot.toISOString()})...`);
+                await this.runGame(profile, { trigger: 'catch-up', entry: entry.name, scheduledFor: slot.toISOString(), throttling: entry.throttling });
+            }
+        }
+    }
+    
+    async runGame(profile = this.config, run = { trigger: 'manual' }) {
+        const name = this.profileName(profile);
+        
+        if (this.running.has(name)) {
+            console.log(`Game is already running for profile "${name}", skipping this execution`);
+            if (run.scheduledFor) {
+                this.history.note({ ...run, profile: name, result: 'skipped', reason: 'previous run still in progress' });
+            }
             return false;
         }
         
+        this.running.add(name);
         this.isRunning = true;
         
         try {
-            console.log('Starting game player...');
-            const gamePlayer = new GamePlayer(this.config);
-            const success = await gamePlayer.playGame();
+            console.log(`Starting game player for profile "${name}"...`);
+            const previousRun = this.history.lastRun(name, ['passed', 'failed', 'interrupted']);
+            const gamePlayer = new GamePlayer(profile, { throttling: run.throttling });
+            const success = await this.history.track(gamePlayer, run);
+            await new Notifier(profile).runFinished(gamePlayer, success, { previousRun, trigger: run.trigger });
             
             if (success) {
-                console.log('Game completed successfully');
+                console.log(`Game completed successfully (${name})`);
             } else {
-                console.log('Game completed with errors');
+                console.log(`Game completed with errors (${name})`);
             }
             
             return success;
         } catch (error) {
-            console.error('Error during game execution:', error);
+            console.error(`Error during game execution (${name}):`, error);
             return false;
         } finally {
-            this.isRunning = false;
+            this.running.delete(name);
+            this.isRunning = this.running.size > 0;
         }
     }
     
-    async runManual() {
+    async runManual(profileName = null, run = { trigger: 'manual' }) {
+        const profile = profileName ? this.findProfile(profileName) : this.config;
+        if (!profile) {
+            throw new Error(`Unknown profile "${profileName}"`);
+        }
+        
         console.log('Manual game run requested...');
-        return await this.runGame();
+        return await this.runGame(profile, run);
     }
     
     getStatus() {
+        this.createJobs();
+        const jobs = [...this.cronJobs.values()];
+        
+        const profiles = this.profiles.map(profile => {
+            const name = this.profileName(profile);
+            const entries = jobs
+                .filter(job => job.profile === profile)
+                .map(job => {
+                    const nextRun = this.nextRun(job);
+                    return {
+                        name: job.entry.name,
+                        cron: job.entry.cron,
+                        timezone: job.entry.timezone,
+                        jitterMinutes: job.entry.jitterMinutes,
+                        throttling: job.entry.throttling || (job.profile.throttling || {}).profile || null,
+                        nextRun: nextRun ? nextRun.toISOString() : null
+                    };
+                });
+            const nextRuns = entries.map(entry => entry.nextRun).filter(Boolean).sort();
+            
+            return {
+                profile: name,
+                url: profile.game.url,
+                scheduled: profile.schedule.enabled,
+                timezone: profile.schedule.timezone,
+                isRunning: this.running.has(name),
+                nextRun: nextRuns.length > 0 ? nextRuns[0] : null,
+                entries,
+                blackouts: (profile.schedule.blackouts || []).map(blackout => this.describeBlackout(blackout))
+            };
+        });
+        
+        const nextRuns = profiles.map(profile => profile.nextRun).filter(Boolean).sort();
+        
         return {
-            scheduled: this.config.schedule.enabled,
-            dailyTime: this.config.schedule.dailyRunTime,
+            scheduled: profiles.some(profile => profile.scheduled),
             isRunning: this.isRunning,
-            nextRun: this.cronJob ? this.cronJob.nextDates().toString() : null
+            nextRun: nextRuns.length > 0 ? nextRuns[0] : null,
+            profiles
         };
     }
 }
 
-module.exports = Scheduler;
\ No newline at end of file
+module.exports = Scheduler;
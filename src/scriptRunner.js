@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const NetworkMocker = require('./networkMocker');
+
+const ACTIONS = ['goto', 'click', 'waitFor', 'choose', 'screenshot', 'assertText', 'assertNetwork', 'mock', 'unmock', 'loop'];
+const STEP_OPTIONS = ['name', 'optional', 'timeout'];
+const SCRIPT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const GAME_STATES = ['intro', 'scenario', 'result', 'end'];
+
+// "/pattern/flags" is a regular expression, anything else (including "/api/choices") a plain substring
+function toMatcher(value) {
+    const match = /^\/(.+)\/([dgimsuy]*)$/.exec(value);
+    if (match) {
+        const regex = new RegExp(match[1], match[2]);
+        return text => regex.test(text);
+    }
+    return text => text.includes(value);
+}
+
+// 200, [200, 204] or "2xx"
+function statusMatches(expected, status) {
+    if (expected === undefined) return true;
+    if (Array.isArray(expected)) return expected.some(value => statusMatches(value, status));
+    if (typeof expected === 'string' && /^\dxx$/i.test(expected)) return Math.floor(status / 100) === Number(expected[0]);
+    return Number(expected) === status;
+}
+
+function describeStep(step) {
+    const action = ACTIONS.find(key => key in step);
+    const value = step[action];
+    if (step.name) return step.name;
+    if (action === 'loop') return `loop ×${value.times}`;
+    return `${action} ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+}
+
+// Runs JSON/YAML step scripts on a GamePlayer's page, with its Logger and ErrorHandler
+class ScriptRunner {
+    constructor(gamePlayer, scripts) {
+        this.gamePlayer = gamePlayer;
+        this.scripts = scripts;
+        this.settings = gamePlayer.config.scripts;
+        this.logger = gamePlayer.logger;
+        this.errorHandler = gamePlayer.errorHandler;
+        this.script = null;
+        this.networkStart = 0;
+        this.mutationsBefore = 0;
+        this.results = [];
+    }
+    
+    get page() {
+        return this.gamePlayer.page;
+    }
+    
+    static parseFile(filePath) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read script ${filePath}: ${error.message}`);
+        }
+        
+        try {
+            return path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            throw new Error(`Cannot parse script ${filePath}: ${error.message}`);
+        }
+    }
+    
+    // A script file, a directory of them, or a suite file listing scripts ({ "scripts": [...] })
+    static loadSuite(targets, baseDir = process.cwd()) {
+        return [].concat(targets).flatMap(target => {
+            const filePath = path.resolve(baseDir, target);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Script ${filePath} does not exist`);
+            }
+            
+            if (fs.statSync(filePath).isDirectory()) {
+                const files = fs.readdirSync(filePath)
+                    .filter(file => SCRIPT_EXTENSIONS.includes(path.extname(file)))
+                    .sort();
+                return ScriptRunner.loadSuite(files, filePath);
+            }
+            
+            const content = ScriptRunner.parseFile(filePath);
+            if (content && Array.isArray(content.scripts)) {
+                return ScriptRunner.loadSuite(content.scripts, path.dirname(filePath));
+            }
+            return [ScriptRunner.validate(content, filePath)];
+        });
+    }
+    
+    static validate(content, filePath) {
+        if (!content || !Array.isArray(content.steps)) {
+            throw new Error(`Script ${filePath} needs a "steps" list`);
+        }
+        ScriptRunner.validateSteps(content.steps, filePath);
+        
+        return {
+            name: content.name || path.basename(filePath, path.extname(filePath)),
+            description: content.description || null,
+            file: filePath,
+            url: content.url || null,
+            steps: content.steps
+        };
+    }
+    
+    static validateSteps(steps, where) {
+        steps.forEach((step, index) => {
+            const at = `${where} step ${index + 1}`;
+            if (!step || typeof step !== 'object' || Array.isArray(step)) {
+                throw new Error(`${at} must be an object like { "click": "#start" }`);
+            }
+            
+            const actions = Object.keys(step).filter(key => ACTIONS.includes(key));
+            const unknown = Object.keys(step).filter(key => !ACTIONS.includes(key) && !STEP_OPTIONS.includes(key));
+            if (unknown.length > 0) {
+                throw new Error(`${at} has unknown key(s) ${unknown.join(', ')} (actions: ${ACTIONS.join(', ')}; options: ${STEP_OPTIONS.join(', ')})`);
+            }
+            if (actions.length !== 1) {
+                throw new Error(`${at} needs exactly one action (${ACTIONS.join(', ')}), found ${actions.length}`);
+            }
+            
+            if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+                throw new Error(`${at} has a "timeout" that is not a positive number of ms`);
+            }
+            
+            const action = actions[0];
+            const value = step[action];
+            const problem = ScriptRunner.checkAction(action, value);
+            if (problem) {
+                throw new Error(`${at} (${action}): ${problem}`);
+            }
+            if (action === 'loop') {
+                ScriptRunner.validateSteps(value.steps, `${at} loop`);
+            }
+        });
+    }
+    
+    static checkAction(action, value) {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+        switch (action) {
+            case 'goto':
+                return typeof value === 'string' || (isObject && typeof value.url === 'string') ? null : 'needs a URL';
+            case 'click':
+                if (typeof value === 'string') return null;
+                if (isObject && (value.selector || value.text || (typeof value.x === 'number' && typeof value.y === 'number'))) return null;
+                return 'needs a selector, { "text": ... } or { "x": ..., "y": ... }';
+            case 'waitFor':
+                if (typeof value === 'string' || typeof value === 'number') return null;
+                if (isObject && value.state && !GAME_STATES.includes(value.state)) return `state must be one of ${GAME_STATES.join(', ')}`;
+                return isObject && (value.selector || value.text || value.state || typeof value.ms === 'number') ? null : 'needs a selector, text, state or ms';
+            case 'choose':
+                return ['left', 'right', 'auto'].includes(value) ? null : 'must be "left", "right" or "auto" (use the configured choice strategy)';
+            case 'screenshot':
+                return typeof value === 'string' && value.length > 0 ? null : 'needs a name';
+            case 'assertText': {
+                if (typeof value === 'string') return null;
+                // "" is a valid "contains" or "equals", so only a missing key counts as missing
+                const given = isObject ? ['contains', 'equals', 'matches'].filter(key => value[key] !== undefined) : [];
+                if (given.length === 0) return 'needs "contains", "equals" or "matches"';
+                const notText = given.find(key => typeof value[key] !== 'string');
+                if (notText) return `"${notText}" must be a string`;
+                return value.matches === '' ? '"matches" needs a pattern' : null;
+            }
+            case 'assertNetwork':
+                return isObject && typeof value.url === 'string' ? null : 'needs a "url" substring or /regex/';
+            case 'mock':
+                return NetworkMocker.checkRule(value);
+            case 'unmock':
+                return typeof value === 'string' && value.length > 0 ? null : 'needs a rule name, or "all"';
+            case 'loop':
+                if (!isObject || !Array.isArray(value.steps)) return 'needs a "steps" list';
+                if (value.until !== undefined && (typeof value.until !== 'string' || value.until.length === 0)) return '"until" must be a selector';
+                return Number.isInteger(value.times) && value.times > 0 ? null : 'needs "times", a positive integer';
+            default:
+                return null;
+        }
+    }
+    
+    // Every script runs even when one fails, unless scripts.continueOnFailure is false
+    async run() {
+        for (let i = 0; i < this.scripts.length; i++) {
+            const result = await this.runScript(this.scripts[i], i + 1);
+            this.results.push(result);
+            if (!result.passed && !this.settings.continueOnFailure) {
+                this.logger.warn(`Stopping the suite after script "${result.name}" failed`);
+                break;
+            }
+        }
+        
+        this.logger.writeArtifact('scripts', this.results);
+        const failed = this.results.filter(result => !result.passed);
+        const skipped = this.scripts.length - this.results.length;
+        if (failed.length > 0 || skipped > 0) {
+            throw new Error(`Script suite failed: ${failed.length} of ${this.scripts.length} script(s) failed (${failed.map(result => result.name).join(', ')})${skipped > 0 ? `, ${skipped} not run` : ''}`);
+        }
+        
+        this.logger.success(`All ${this.results.length} script(s) passed`);
+        return this.results;
+    }
+    
+    async runScript(script, number) {
+        this.script = { ...script, number };
+        this.networkStart = this.logger.networkData.length;
+        this.logger.setContext({ script: script.name });
+        this.logger.info(`Running script ${number}/${this.scripts.length}: ${script.name}`, {
+            file: script.file,
+            description: script.description
+        });
+        
+        const started = Date.now();
+        const result = { name: script.name, file: script.file, passed: false, durationMs: 0, steps: 0, failedStep: null, error: null };
+        try {
+            await this.runSteps(script.steps, result, '');
+            result.passed = true;
+            this.logger.success(`Script "${script.name}" passed`);
+        } catch (error) {
+            result.error = error.message;
+            this.logger.error(`Script "${script.name}" failed at ${result.failedStep}`, { error: error.message });
+            await this.errorHandler.captureError(error, this.page, `script "${script.name}" ${result.failedStep}`);
+        }
+        
+        result.durationMs = Date.now() - started;
+        // Mocks a script added never leak into the next one
+        this.gamePlayer.networkMocker.removeRules(rule => rule.source === this.mockSource());
+        this.logger.setContext({ script: null });
+        return result;
+    }
+    
+    async runSteps(steps, result, prefix) {
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const label = `step ${prefix}${i + 1} (${describeStep(step)})`;
+            
+            if ('loop' in step) {
+                await this.runLoop(step.loop, result, `${prefix}${i + 1}.`, label);
+                continue;
+            }
+            
+            result.steps++;
+            this.logger.info(`Script "${this.script.name}" ${label}`);
+            try {
+                await this.runStep(step);
+            } catch (error) {
+                if (step.optional) {
+                    this.logger.warn(`Optional ${label} failed, continuing`, { error: error.message });
+                    continue;
+                }
+                result.failedStep = label;
+                throw error;
+            }
+        }
+    }
+    
+    // `until` ends the loop early once that selector is on the page
+    async runLoop(loop, result, prefix, label) {
+        try {
+            for (let iteration = 1; iteration <= loop.times; iteration++) {
+                if (loop.until && await this.page.$(loop.until)) {
+                    this.logger.info(`${label}: "${loop.until}" found, leaving the loop after ${iteration - 1} iteration(s)`);
+                    return;
+                }
+                this.logger.setContext({ iteration });
+                await this.runSteps(loop.steps, result, `${prefix}${iteration}.`);
+            }
+        } finally {
+            this.logger.setContext({ iteration: null });
+        }
+    }
+    
+    async runStep(step) {
+        const timeout = step.timeout || this.settings.stepTimeoutMs;
+        const action = ACTIONS.find(key => key in step);
+        const value = step[action];
+        
+        switch (action) {
+            case 'goto':
+                return this.goto(typeof value === 'string' ? { url: value } : value);
+            case 'click':
+                return this.click(typeof value === 'string' ? { selector: value } : value, timeout);
+            case 'waitFor':
+                return this.waitFor(typeof value === 'object' ? value : (typeof value === 'number' ? { ms: value } : { selector: value }), timeout, step.timeout);
+            case 'choose':
+                return this.choose(value);
+            case 'screenshot':
+                return this.logger.screenshot(this.page, `script-${String(this.script.number).padStart(2, '0')}-${value}`, `Script "${this.script.name}": ${value}`);
+            case 'assertText':
+                return this.assertText(typeof value === 'string' ? { contains: value } : value, timeout);
+            case 'assertNetwork':
+                return this.assertNetwork(value, timeout);
+            case 'mock':
+                return this.gamePlayer.networkMocker.addRule(value, { source: this.mockSource(), baseDir: path.dirname(this.script.file) });
+            case 'unmock':
+                return this.unmock(value);
+            default:
+                throw new Error(`Unknown action "${action}"`);
+        }
+    }
+    
+    mockSource() {
+        return `script "${this.script.name}"`;
+    }
+    
+    // A rule by name, from config or any script, or every rule with "all"
+    unmock(name) {
+        const removed = this.gamePlayer.networkMocker.removeRules(rule => name === 'all' || rule.name === name);
+        if (removed === 0 && name !== 'all') {
+            throw new Error(`No mock rule named "${name}"`);
+        }
+    }
+    
+    // Relative URLs resolve against the script's "url", or the configured game URL
+    async goto({ url, waitUntil = 'domcontentloaded' }) {
+        const target = new URL(url, this.script.url || this.gamePlayer.config.game.url).href;
+        await this.errorHandler.retryWithBackoff(
+            () => this.page.goto(target, { waitUntil, timeout: this.gamePlayer.config.browser.timeout }),
+            `Navigate to ${target}`
+        );
+    }
+    
+    async click({ selector, text, x, y }, timeout) {
+        this.mutationsBefore = await this.gamePlayer.stateMachine.mutationCount();
+        
+        if (text) {
+            const element = await this.findByText(text, selector || 'body *', timeout);
+            await element.click();
+        } else if (selector) {
+            const element = await this.page.waitForSelector(selector, { visible: true, timeout });
+            await element.click();
+        } else {
+            await this.page.mouse.click(x, y);
+        }
+    }
+    
+    // The innermost visible element under `scope` whose text contains `text`
+    async findByText(text, scope, timeout) {
+        const handle = await this.page.waitForFunction((wanted, within) => {
+            const matches = Array.from(document.querySelectorAll(within)).filter(element => {
+                const rect = element.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0 && (element.innerText || '').includes(wanted);
+            });
+            return matches.find(element => !matches.some(other => other !== element && element.contains(other))) || null;
+        }, { timeout, polling: 200 }, text, scope);
+        return handle.asElement();
+    }
+    
+    // A game state waits as long as game.stateTimeouts allows for it, unless the step sets its own timeout
+    async waitFor({ selector, text, state, ms, hidden = false }, timeout, stepTimeout) {
+        if (typeof ms === 'number') {
+            await this.errorHandler.sleep(ms);
+        } else if (state) {
+            await this.waitForState(state, stepTimeout);
+        } else if (text) {
+            await this.findByText(text, selector || 'body *', timeout);
+        } else {
+            await this.page.waitForSelector(selector, hidden ? { hidden: true, timeout } : { visible: true, timeout });
+        }
+    }
+    
+    // Uses the game state machine, measured from the last click or choice
+    async waitForState(state, timeout) {
+        const stateMachine = this.gamePlayer.stateMachine;
+        let trigger;
+        switch (state) {
+            case 'intro':
+                trigger = await stateMachine.waitForIntro(timeout);
+                break;
+            case 'scenario':
+                trigger = await stateMachine.waitForScenario(this.mutationsBefore, this.gamePlayer.waitForGameState.bind(this.gamePlayer), timeout);
+                break;
+            case 'result':
+                trigger = await stateMachine.waitForResult(this.mutationsBefore, timeout);
+                break;
+            default:
+                trigger = await stateMachine.waitForEnd(timeout);
+        }
+        
+        if (!trigger) {
+            throw new Error(`Timed out waiting for game state "${state}"`);
+        }
+    }
+    
+    // "auto" asks the configured choice strategy, like the built-in flow
+    async choose(value) {
+        const gamePlayer = this.gamePlayer;
+        gamePlayer.scenarioCount++;
+        let direction = value;
+        if (value === 'auto') {
+            const instruction = await gamePlayer.readScenarioInstructions();
+            const decision = await gamePlayer.determineChoice({ instruction });
+            direction = decision.direction;
+            this.logger.info(`Strategy chose ${direction}`, decision);
+        }
+        
+        this.mutationsBefore = await gamePlayer.stateMachine.mutationCount();
+        await gamePlayer.clickChoice(direction);
+        gamePlayer.choiceIndex++;
+        gamePlayer.previousChoices.push(direction);
+    }
+    
+    async assertText({ selector = 'body', contains, equals, matches }, timeout) {
+        const expectation = contains !== undefined ? `contain "${contains}"`
+            : (equals !== undefined ? `equal "${equals}"` : `match ${matches}`);
+        const test = (actual) => {
+            if (contains !== undefined) return actual.includes(contains);
+            if (equals !== undefined) return actual.trim() === equals;
+            return toMatcher(matches.startsWith('/') ? matches : `/${matches}/`)(actual);
+        };
+        
+        const started = Date.now();
+        let actual = null;
+        do {
+            actual = await this.page.$eval(selector, element => element.innerText || element.textContent || '').catch(() => null);
+            if (actual !== null && test(actual)) return;
+            await this.errorHandler.sleep(200);
+        } while (Date.now() - started < timeout);
+        
+        throw new Error(actual === null
+            ? `Expected ${selector} to ${expectation}, but no element matches ${selector}`
+            : `Expected text of ${selector} to ${expectation}, but it was "${actual.trim().slice(0, 200)}"`);
+    }
+    
+    // Looks at responses since the script started; needs logging.captureNetwork
+    async assertNetwork({ url, method, status, minCount = 1, maxCount = null }, timeout) {
+        if (!this.gamePlayer.config.logging.captureNetwork) {
+            throw new Error('assertNetwork needs logging.captureNetwork to be enabled');
+        }
+        
+        const matchesUrl = toMatcher(url);
+        const find = () => this.logger.networkData.slice(this.networkStart).filter(entry => matchesUrl(entry.url) &&
+            (!method || entry.method === method.toUpperCase()) &&
+            statusMatches(status, entry.status));
+        const describe = `${method ? `${method.toUpperCase()} ` : ''}${url}${status !== undefined ? ` with status ${[].concat(status).join('/')}` : ''}`;
+        
+        // Waiting only helps while too few responses have arrived
+        const started = Date.now();
+        let found = find();
+        while (found.length < minCount && Date.now() - started < timeout) {
+            await this.errorHandler.sleep(200);
+            found = find();
+        }
+        
+        if (found.length < minCount) {
+            const sameUrl = this.logger.networkData.slice(this.networkStart).filter(entry => matchesUrl(entry.url));
+            throw new Error(`Expected at least ${minCount} response(s) for ${describe}, got ${found.length}` +
+                (sameUrl.length > found.length ? ` (other responses for that URL: ${sameUrl.map(entry => `${entry.method} ${entry.status}`).join(', ')})` : ''));
+        }
+        if (maxCount !== null && found.length > maxCount) {
+            throw new Error(`Expected at most ${maxCount} response(s) for ${describe}, got ${found.length}`);
+        }
+        this.logger.info(`Network assertion passed: ${found.length} response(s) for ${describe}`);
+    }
+}
+
+module.exports = ScriptRunner;
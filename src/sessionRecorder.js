@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+// Runs inside every page: reports clicks and key presses with a selector for the target element
+const CAPTURE_SCRIPT = `(() => {
+    const selectorFor = (element) => {
+        if (!(element instanceof Element)) return null;
+        if (element === document.body || element === document.documentElement) return 'body';
+        const testId = element.getAttribute('data-testid');
+        if (testId) return '[data-testid="' + CSS.escape(testId) + '"]';
+        
+        const parts = [];
+        let current = element;
+        while (current && current !== document.body && parts.length < 6) {
+            if (current.id) {
+                parts.unshift('#' + CSS.escape(current.id));
+                return parts.join(' > ');
+            }
+            let part = current.tagName.toLowerCase();
+            const parent = current.parentElement;
+            const sameTag = parent ? [...parent.children].filter(child => child.tagName === current.tagName) : [];
+            if (sameTag.length > 1) {
+                part += ':nth-of-type(' + (sameTag.indexOf(current) + 1) + ')';
+            }
+            parts.unshift(part);
+            current = parent;
+        }
+        return (current === document.body ? 'body > ' : '') + parts.join(' > ');
+    };
+    
+    const textOf = (element) => (element && element.innerText ? element.innerText.trim().replace(/\\s+/g, ' ').slice(0, 80) : '');
+    
+    // Where in the element the click landed, as a share of its width and height, so a replay can hit the same
+    // spot of the element wherever it is laid out
+    const offsetIn = (element, event) => {
+        if (!(element instanceof Element)) return null;
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+        const share = (value) => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+        return { x: share((event.clientX - rect.left) / rect.width), y: share((event.clientY - rect.top) / rect.height) };
+    };
+    
+    document.addEventListener('click', (event) => {
+        window.__recordStep({
+            type: 'click',
+            selector: selectorFor(event.target),
+            text: textOf(event.target),
+            x: Math.round(event.clientX),
+            y: Math.round(event.clientY),
+            scrollX: Math.round(window.scrollX),
+            scrollY: Math.round(window.scrollY),
+            offset: offsetIn(event.target, event),
+            at: Date.now()
+        });
+    }, true);
+    
+    document.addEventListener('keydown', (event) => {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key) || event.repeat) return;
+        window.__recordStep({
+            type: 'key',
+            key: event.key,
+            selector: selectorFor(document.activeElement),
+            at: Date.now()
+        });
+    }, true);
+})();`;
+
+// Opens a headed browser on the game and turns what the tester does into a replayable script.
+// `onStep` is called with every step as it is recorded, e.g. to show it on the terminal.
+class SessionRecorder {
+    constructor(config, outputPath = null, { onStep = null } = {}) {
+        this.config = config;
+        this.settings = config.recording;
+        this.outputPath = outputPath || path.join(
+            process.cwd(),
+            this.settings.dir,
+            `${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`
+        );
+        this.browser = null;
+        this.page = null;
+        this.steps = [];
+        this.onStep = onStep;
+        this.startedAt = null;
+        this.saved = null;
+    }
+    
+    // One line per step, e.g. "click #start (640, 360)"
+    static describe(step) {
+        const details = step.type === 'navigate' ? step.url : (step.type === 'key' ? step.key : `${step.selector} (${step.x}, ${step.y})`);
+        return `${step.type} ${details}`;
+    }
+    
+    async start() {
+        this.browser = await puppeteer.launch({
+            headless: false,
+            defaultViewport: this.config.browser.viewport,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        
+        const pages = await this.browser.pages();
+        this.page = pages[0] || await this.browser.newPage();
+        await this.page.exposeFunction('__recordStep', (step) => this.addStep(step));
+        await this.page.evaluateOnNewDocument(CAPTURE_SCRIPT);
+        
+        this.page.on('framenavigated', (frame) => {
+            if (frame === this.page.mainFrame() && frame.url() !== 'about:blank') {
+                this.addStep({ type: 'navigate', url: frame.url(), at: Date.now() });
+            }
+        });
+        
+        this.startedAt = Date.now();
+        await this.page.goto(this.config.game.url, { waitUntil: 'domcontentloaded', timeout: this.config.browser.timeout });
+        
+        // Closing the browser window ends the recording
+        return new Promise(resolve => {
+            this.browser.once('disconnected', () => resolve(this.save()));
+        });
+    }
+    
+    addStep(step) {
+        const last = this.steps[this.steps.length - 1];
+        // Redirects and reloads can report the same URL twice in a row; one entry is enough
+        if (step.type === 'navigate' && last && last.type === 'navigate' && last.url === step.url) return;
+        
+        this.steps.push(step);
+        if (this.onStep) {
+            this.onStep(step);
+        }
+    }
+    
+    async stop() {
+        if (this.browser && this.browser.connected) {
+            await this.browser.close();
+        }
+        return this.save();
+    }
+    
+    // Steps are ordered by when they happened and keep the pause before each one as delayMs
+    save() {
+        if (this.saved) return this.saved;
+        
+        const steps = [...this.steps].sort((a, b) => a.at - b.at);
+        let previous = this.startedAt;
+        const recording = {
+            version: 1,
+            url: this.config.game.url,
+            recordedAt: new Date(this.startedAt).toISOString(),
+            viewport: this.config.browser.viewport,
+            steps: steps.map(({ at, ...step }) => {
+                const delayMs = Math.max(0, at - previous);
+                previous = at;
+                return { ...step, delayMs };
+            })
+        };
+        
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(recording, null, 2));
+        this.saved = { path: this.outputPath, steps: recording.steps.length };
+        return this.saved;
+    }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,174 @@
+const fs = require('fs');
+
+const STEP_TYPES = ['navigate', 'click', 'key'];
+
+// Plays a script from --record back through a GamePlayer's page, logger and error handler
+class SessionReplayer {
+    constructor(gamePlayer, recording) {
+        this.gamePlayer = gamePlayer;
+        this.recording = recording;
+        this.settings = gamePlayer.config.recording;
+        this.logger = gamePlayer.logger;
+        this.errorHandler = gamePlayer.errorHandler;
+    }
+    
+    static load(filePath) {
+        let recording;
+        try {
+            recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read recording ${filePath}: ${error.message}`);
+        }
+        
+        if (!Array.isArray(recording.steps)) {
+            throw new Error(`Recording ${filePath} has no "steps" list`);
+        }
+        recording.steps.forEach((step, index) => {
+            if (!STEP_TYPES.includes(step.type)) {
+                throw new Error(`Recording ${filePath} step ${index + 1} has unknown type "${step.type}" (expected ${STEP_TYPES.join(', ')})`);
+            }
+        });
+        return recording;
+    }
+    
+    get page() {
+        return this.gamePlayer.page;
+    }
+    
+    // URLs recorded against one target are replayed against the configured one, e.g. fixture → live
+    targetUrl(url) {
+        const recordedBase = this.recording.url;
+        const base = this.gamePlayer.config.game.url;
+        if (!recordedBase || recordedBase === base) return url;
+        
+        const recordedOrigin = new URL(recordedBase).origin;
+        return url.startsWith(recordedOrigin) ? new URL(base).origin + url.slice(recordedOrigin.length) : url;
+    }
+    
+    // The recorded point, in the viewport, once the recorded scroll position is restored. With another viewport
+    // size it is only scaled along, which lands on the same element only in layouts that stretch with the window;
+    // centred or fixed-width layouts move it elsewhere, so that case is logged.
+    scalePoint(step) {
+        const recorded = this.recording.viewport;
+        const current = this.gamePlayer.config.browser.viewport;
+        if (!recorded || !current || (recorded.width === current.width && recorded.height === current.height)) {
+            return { x: step.x, y: step.y };
+        }
+        
+        this.logger.warn(`Viewport ${current.width}x${current.height} differs from the recorded ${recorded.width}x${recorded.height}; the scaled point may miss the element`);
+        return {
+            x: Math.round(step.x * current.width / recorded.width),
+            y: Math.round(step.y * current.height / recorded.height)
+        };
+    }
+    
+    // The spot inside the element the recording clicked, from the offset taken as a share of its size
+    async elementPoint(element, offset) {
+        const box = await element.boundingBox();
+        if (!box) return null;
+        return { x: box.x + box.width * offset.x, y: box.y + box.height * offset.y };
+    }
+    
+    async run() {
+        const { steps } = this.recording;
+        this.logger.info(`Replaying ${steps.length} recorded steps`, {
+            recordedAt: this.recording.recordedAt,
+            recordedUrl: this.recording.url,
+            speed: this.settings.replaySpeed
+        });
+        
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const number = i + 1;
+            this.logger.setContext({ replayStep: number });
+            
+            const delay = Math.min(step.delayMs || 0, this.settings.maxDelayMs) / this.settings.replaySpeed;
+            if (delay > 0) {
+                await this.errorHandler.sleep(delay);
+            }
+            
+            try {
+                await this.runStep(step, number, steps.length);
+            } catch (error) {
+                const canContinue = await this.errorHandler.handleError(error, this.page, `Replay step ${number} (${step.type})`);
+                if (!canContinue) {
+                    this.logger.setContext({ replayStep: null });
+                    throw new Error(`Replay step ${number} (${step.type}) failed: ${error.message}`);
+                }
+            }
+        }
+        
+        this.logger.setContext({ replayStep: null });
+        await this.logger.screenshot(this.page, 'replay-final', 'Final state after replay');
+        this.logger.success(`Replayed ${steps.length} recorded steps`);
+        return steps.length;
+    }
+    
+    async runStep(step, number, total) {
+        const label = `Replay step ${number}/${total}`;
+        
+        if (step.type === 'navigate') {
+            const url = this.targetUrl(step.url);
+            this.logger.info(`${label}: navigate to ${url}`);
+            // The click before it has usually started this navigation already
+            const alreadyThere = await this.page.waitForFunction(
+                expected => window.location.href === expected,
+                { timeout: this.settings.navigationGraceMs },
+                url
+            ).then(() => true, () => false);
+            if (!alreadyThere) {
+                await this.errorHandler.retryWithBackoff(
+                    () => this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.gamePlayer.config.browser.timeout }),
+                    `${label} navigate`
+                );
+            }
+            await this.logger.screenshot(this.page, `replay-${String(number).padStart(3, '0')}-navigate`, `After navigating to ${url}`);
+            return;
+        }
+        
+        if (step.type === 'click') {
+            this.logger.info(`${label}: click ${step.selector || `(${step.x}, ${step.y})`}`, { text: step.text });
+            const method = await this.click(step);
+            this.logger.debug(`${label}: clicked via ${method}`);
+            await this.logger.screenshot(this.page, `replay-${String(number).padStart(3, '0')}-click`, `After clicking ${step.text || step.selector}`);
+            return;
+        }
+        
+        this.logger.info(`${label}: press ${step.key}`);
+        await this.page.keyboard.press(step.key);
+    }
+    
+    // The recorded selector first, at the same spot inside the element when the recording has it;
+    // the recorded point, at the recorded scroll position, when the element is gone or hidden
+    async click(step) {
+        if (step.selector && step.selector !== 'body') {
+            try {
+                const element = await this.page.waitForSelector(step.selector, { visible: true, timeout: this.settings.selectorTimeoutMs });
+                if (step.offset) {
+                    await element.scrollIntoView();
+                    const point = await this.elementPoint(element, step.offset);
+                    if (point) {
+                        await this.page.mouse.click(point.x, point.y);
+                        return 'selector';
+                    }
+                }
+                await element.click();
+                return 'selector';
+            } catch (error) {
+                this.logger.warn(`Recorded selector not clickable, clicking the recorded point instead: ${step.selector}`, { error: error.message });
+            }
+        }
+        
+        if (typeof step.x !== 'number' || typeof step.y !== 'number') {
+            throw new Error(`Element not found for recorded selector ${step.selector} and no coordinates to fall back on`);
+        }
+        if (typeof step.scrollX === 'number' && typeof step.scrollY === 'number') {
+            await this.page.evaluate((x, y) => window.scrollTo(x, y), step.scrollX, step.scrollY);
+        }
+        const { x, y } = this.scalePoint(step);
+        await this.page.mouse.click(x, y);
+        return 'coordinates';
+    }
+}
+
+module.exports = SessionReplayer;
@@ -0,0 +1,233 @@
+const path = require('path');
+
+const DIRECTIONS = ['left', 'right'];
+
+const NUMBER_WORDS = {
+    no: 0, none: 0, zero: 0, one: 1, a: 1, an: 1, two: 2, three: 3, four: 4, five: 5,
+    six: 6, seven: 7, eight: 8, nine: 9, ten: 10, dozen: 12
+};
+
+// Deterministic PRNG (mulberry32) so seeded runs make the same choices every time
+function createRandom(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    let state = typeof seed === 'number' ? seed : [...String(seed)].reduce(
+        (hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261
+    );
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Split instruction text into clauses that each talk about at most one track
+function splitClauses(text) {
+    return text.split(/[.,;:?!]|\b(?:or|but|while|whereas|versus|vs)\b/i)
+        .map(clause => clause.trim())
+        .filter(Boolean);
+}
+
+function sideOf(clause) {
+    const mentionsLeft = /\bleft\b/i.test(clause);
+    const mentionsRight = /\bright\b/i.test(clause);
+    if (mentionsLeft === mentionsRight) return null;
+    return mentionsLeft ? 'left' : 'right';
+}
+
+function countVictims(clause) {
+    if (/\b(empty|no one|nobody)\b/i.test(clause)) {
+        return 0;
+    }
+
+    const digits = clause.match(/\d+/g);
+    if (digits) {
+        return digits.reduce((sum, n) => sum + Number(n), 0);
+    }
+
+    const word = clause.toLowerCase().split(/\s+/).find(w => w in NUMBER_WORDS && w !== 'a' && w !== 'an');
+    return word ? NUMBER_WORDS[word] : 1;
+}
+
+const builtInStrategies = {
+    random: (options) => {
+        const random = createRandom(options.seed);
+        return () => ({ direction: random() < 0.5 ? 'left' : 'right', reason: 'coin flip' });
+    },
+
+    'seeded-random': (options) => {
+        // The schema defaults seed to null, which would mean Math.random here
+        const seed = options.seed !== undefined && options.seed !== null ? options.seed : 1;
+        const random = createRandom(seed);
+        return () => ({ direction: random() < 0.5 ? 'left' : 'right', reason: `seeded coin flip (seed ${seed})` });
+    },
+
+    'weighted-random': (options) => {
+        const weights = options.weights || { left: 1, right: 1 };
+        const total = (weights.left || 0) + (weights.right || 0);
+        if (total <= 0) {
+            throw new Error('weighted-random strategy needs a positive weight for left or right');
+        }
+        const random = createRandom(options.seed);
+        return () => ({
+            direction: random() * total < (weights.left || 0) ? 'left' : 'right',
+            reason: `weighted draw (left ${weights.left || 0}, right ${weights.right || 0})`
+        });
+    },
+
+    pattern: (options) => {
+        const pattern = options.pattern || [];
+        if (pattern.length === 0) {
+            throw new Error('pattern strategy needs a non-empty "pattern" array');
+        }
+        return ({ previousChoices }) => {
+            const position = previousChoices.length % pattern.length;
+            return { direction: pattern[position], reason: `pattern position ${position}` };
+        };
+    },
+
+    left: () => () => ({ direction: 'left', reason: 'fixed direction' }),
+
+    right: () => () => ({ direction: 'right', reason: 'fixed direction' }),
+
+    // Scores each side from JSON rules applied to the instruction text. "prefer" names the side to click,
+    // which in the fixture game is the side that is saved:
+    //   { "type": "keyword", "pattern": "doctor", "prefer": "same" | "other" | "left" | "right", "score": 2 }
+    //   { "type": "count", "prefer": "fewer" | "more", "score": 3 }
+    rules: (options) => {
+        const rules = options.rules || [];
+        const random = createRandom(options.seed);
+
+        return ({ instruction }) => {
+            const scores = { left: 0, right: 0 };
+            const matched = [];
+            const clauses = splitClauses(instruction || '');
+
+            rules.forEach((rule, index) => {
+                const name = rule.name || `rule ${index + 1}`;
+                const score = rule.score !== undefined ? rule.score : 1;
+
+                if (rule.type === 'count') {
+                    const counts = {};
+                    clauses.forEach(clause => {
+                        const side = sideOf(clause);
+                        if (side) counts[side] = (counts[side] || 0) + countVictims(clause);
+                    });
+                    if (counts.left === undefined || counts.right === undefined || counts.left === counts.right) {
+                        return;
+                    }
+                    const fewer = counts.left < counts.right ? 'left' : 'right';
+                    const preferred = rule.prefer === 'more' ? (fewer === 'left' ? 'right' : 'left') : fewer;
+                    scores[preferred] += score;
+                    matched.push(`${name}: ${preferred} (${counts.left} vs ${counts.right})`);
+                    return;
+                }
+
+                const pattern = new RegExp(rule.pattern, 'i');
+                clauses.filter(clause => pattern.test(clause)).forEach(clause => {
+                    let preferred = rule.prefer;
+                    if (preferred === 'same' || preferred === 'other') {
+                        const side = sideOf(clause);
+                        if (!side) return;
+                        preferred = preferred === 'same' ? side : (side === 'left' ? 'right' : 'left');
+                    }
+                    if (DIRECTIONS.includes(preferred)) {
+                        scores[preferred] += score;
+                        matched.push(`${name}: ${preferred}`);
+                    }
+                });
+            });
+
+            if (scores.left === scores.right) {
+                const tieBreaker = options.tieBreaker || 'random';
+                const direction = DIRECTIONS.includes(tieBreaker) ? tieBreaker : (random() < 0.5 ? 'left' : 'right');
+                return { direction, reason: `tie (${scores.left}-${scores.right}), ${tieBreaker} tie-breaker`, scores, matched };
+            }
+
+            const direction = scores.left > scores.right ? 'left' : 'right';
+            return { direction, reason: `rule score ${scores.left}-${scores.right}`, scores, matched };
+        };
+    }
+};
+
+class StrategyRegistry {
+    constructor() {
+        this.factories = new Map();
+        Object.entries(builtInStrategies).forEach(([name, factory]) => this.register(name, factory));
+    }
+
+    register(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Strategy "${name}" must be a factory function`);
+        }
+        this.factories.set(name, factory);
+    }
+
+    has(name) {
+        return this.factories.has(name);
+    }
+
+    list() {
+        return [...this.factories.keys()];
+    }
+
+    // A custom module exports either a choose(context, options) function or
+    // an object with a `choose` function and an optional `name`. With `expectedName` (choices.strategy),
+    // a module registering under another name is an error rather than a failed lookup later.
+    loadModule(modulePath, expectedName = null) {
+        const resolved = path.resolve(process.cwd(), modulePath);
+        let loaded;
+
+        try {
+            loaded = require(resolved);
+        } catch (error) {
+            throw new Error(`Failed to load strategy module ${resolved}: ${error.message}`);
+        }
+
+        const choose = typeof loaded === 'function' ? loaded : loaded && loaded.choose;
+        if (typeof choose !== 'function') {
+            throw new Error(`Strategy module ${resolved} must export a choose(context, options) function`);
+        }
+
+        const name = (loaded && loaded.name && typeof loaded !== 'function') ? loaded.name : 'custom';
+        if (expectedName && name !== expectedName) {
+            throw new Error(`Strategy module ${resolved} registers the strategy "${name}", but choices.strategy is "${expectedName}"; set choices.strategy to "${name}"`);
+        }
+        this.register(name, (options) => (context) => choose(context, options));
+        return name;
+    }
+
+    create(choicesConfig) {
+        const options = choicesConfig || {};
+        if (options.module) {
+            this.loadModule(options.module, options.strategy);
+        }
+
+        const name = options.strategy || 'random';
+        if (!this.has(name)) {
+            throw new Error(`Unknown choice strategy "${name}". Available: ${this.list().join(', ')}`);
+        }
+
+        const choose = this.factories.get(name)(options, this);
+
+        return {
+            name,
+            choose: async (context) => {
+                const result = await choose(context);
+                const decision = typeof result === 'string' ? { direction: result } : { ...result };
+
+                if (!DIRECTIONS.includes(decision.direction)) {
+                    throw new Error(`Strategy "${name}" returned invalid direction: ${JSON.stringify(decision.direction)}`);
+                }
+
+                return { ...decision, strategy: name, reason: decision.reason || 'custom strategy' };
+            }
+        };
+    }
+}
+
+module.exports = StrategyRegistry;
@@ -0,0 +1,155 @@
+// Built-in profiles; network figures follow Chrome DevTools' presets, throughput in kbit/s
+const PROFILES = {
+    'slow-3g': {
+        description: 'Slow 3G',
+        network: { latencyMs: 2000, downloadKbps: 400, uploadKbps: 400 }
+    },
+    'fast-3g': {
+        description: 'Fast 3G',
+        network: { latencyMs: 563, downloadKbps: 1440, uploadKbps: 675 }
+    },
+    'offline-then-online': {
+        description: 'Connection drops for 10 s, 2 s after the first page load',
+        offline: { afterMs: 2000, durationMs: 10000 }
+    },
+    'cpu-4x': {
+        description: '4x CPU slowdown',
+        cpuSlowdown: 4
+    },
+    'mobile': {
+        description: 'Fast 3G on a 4x slower CPU, like a mid-range phone',
+        network: { latencyMs: 563, downloadKbps: 1440, uploadKbps: 675 },
+        cpuSlowdown: 4
+    }
+};
+
+function kbpsToBytes(kbps) {
+    return kbps === undefined ? -1 : Math.round(kbps * 1000 / 8);
+}
+
+// Slows the page's network and CPU through the DevTools protocol, as one named profile per run
+class Throttler {
+    // `profileName` (from a schedule entry or the API) wins over throttling.profile
+    constructor(config, logger, profileName = null) {
+        this.config = config.throttling || { profile: null, profiles: {} };
+        this.logger = logger;
+        this.name = profileName || this.config.profile || null;
+        this.settings = this.name ? Throttler.profiles(this.config)[this.name] || null : null;
+        this.page = null;
+        this.timers = [];
+        this.events = [];
+    }
+    
+    // Built-in profiles, overridden or extended by throttling.profiles
+    static profiles(throttling) {
+        return { ...PROFILES, ...((throttling && throttling.profiles) || {}) };
+    }
+    
+    // Problem with a profile name from the config, a schedule entry or the command line, or null when it exists
+    static checkName(name, throttling) {
+        if (name === null || name === undefined) return null;
+        
+        const names = Object.keys(Throttler.profiles(throttling));
+        return names.includes(name) ? null : `unknown throttling profile "${name}" (${names.join(', ')})`;
+    }
+    
+    static describe(settings) {
+        const parts = [];
+        if (settings.network) {
+            const { latencyMs, downloadKbps, uploadKbps } = settings.network;
+            if (latencyMs) parts.push(`${latencyMs} ms latency`);
+            if (downloadKbps !== undefined) parts.push(`${downloadKbps} kbit/s down`);
+            if (uploadKbps !== undefined) parts.push(`${uploadKbps} kbit/s up`);
+        }
+        if (settings.cpuSlowdown > 1) parts.push(`CPU ${settings.cpuSlowdown}x slower`);
+        if (settings.offline) {
+            parts.push(`offline for ${settings.offline.durationMs} ms, ${settings.offline.afterMs || 0} ms after the first page load`);
+        }
+        return parts.join(', ') || 'no throttling';
+    }
+    
+    // Must run before the first navigation so the whole page load is throttled
+    async attach(page) {
+        if (!this.name) return;
+        if (!this.settings) {
+            throw new Error(Throttler.checkName(this.name, this.config));
+        }
+        
+        this.page = page;
+        if (this.settings.network) {
+            await page.emulateNetworkConditions(this.networkConditions());
+        }
+        if (this.settings.cpuSlowdown > 1) {
+            await page.emulateCPUThrottling(this.settings.cpuSlowdown);
+        }
+        if (this.settings.offline) {
+            page.once('load', () => this.scheduleOffline());
+        }
+        this.logger.info(`Throttling: ${this.name} (${Throttler.describe(this.settings)})`, { profile: this.name, ...this.settings });
+    }
+    
+    networkConditions() {
+        const network = this.settings.network;
+        return {
+            latency: network.latencyMs || 0,
+            download: kbpsToBytes(network.downloadKbps),
+            upload: kbpsToBytes(network.uploadKbps)
+        };
+    }
+    
+    scheduleOffline() {
+        const { afterMs = 0, durationMs } = this.settings.offline;
+        this.timers.push(setTimeout(() => this.setOffline(true), afterMs));
+        this.timers.push(setTimeout(() => this.setOffline(false), afterMs + durationMs));
+    }
+    
+    async setOffline(offline) {
+        if (!this.page || this.page.isClosed()) return;
+        
+        try {
+            await this.page.setOfflineMode(offline);
+            this.events.push({ at: new Date().toISOString(), offline });
+            if (offline) {
+                this.logger.warn(`Network offline (throttling profile ${this.name})`);
+            } else {
+                this.logger.info(`Network back online (throttling profile ${this.name})`);
+            }
+        } catch (error) {
+            this.logger.debug('Could not change offline mode', { offline, error: error.message });
+        }
+    }
+    
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+    
+    // What the run was throttled with, and when it went offline and back online.
+    // A profile that does not exist was never applied, and attach() failed the run with the reason.
+    summary() {
+        if (!this.settings) {
+            return {
+                profile: this.name,
+                description: null,
+                settings: `not applied: ${Throttler.checkName(this.name, this.config)}`,
+                network: null,
+                cpuSlowdown: 1,
+                offline: null,
+                events: this.events
+            };
+        }
+        
+        return {
+            profile: this.name,
+            description: this.settings.description || null,
+            settings: Throttler.describe(this.settings),
+            network: this.settings.network || null,
+            cpuSlowdown: this.settings.cpuSlowdown || 1,
+            offline: this.settings.offline || null,
+            events: this.events
+        };
+    }
+}
+
+module.exports = Throttler;
+module.exports.PROFILES = PROFILES;
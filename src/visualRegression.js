@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DEFAULTS = {
+    enabled: false,
+    baselineDir: 'baselines',
+    threshold: 0.1,
+    maxDiffRatio: 0.01,
+    failOnDifference: true,
+    steps: {}
+};
+
+class VisualRegression {
+    constructor(config, logger) {
+        this.config = { ...DEFAULTS, ...(config.visualRegression || {}) };
+        this.logger = logger;
+        this.baselineDir = path.resolve(process.cwd(), this.config.baselineDir, config.profile && config.profile !== 'default' ? config.profile : '');
+    }
+
+    // Step settings are keyed by screenshot name, with "*" matching any run of characters
+    stepSettings(name) {
+        const settings = { threshold: this.config.threshold, maxDiffRatio: this.config.maxDiffRatio, ignoreRegions: [] };
+
+        Object.entries(this.config.steps).forEach(([pattern, overrides]) => {
+            const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+            if (regex.test(name)) {
+                Object.assign(settings, overrides);
+            }
+        });
+
+        return settings;
+    }
+
+    listSteps(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        // Error screenshots are timestamped and never comparable
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.png') && !file.startsWith('error-'))
+            .map(file => file.slice(0, -4))
+            .sort();
+    }
+
+    readPng(filePath) {
+        return PNG.sync.read(fs.readFileSync(filePath));
+    }
+
+    // Paint ignored regions the same colour in both images so they never count as different
+    maskRegions(png, regions) {
+        regions.forEach(({ x, y, width, height }) => {
+            for (let row = Math.max(0, y); row < Math.min(png.height, y + height); row++) {
+                for (let col = Math.max(0, x); col < Math.min(png.width, x + width); col++) {
+                    const idx = (png.width * row + col) << 2;
+                    png.data[idx] = 255;
+                    png.data[idx + 1] = 0;
+                    png.data[idx + 2] = 255;
+                    png.data[idx + 3] = 255;
+                }
+            }
+        });
+    }
+
+    compareStep(name, screenshotDir, diffDir) {
+        const settings = this.stepSettings(name);
+        const baselinePath = path.join(this.baselineDir, `${name}.png`);
+        const currentPath = path.join(screenshotDir, `${name}.png`);
+
+        if (settings.ignore) {
+            return { name, status: 'skipped', passed: true };
+        }
+
+        if (!fs.existsSync(baselinePath)) {
+            return { name, status: 'new', passed: true, reason: 'no approved baseline' };
+        }
+
+        const baseline = this.readPng(baselinePath);
+        const current = this.readPng(currentPath);
+
+        if (baseline.width !== current.width || baseline.height !== current.height) {
+            return {
+                name,
+                status: 'changed',
+                passed: false,
+                reason: `size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}`
+            };
+        }
+
+        this.maskRegions(baseline, settings.ignoreRegions);
+        this.maskRegions(current, settings.ignoreRegions);
+
+        const diff = new PNG({ width: current.width, height: current.height });
+        const diffPixels = pixelmatch(baseline.data, current.data, diff.data, current.width, current.height, {
+            threshold: settings.threshold
+        });
+        const diffRatio = diffPixels / (current.width * current.height);
+        const passed = diffRatio <= settings.maxDiffRatio;
+
+        let diffPath = null;
+        if (diffPixels > 0) {
+            fs.mkdirSync(diffDir, { recursive: true });
+            diffPath = path.join(diffDir, `${name}.png`);
+            fs.writeFileSync(diffPath, PNG.sync.write(diff));
+        }
+
+        return {
+            name,
+            status: passed ? 'match' : 'changed',
+            passed,
+            diffPixels,
+            diffRatio: Number(diffRatio.toFixed(5)),
+            maxDiffRatio: settings.maxDiffRatio,
+            diffPath,
+            reason: passed ? null : `${(diffRatio * 100).toFixed(2)}% of pixels differ (limit ${(settings.maxDiffRatio * 100).toFixed(2)}%)`
+        };
+    }
+
+    compareRun(screenshotDir) {
+        const diffDir = path.join(screenshotDir, 'diff');
+        const results = this.listSteps(screenshotDir).map(name => {
+            try {
+                return this.compareStep(name, screenshotDir, diffDir);
+            } catch (error) {
+                return { name, status: 'error', passed: false, reason: error.message };
+            }
+        });
+
+        const failures = results.filter(result => !result.passed);
+        const summary = {
+            passed: failures.length === 0 || !this.config.failOnDifference,
+            compared: results.filter(result => result.status === 'match' || result.status === 'changed').length,
+            changed: failures.length,
+            newSteps: results.filter(result => result.status === 'new').map(result => result.name),
+            results
+        };
+
+        if (failures.length > 0) {
+            this.logger.error(`Visual regression: ${failures.length} step(s) differ from baseline`, {
+                failures: failures.map(result => `${result.name}: ${result.reason}`)
+            });
+        } else {
+            this.logger.success(`Visual regression: ${summary.compared} step(s) match baseline`, {
+                newSteps: summary.newSteps
+            });
+        }
+
+        return summary;
+    }
+
+    // Copy a run's step screenshots over the baselines
+    approve(screenshotDir) {
+        const steps = this.listSteps(screenshotDir);
+        if (steps.length === 0) {
+            throw new Error(`No screenshots found in ${screenshotDir}`);
+        }
+
+        fs.mkdirSync(this.baselineDir, { recursive: true });
+        steps.forEach(name => {
+            fs.copyFileSync(path.join(screenshotDir, `${name}.png`), path.join(this.baselineDir, `${name}.png`));
+        });
+
+        return steps;
+    }
+}
+
+module.exports = VisualRegression;
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const CiReporter = require('../src/ciReporter');
+const { useTempDir, loadConfig, stubbedGamePlayer } = require('./helpers');
+
+useTempDir();
+
+const REPORTER_SETS = ['reporters.formats=["junit","tap"]'];
+const NASTY_ERROR = 'Expected <button class="a&b"> to say \'Left\'\u0007';
+
+function record(index, direction) {
+    return {
+        index,
+        startedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, index)).toISOString(),
+        endedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, index, 500)).toISOString(),
+        choice: { direction, reason: 'seeded', strategy: 'seeded-random' },
+        registered: true,
+        screenshots: { result: `screenshots/default/scenario-${index}.png` }
+    };
+}
+
+// Two scenarios recorded, then the third fails with an error full of XML metacharacters
+async function failedInScenarioThree() {
+    const gamePlayer = stubbedGamePlayer(loadConfig(REPORTER_SETS), {
+        scenarios: async (player) => {
+            player.logger.recordScenario(record(1, 'left'));
+            player.logger.recordScenario(record(2, 'right'));
+            player.scenarioCount = 3;
+            throw new Error(NASTY_ERROR);
+        }
+    });
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    return gamePlayer;
+}
+
+test('a failed scenario is its own case, after the recorded ones, and the steps after it are skipped', async () => {
+    const gamePlayer = await failedInScenarioThree();
+    const cases = CiReporter.testCases(gamePlayer);
+    
+    assert.deepStrictEqual(cases.map(testCase => [testCase.name, testCase.status]), [
+        ['init', 'passed'],
+        ['navigate', 'passed'],
+        ['start', 'passed'],
+        ['scenario 1', 'passed'],
+        ['scenario 2', 'passed'],
+        ['scenario 3', 'failed'],
+        ['keep-alive', 'skipped']
+    ]);
+    assert.strictEqual(cases[3].durationMs, 500);
+    assert.strictEqual(cases[3].details, 'Chose left (seeded), registered');
+    assert.strictEqual(cases[5].message, NASTY_ERROR);
+    assert.strictEqual(cases[6].message, 'Not run after scenarios failed');
+});
+
+test('a step that never started is skipped without blaming another step', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(REPORTER_SETS));
+    gamePlayer.init = async () => false;
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    
+    const cases = CiReporter.testCases(gamePlayer);
+    assert.deepStrictEqual(cases.map(testCase => [testCase.name, testCase.status, testCase.message]), [
+        ['init', 'failed', 'Failed to initialize browser'],
+        ['navigate', 'skipped', 'Not run after init failed'],
+        ['start', 'skipped', 'Not run after init failed'],
+        ['scenarios', 'skipped', 'Not run after init failed'],
+        ['keep-alive', 'skipped', 'Not run after init failed']
+    ]);
+    
+    // Nothing had failed yet when a step is missing from a passing run's plan
+    const passing = stubbedGamePlayer(loadConfig(REPORTER_SETS));
+    assert.strictEqual(await passing.playGame(), true);
+    delete passing.timings['keep-alive'];
+    assert.strictEqual(CiReporter.testCases(passing).pop().message, 'Not run');
+});
+
+test('JUnit output escapes messages and drops characters XML cannot hold', async () => {
+    const gamePlayer = await failedInScenarioThree();
+    const xml = fs.readFileSync(gamePlayer.ciReports.junit, 'utf8');
+    
+    assert.match(xml, /<testsuites name="Jenkins Game Player" tests="7" failures="1" skipped="1"/);
+    assert.ok(xml.includes('<failure message="Expected &lt;button class=&quot;a&amp;b&quot;&gt; to say &apos;Left&apos;" type="scenario 3">'));
+    assert.ok(!xml.includes('\u0007'));
+    assert.ok(xml.includes('<skipped message="Not run after scenarios failed"/>'));
+    assert.ok(xml.includes('<system-out>Chose left (seeded), registered\n[[ATTACHMENT|screenshots/default/scenario-1.png]]</system-out>'));
+    assert.ok(xml.includes('<testcase classname="game-player.default" name="init" time="'));
+    // Every raw metacharacter left is markup, never part of a value
+    const values = [...xml.matchAll(/="([^"]*)"/g)].map(match => match[1]);
+    values.forEach(value => assert.doesNotMatch(value, /[<>&'](?!amp;|lt;|gt;|quot;|apos;)/));
+});
+
+test('TAP output numbers the cases, marks skips with a directive and quotes messages', async () => {
+    const gamePlayer = await failedInScenarioThree();
+    const lines = fs.readFileSync(gamePlayer.ciReports.tap, 'utf8').split('\n');
+    
+    assert.strictEqual(lines[0], 'TAP version 13');
+    assert.strictEqual(lines[2], '1..7');
+    assert.ok(lines.includes('ok 4 - scenario 1'));
+    assert.ok(lines.includes('not ok 6 - scenario 3'));
+    assert.ok(lines.includes(`  message: ${JSON.stringify(NASTY_ERROR)}`));
+    assert.ok(lines.includes('ok 7 - keep-alive # SKIP Not run after scenarios failed'));
+    // A skipped case has no YAML block
+    assert.strictEqual(lines[lines.indexOf('ok 7 - keep-alive # SKIP Not run after scenarios failed') + 1], '');
+});
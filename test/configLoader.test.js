@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../src/configLoader');
+const Logger = require('../src/logger');
+const { useTempDir } = require('./helpers');
+
+const dir = useTempDir();
+const SHIPPED = path.join(__dirname, '..', 'config', 'config.json');
+
+function writeConfig(name, config) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+}
+
+test('environment variables override the file and --set overrides both, coerced to the schema type', () => {
+    const loader = new ConfigLoader({
+        configPath: SHIPPED,
+        env: { GAME_MAX_SCENARIOS: '7', BROWSER_HEADLESS: 'no', REPORTERS: 'junit,tap', GAME_URL: '' },
+        sets: ['game.maxScenarios=9', 'keepAlive.requests=[{"urlPattern":"/api/health"}]', 'choices.seed=null']
+    });
+    const config = loader.load();
+    
+    assert.strictEqual(config.game.maxScenarios, 9);
+    assert.strictEqual(config.browser.headless, false);
+    assert.deepStrictEqual(config.reporters.formats, ['junit', 'tap']);
+    assert.deepStrictEqual(config.keepAlive.requests, [{ urlPattern: '/api/health' }]);
+    assert.strictEqual(config.choices.seed, null);
+    // An empty variable is treated as unset
+    assert.strictEqual(config.game.url, JSON.parse(fs.readFileSync(SHIPPED, 'utf8')).game.url);
+    assert.deepStrictEqual(loader.sources, [SHIPPED, '$GAME_MAX_SCENARIOS', '$BROWSER_HEADLESS', '$REPORTERS', '--set game.maxScenarios', '--set keepAlive.requests', '--set choices.seed']);
+});
+
+test('--config and --set are read from the command line', () => {
+    const loader = ConfigLoader.fromArgs(['--once', '-c', SHIPPED, '--set', 'game.maxScenarios=2', '--set', 'logging.logLevel=warn'], {});
+    const config = loader.load();
+    
+    assert.strictEqual(loader.configPath, SHIPPED);
+    assert.deepStrictEqual([config.game.maxScenarios, config.logging.logLevel], [2, 'warn']);
+});
+
+test('every problem is reported at once, with a suggestion for misspelled keys', () => {
+    const configPath = writeConfig('invalid.json', { game: { maxScenario: 3, url: 5 }, browser: { headless: 'yes' }, logging: { logLevel: 'loud' } });
+    
+    assert.throws(() => new ConfigLoader({ configPath, env: { API_PORT: 'eighty' }, sets: ['nope.key=1', 'game.maxScenarios=abc', 'broken'] }).load(), (error) => {
+        assert.strictEqual(error.name, 'ConfigValidationError');
+        assert.deepStrictEqual(error.errors, [
+            '--set nope.key: unknown config key "nope.key"',
+            '--set broken: expected key=value',
+            'game.maxScenario is not a known setting (did you mean "game.maxScenarios"?)',
+            'game.url must be string, got integer 5',
+            'game.maxScenarios must be integer, got string "abc"',
+            'browser.headless must be boolean, got string "yes"',
+            'api.port must be integer, got string "eighty"',
+            'logging.logLevel must be one of "debug", "info", "warn", "error", got "loud"'
+        ]);
+        assert.ok(error.message.startsWith(`Invalid configuration in ${configPath} + $API_PORT + --set game.maxScenarios:\n  - --set nope.key`));
+        return true;
+    });
+});
+
+test('a file that is not JSON is a validation error naming the file', () => {
+    const configPath = path.join(dir, 'broken.json');
+    fs.writeFileSync(configPath, '{ "game": ');
+    
+    assert.throws(() => new ConfigLoader({ configPath, env: {} }).load(), (error) => {
+        assert.strictEqual(error.name, 'ConfigValidationError');
+        assert.match(error.errors[0], /^could not read JSON: /);
+        return true;
+    });
+});
+
+test('defaults fill in every key the file leaves out', () => {
+    const config = new ConfigLoader({ configPath: writeConfig('minimal.json', {}), env: {} }).load();
+    
+    assert.strictEqual(config.choices.strategy, 'random');
+    assert.strictEqual(config.keepAlive.enabled, false);
+    assert.strictEqual(config.profile, 'default');
+    assert.strictEqual(config.configDir, dir);
+});
+
+test('profiles inherit the base config, merging objects and replacing lists, and environment and --set still win', () => {
+    const configPath = writeConfig('profiles.json', {
+        game: { maxScenarios: 4 },
+        keepAlive: { requests: [{ urlPattern: '/api/health' }, { urlPattern: '/api/choices' }] },
+        profiles: {
+            staging: { game: { url: 'https://staging.example.com' }, keepAlive: { requests: [{ urlPattern: '/api/' }] } },
+            qa: { browser: { timeout: 60000 } }
+        }
+    });
+    const config = new ConfigLoader({ configPath, env: { LOG_LEVEL: 'warn' }, sets: ['browser.timeout=5000', 'profiles.staging.game.maxScenarios=1'] }).load();
+    const { staging, qa } = config.profiles;
+    
+    assert.deepStrictEqual([config.profile, staging.profile, qa.profile], ['default', 'staging', 'qa']);
+    assert.deepStrictEqual([staging.game.url, staging.game.maxScenarios, qa.game.maxScenarios, config.game.maxScenarios],
+        ['https://staging.example.com', 1, 4, 4]);
+    assert.strictEqual(qa.game.url, config.game.url);
+    assert.deepStrictEqual(staging.keepAlive.requests, [{ urlPattern: '/api/' }]);
+    assert.strictEqual(qa.keepAlive.requests.length, 2);
+    assert.deepStrictEqual([config.browser.timeout, staging.browser.timeout, qa.browser.timeout], [5000, 5000, 5000]);
+    assert.deepStrictEqual([config.logging.logLevel, staging.logging.logLevel, qa.logging.logLevel], ['warn', 'warn', 'warn']);
+});
+
+test('profile names and profile settings are validated, each error labelled with its profile', () => {
+    const configPath = writeConfig('bad-profiles.json', {
+        profiles: { 'bad name': {}, default: {}, broken: { game: { maxScenarios: 'x' }, browser: { headles: true } }, scalar: 3 }
+    });
+    
+    assert.throws(() => new ConfigLoader({ configPath, env: {} }).load(), (error) => {
+        assert.deepStrictEqual(error.errors, [
+            'profiles.bad name: profile names must be letters, digits, "-" or "_" and not "default" or "all"',
+            'profiles.default: profile names must be letters, digits, "-" or "_" and not "default" or "all"',
+            'profiles.broken.game.maxScenarios must be integer, got string "x"',
+            'profiles.broken.browser.headles is not a known setting (did you mean "profiles.broken.browser.headless"?)',
+            'profiles.scalar must be object, got integer'
+        ]);
+        return true;
+    });
+});
+
+test('--profile picks profiles by name, "all" picks the default config and every profile', () => {
+    const configPath = writeConfig('select.json', { profiles: { staging: {}, qa: {} } });
+    const config = new ConfigLoader({ configPath, env: {} }).load();
+    const names = (selected) => selected.map(profile => profile.profile);
+    
+    assert.deepStrictEqual(names(ConfigLoader.selectProfiles(config, [])), ['default']);
+    assert.deepStrictEqual(names(ConfigLoader.selectProfiles(config, ['qa', 'default'])), ['qa', 'default']);
+    assert.deepStrictEqual(names(ConfigLoader.selectProfiles(config, ['all'])), ['default', 'staging', 'qa']);
+    assert.throws(() => ConfigLoader.selectProfiles(config, ['prod']), /^Error: Unknown profile "prod". Available profiles: default, staging, qa$/);
+});
+
+test('a profile keeps its logs and screenshots apart from the default config\'s', () => {
+    const config = new ConfigLoader({ configPath: writeConfig('dirs.json', { profiles: { staging: {} } }), env: {}, sets: ['logging.consoleFormat=silent'] }).load();
+    
+    assert.strictEqual(new Logger(config, { runId: '2024-01-01T00-00-00' }).logDir, path.join(dir, 'logs'));
+    const staging = new Logger(config.profiles.staging, { runId: '2024-01-01T00-00-00' });
+    assert.strictEqual(staging.logDir, path.join(dir, 'logs', 'staging'));
+    assert.strictEqual(staging.screenshotDir, path.join(dir, 'screenshots', 'staging', '2024-01-01T00-00-00'));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ControlServer = require('../src/controlServer');
+const RunHistory = require('../src/runHistory');
+const { useTempDir, loadConfig, stubbedGamePlayer } = require('./helpers');
+
+useTempDir();
+
+// The parts of Scheduler the API reads for /runs
+function schedulerWith(history) {
+    return { started: false, isRunning: false, history };
+}
+
+async function withServer(api, scheduler, callback) {
+    const server = new ControlServer({ api: { host: '127.0.0.1', port: 0, token: null, tokenEnv: null, ...api } }, scheduler);
+    const url = await server.start();
+    try {
+        await callback(url);
+    } finally {
+        await server.stop();
+    }
+}
+
+test('an empty tokenEnv variable stops the API from starting', async () => {
+    process.env.GAME_PLAYER_TEST_TOKEN = '';
+    const server = new ControlServer({ api: { port: 0, tokenEnv: 'GAME_PLAYER_TEST_TOKEN' } }, schedulerWith(null));
+    
+    await assert.rejects(server.start(), /GAME_PLAYER_TEST_TOKEN.*refusing to start/);
+    assert.strictEqual(server.server, null);
+});
+
+test('only the exact bearer token is accepted', async () => {
+    process.env.GAME_PLAYER_TEST_TOKEN = 's3cret';
+    const history = new RunHistory({ history: { file: 'logs/run-history.json' } });
+    
+    await withServer({ tokenEnv: 'GAME_PLAYER_TEST_TOKEN' }, schedulerWith(history), async (url) => {
+        const statusFor = async (authorization) => (await fetch(`${url}/runs`, { headers: authorization ? { authorization } : {} })).status;
+        assert.strictEqual(await statusFor(null), 401);
+        assert.strictEqual(await statusFor('Bearer s3cre'), 401);
+        assert.strictEqual(await statusFor('Bearer s3cret!'), 401);
+        assert.strictEqual(await statusFor('Bearer s3cret'), 200);
+        assert.strictEqual((await fetch(`${url}/healthz`)).status, 200);
+    });
+});
+
+test('a run inlines its JSON artifacts', async () => {
+    const history = new RunHistory({ history: { file: 'logs/run-history.json' } });
+    const gamePlayer = stubbedGamePlayer(loadConfig(['health.enabled=true', 'har.enabled=false']), {
+        scenarios: async () => {
+            throw new Error('Scenario 1 did not register');
+        }
+    });
+    await history.track(gamePlayer, { trigger: 'manual' });
+    
+    await withServer({}, schedulerWith(history), async (url) => {
+        const response = await fetch(`${url}/runs/${gamePlayer.logger.runId}`);
+        const run = await response.json();
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(run.result, 'failed');
+        assert.strictEqual(run.details.summary.failedStep, 'scenarios');
+        assert.strictEqual(run.details.health.passed, true);
+        assert.deepStrictEqual(Object.keys(run.details), ['summary', 'health']);
+    });
+});
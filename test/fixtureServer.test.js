@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const FixtureServer = require('../src/fixtureServer');
+
+async function get(server, pathname) {
+    const response = await fetch(new URL(pathname, server.url));
+    return { status: response.status, body: await response.text() };
+}
+
+test('serves the game page and answers the game API', async (t) => {
+    const server = new FixtureServer({ scenarios: 3 });
+    await server.start();
+    t.after(() => server.stop());
+    
+    const page = await get(server, '/');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /<html/i);
+    
+    const health = await get(server, '/api/health');
+    assert.deepStrictEqual(JSON.parse(health.body), { status: 'ok', database: 'awake' });
+});
+
+test('a directory, a missing file or a path outside the fixture is a 404 and the server keeps running', async (t) => {
+    const server = new FixtureServer();
+    await server.start();
+    t.after(() => server.stop());
+    
+    for (const pathname of ['/images', '/images/', '/missing.png', '/../package.json', '/%2e%2e/package.json']) {
+        const response = await get(server, pathname);
+        assert.strictEqual(response.status, 404, pathname);
+    }
+    assert.strictEqual((await get(server, '/')).status, 200);
+});
+
+test('a request target that is not a URL is a 400 and the server keeps running', async (t) => {
+    const server = new FixtureServer();
+    await server.start();
+    t.after(() => server.stop());
+    
+    // fetch() normalises the path, so the raw request line goes out through http
+    const { port } = new URL(server.url);
+    const status = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: '//' }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual((await get(server, '/')).status, 200);
+});
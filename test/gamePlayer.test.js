@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CiReporter = require('../src/ciReporter');
+const GamePlayer = require('../src/gamePlayer');
+const Throttler = require('../src/throttler');
+const { useTempDir, loadConfig, stubbedGamePlayer, readArtifact } = require('./helpers');
+
+useTempDir();
+
+const HEALTHY_SETS = ['health.enabled=true', 'health.maxPageErrors=0', 'har.enabled=false'];
+
+function withPageError(gamePlayer) {
+    gamePlayer.logger.pageErrors.push({ message: 'TypeError: boom', timestamp: new Date().toISOString() });
+}
+
+test('health checks are off unless configured', () => {
+    const config = loadConfig();
+    assert.strictEqual(config.health.enabled, false);
+});
+
+test('a run that fails still gets its health result, recorded as an extra failure', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(HEALTHY_SETS), {
+        scenarios: async (player) => {
+            withPageError(player);
+            throw new Error('Scenario 1 did not register');
+        }
+    });
+    
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    assert.strictEqual(gamePlayer.failedStep, 'scenarios');
+    assert.strictEqual(gamePlayer.error, 'Scenario 1 did not register');
+    assert.deepStrictEqual(gamePlayer.checkFailures.map(failure => failure.step), ['health']);
+    assert.strictEqual(readArtifact(gamePlayer, 'health').violations[0].rule, 'maxPageErrors');
+    
+    const cases = Object.fromEntries(CiReporter.testCases(gamePlayer).map(testCase => [testCase.name, testCase]));
+    assert.strictEqual(cases.scenarios.status, 'failed');
+    assert.strictEqual(cases['keep-alive'].status, 'skipped');
+    assert.strictEqual(cases.health.status, 'failed');
+    assert.match(cases.health.message, /Health check failed/);
+});
+
+test('a health violation fails a run that otherwise passed', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(HEALTHY_SETS), {
+        scenarios: async (player) => {
+            withPageError(player);
+            return 1;
+        }
+    });
+    
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    assert.strictEqual(gamePlayer.failedStep, 'health');
+    assert.match(gamePlayer.error, /uncaught page error/);
+    assert.deepStrictEqual(gamePlayer.checkFailures, []);
+});
+
+test('a run whose steps and checks all pass succeeds', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(HEALTHY_SETS), { scenarios: async () => 3 });
+    
+    assert.strictEqual(await gamePlayer.playGame(), true);
+    assert.strictEqual(gamePlayer.failedStep, null);
+    assert.strictEqual(gamePlayer.error, null);
+    assert.strictEqual(readArtifact(gamePlayer, 'health').passed, true);
+});
+
+test('a choice below the fold is scrolled into view before checking what is on top of it', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig());
+    let top = 1500;
+    const choice = {
+        disabled: false,
+        scrollIntoView: () => { top = 300; },
+        getBoundingClientRect: () => ({ left: 100, top, width: 200, height: 100 }),
+        contains: () => false
+    };
+    // elementFromPoint() only finds elements inside the 1280x720 viewport
+    global.window = { getComputedStyle: () => ({ visibility: 'visible', display: 'block', pointerEvents: 'auto', opacity: '1' }) };
+    global.document = { elementFromPoint: (x, y) => (y < 720 ? choice : null) };
+    const element = { boundingBox: async () => ({ width: 200, height: 100 }), evaluate: async (fn) => fn(choice) };
+    
+    try {
+        assert.strictEqual(await gamePlayer.isClickable(element), true);
+        choice.scrollIntoView = () => {};
+        top = 1500;
+        assert.strictEqual(await gamePlayer.isClickable(element), false);
+    } finally {
+        delete global.window;
+        delete global.document;
+    }
+});
+
+test('a run whose throttling profile was never applied still writes its artifacts and closes the browser', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig());
+    const closed = [];
+    gamePlayer.throttler = new Throttler(gamePlayer.config, gamePlayer.logger, 'no-such-profile');
+    gamePlayer.page = { close: async () => { closed.push('page'); throw new Error('Target closed'); } };
+    gamePlayer.browser = { close: async () => { closed.push('browser'); } };
+    
+    await gamePlayer.cleanup();
+    assert.deepStrictEqual(closed, ['page', 'browser']);
+    assert.match(readArtifact(gamePlayer, 'throttling').settings, /^not applied: unknown throttling profile "no-such-profile"/);
+});
+
+test('each scenario is recorded with its instruction, choice, outcome and its own console and network entries', async () => {
+    const gamePlayer = new GamePlayer(loadConfig(['game.maxScenarios=2', 'choices.strategy=pattern']), { runId: '2024-02-01T00-00-00' });
+    let scenario = 0;
+    gamePlayer.stateMachine = {
+        state: 'scenario',
+        mutationCount: async () => 0,
+        waitForScenario: async () => { scenario++; return 'choice elements visible'; },
+        waitForResult: async () => 'DOM settled',
+        waitForEnd: async () => 'console end',
+        checkEnd: async () => false
+    };
+    gamePlayer.page = {
+        screenshot: async () => {},
+        click: async () => {},
+        $: async () => ({}),
+        $$: async () => [],
+        evaluate: async () => `Scenario ${scenario + 1}: pull the lever?`,
+        mouse: {
+            // Only the first choice makes the game log its stats
+            click: async () => {
+                gamePlayer.logger.networkData.push({ url: `http://game/api/choices?scenario=${scenario + 1}`, status: 200, method: 'POST' });
+                if (gamePlayer.gameStats.length === 0) gamePlayer.gameStats.push({ text: 'stats' });
+            }
+        }
+    };
+    
+    assert.strictEqual(await gamePlayer.playScenarios(), 1);
+    gamePlayer.logger.finalize();
+    
+    const records = readArtifact(gamePlayer, 'scenarios');
+    assert.deepStrictEqual(records.map(record => record.index), [1, 2]);
+    assert.deepStrictEqual(records.map(record => record.instruction), ['Scenario 1: pull the lever?', 'Scenario 2: pull the lever?']);
+    assert.deepStrictEqual(records.map(record => [record.choice.direction, record.choice.strategy, record.choice.method]), [
+        ['left', 'pattern', 'coordinates'],
+        ['right', 'pattern', 'coordinates']
+    ]);
+    assert.deepStrictEqual(records.map(record => record.registered), [true, false]);
+    assert.deepStrictEqual(records.map(record => record.network.map(entry => entry.url)), [
+        ['http://game/api/choices?scenario=1'],
+        ['http://game/api/choices?scenario=2']
+    ]);
+    records.forEach(record => {
+        assert.deepStrictEqual(Object.keys(record.screenshots), ['start', 'ready', 'result']);
+        assert.ok(record.startedAt <= record.choice.madeAt && record.choice.madeAt <= record.endedAt);
+    });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameStateMachine = require('../src/gameStateMachine');
+const { loadConfig } = require('./helpers');
+
+const NEVER = { name: 'never', type: 'check', check: () => new Promise(() => {}) };
+const AT_ONCE = { name: 'at once', type: 'check', check: async () => true };
+
+function machine(sets = []) {
+    const warnings = [];
+    const logger = { info() {}, setContext() {}, warn: (message) => warnings.push(message) };
+    return { stateMachine: new GameStateMachine(loadConfig(['game.stateTimeouts.result=10', ...sets]), logger), warnings };
+}
+
+test('a state that times out is not entered, but recorded and warned about', async () => {
+    const { stateMachine, warnings } = machine();
+    stateMachine.state = 'scenario';
+    
+    assert.strictEqual(await stateMachine.waitFor('result', [NEVER]), null);
+    assert.strictEqual(stateMachine.state, 'scenario');
+    assert.deepStrictEqual(stateMachine.transitions, []);
+    assert.deepStrictEqual(stateMachine.timedOut.map(({ state, from, timeoutMs }) => ({ state, from, timeoutMs })), [{ state: 'result', from: 'scenario', timeoutMs: 10 }]);
+    assert.deepStrictEqual(warnings, ['Timed out after 10ms waiting for game state "result", still in "scenario"']);
+});
+
+test('game.failOnStateTimeout turns a state timeout into an error', async () => {
+    const { stateMachine } = machine(['game.failOnStateTimeout=true']);
+    
+    await assert.rejects(stateMachine.waitFor('result', [NEVER]), { code: 'STATE_TIMEOUT', message: 'Timed out after 10ms waiting for game state "result"' });
+    assert.strictEqual(await stateMachine.waitFor('result', [AT_ONCE]), 'at once');
+    assert.strictEqual(stateMachine.state, 'result');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const EventEmitter = require('events');
+const HarRecorder = require('../src/harRecorder');
+const Logger = require('../src/logger');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+// The shipped config redacts the password, token, sessionId and email fields and Bearer tokens
+function recorder() {
+    const config = loadConfig(['har.enabled=true']);
+    return new HarRecorder(config, new Logger(config));
+}
+
+function fakePage() {
+    const page = new EventEmitter();
+    const mainFrame = { url: () => 'http://game/play?token=abc123&level=2' };
+    page.browser = () => ({ version: async () => 'HeadlessChrome/120' });
+    page.mainFrame = () => mainFrame;
+    return page;
+}
+
+function fakeResponse({ status = 200, headers = {}, body = '' } = {}) {
+    return {
+        status: () => status,
+        statusText: () => (status === 302 ? 'Found' : 'OK'),
+        headers: () => headers,
+        text: async () => body,
+        timing: () => null,
+        remoteAddress: () => ({ ip: '127.0.0.1' }),
+        fromCache: () => false
+    };
+}
+
+function fakeRequest(url, { method = 'GET', headers = {}, postData = undefined, response = fakeResponse() } = {}) {
+    return {
+        url: () => url,
+        method: () => method,
+        headers: () => headers,
+        postData: () => postData,
+        hasPostData: () => postData !== undefined,
+        response: () => response,
+        failure: () => null,
+        resourceType: () => 'fetch'
+    };
+}
+
+async function record(requests) {
+    const harRecorder = recorder();
+    const page = fakePage();
+    harRecorder.attach(page);
+    page.emit('framenavigated', page.mainFrame());
+    requests.forEach(request => {
+        page.emit('request', request);
+        page.emit('requestfinished', request);
+    });
+    const filePath = await harRecorder.save();
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).log;
+}
+
+test('secrets are redacted from headers, query strings, bodies and the page title', async () => {
+    const log = await record([
+        fakeRequest('http://game/api/login?token=abc123&level=2', {
+            method: 'POST',
+            headers: { Authorization: 'Bearer abc.def', 'Content-Type': 'application/json' },
+            postData: JSON.stringify({ user: 'jenkins', password: 'hunter2', profile: { email: 'j@example.com' } }),
+            response: fakeResponse({
+                headers: { 'content-type': 'application/json', 'Set-Cookie': 'sid=1' },
+                body: JSON.stringify({ sessionId: 's-1', note: 'use Bearer xyz.123 next time' })
+            })
+        })
+    ]);
+    const [entry] = log.entries;
+    
+    assert.strictEqual(log.pages[0].title, 'http://game/play?token=%5BREDACTED%5D&level=2');
+    assert.strictEqual(entry.request.url, 'http://game/api/login?token=%5BREDACTED%5D&level=2');
+    assert.deepStrictEqual(entry.request.queryString, [{ name: 'token', value: '[REDACTED]' }, { name: 'level', value: '2' }]);
+    assert.deepStrictEqual(entry.request.headers[0], { name: 'Authorization', value: '[REDACTED]' });
+    assert.deepStrictEqual(JSON.parse(entry.request.postData.text), { user: 'jenkins', password: '[REDACTED]', profile: { email: '[REDACTED]' } });
+    assert.deepStrictEqual(entry.response.headers[1], { name: 'Set-Cookie', value: '[REDACTED]' });
+    assert.deepStrictEqual(JSON.parse(entry.response.content.text), { sessionId: '[REDACTED]', note: 'use [REDACTED] next time' });
+    assert.ok(!JSON.stringify(log).includes('abc123'));
+});
+
+test('redirect targets are redacted, relative ones resolved against the request', async () => {
+    const log = await record([
+        fakeRequest('http://game/login', { response: fakeResponse({ status: 302, headers: { location: '/play?sessionId=s-1' } }) }),
+        fakeRequest('http://game/logout', { response: fakeResponse({ status: 302, headers: { location: '/bye?from=logout' } }) }),
+        fakeRequest('http://game/sso', { response: fakeResponse({ status: 302, headers: { location: 'https://sso.example.com/cb?token=t-9' } }) })
+    ]);
+    
+    assert.deepStrictEqual(log.entries.map(entry => entry.response.redirectURL), [
+        'http://game/play?sessionId=%5BREDACTED%5D',
+        '/bye?from=logout',
+        'https://sso.example.com/cb?token=%5BREDACTED%5D'
+    ]);
+});
+
+test('bodies outside har.bodies.urlPatterns are not captured', async () => {
+    const log = await record([
+        fakeRequest('http://game/track', { method: 'POST', postData: 'password=hunter2', headers: { 'content-type': 'application/x-www-form-urlencoded' } })
+    ]);
+    const { postData } = log.entries[0].request;
+    
+    assert.strictEqual(postData.text, '');
+    assert.match(postData.comment, /not captured/);
+    assert.strictEqual(log.entries[0].request.bodySize, 'password=hunter2'.length);
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/configLoader');
+const GamePlayer = require('../src/gamePlayer');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'config.json');
+
+// Runs the rest of the test file in a fresh working directory, since logs/ and screenshots/ are relative to it
+function useTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-player-test-'));
+    process.chdir(dir);
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// The shipped config with --set style overrides, ignoring the environment of the machine running the tests
+function loadConfig(sets = []) {
+    return new ConfigLoader({ configPath: CONFIG_PATH, env: {}, sets: ['logging.consoleFormat=silent', 'logging.htmlReport=false', ...sets] }).load();
+}
+
+// A GamePlayer whose browser steps are replaced, so playGame() runs the real control flow without Chrome.
+// `scenarios` stands in for playScenarios() and may throw to fail the run there.
+// Each gets its own run id, one second apart in Logger's format, since runs started within the same second
+// would otherwise share their artifacts.
+let runCount = 0;
+function stubbedGamePlayer(config, { scenarios = async () => 0 } = {}) {
+    runCount += 1;
+    const runId = new Date(Date.UTC(2024, 0, 1) + runCount * 1000).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const gamePlayer = new GamePlayer(config, { runId });
+    gamePlayer.init = async () => true;
+    gamePlayer.navigateToGame = async () => true;
+    gamePlayer.startGame = async () => true;
+    gamePlayer.playScenarios = () => scenarios(gamePlayer);
+    return gamePlayer;
+}
+
+function readArtifact(gamePlayer, suffix) {
+    const filePath = path.join(gamePlayer.logger.logDir, `${gamePlayer.logger.runId}-${suffix}.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+module.exports = { useTempDir, loadConfig, stubbedGamePlayer, readArtifact };
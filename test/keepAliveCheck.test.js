@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KeepAliveCheck = require('../src/keepAliveCheck');
+const { useTempDir, loadConfig, stubbedGamePlayer } = require('./helpers');
+
+useTempDir();
+
+const LOGGER = { error() {}, success() {} };
+
+function check(sets = []) {
+    return new KeepAliveCheck(loadConfig(['keepAlive.enabled=true', ...sets]), LOGGER);
+}
+
+function response(method, url, status) {
+    return { method, url, status, mocked: false };
+}
+
+test('"2xx" style statuses match their whole class and numbers match exactly', () => {
+    assert.strictEqual(KeepAliveCheck.statusMatches(204, ['2xx']), true);
+    assert.strictEqual(KeepAliveCheck.statusMatches(301, ['2xx']), false);
+    assert.strictEqual(KeepAliveCheck.statusMatches(304, [200, 304]), true);
+    assert.strictEqual(KeepAliveCheck.statusMatches(404, ['404']), true);
+    assert.strictEqual(KeepAliveCheck.statusMatches(200, []), true);
+});
+
+test('the reason says whether the URL, the method or the status did not match', () => {
+    const keepAlive = check();
+    const expectation = { name: 'choices', urlPattern: '/api/choices', methods: ['post'], statuses: ['2xx'] };
+    
+    assert.strictEqual(keepAlive.evaluateExpectation(expectation, [response('GET', 'http://game/index.html', 200)]).reason,
+        'no response from a URL matching "/api/choices"');
+    assert.strictEqual(keepAlive.evaluateExpectation(expectation, [response('GET', 'http://game/API/choices', 200)]).reason,
+        'responses matched "/api/choices" but none used POST');
+    assert.strictEqual(keepAlive.evaluateExpectation(expectation, [response('POST', 'http://game/api/choices', 503)]).reason,
+        'responses matched "/api/choices" with status 503, expected 2xx');
+    
+    const passed = keepAlive.evaluateExpectation(expectation, [response('POST', 'http://game/api/choices', 201)]);
+    assert.deepStrictEqual({ passed: passed.passed, matchCount: passed.matchCount, sample: passed.sample },
+        { passed: true, matchCount: 1, sample: ['POST http://game/api/choices - 201'] });
+});
+
+test('mode "all" needs every expectation met and "any" just one', () => {
+    const requests = '[{"name":"health","urlPattern":"/api/health"},{"name":"choices","urlPattern":"/api/choices"}]';
+    const traffic = [response('GET', 'http://game/api/health', 200)];
+    
+    const all = check([`keepAlive.requests=${requests}`]).evaluate(traffic);
+    assert.strictEqual(all.passed, false);
+    assert.strictEqual(all.reason, 'choices: no response from a URL matching "/api/choices"');
+    assert.strictEqual(check([`keepAlive.requests=${requests}`, 'keepAlive.mode=any']).evaluate(traffic).passed, true);
+});
+
+test('keep-alive cannot pass without captured traffic or expectations, and is skipped when off', () => {
+    assert.match(check(['logging.captureNetwork=false']).evaluate([]).reason, /captureNetwork is disabled/);
+    // The schema refuses an empty list, so only a hand-built config gets here
+    const empty = new KeepAliveCheck({ keepAlive: { enabled: true, requests: [] }, logging: { captureNetwork: true } }, LOGGER);
+    assert.match(empty.evaluate([]).reason, /keepAlive.requests is empty/);
+    assert.deepStrictEqual(new KeepAliveCheck(loadConfig(), LOGGER).evaluate([]), { enabled: false, passed: true, reason: null, results: [] });
+});
+
+test('a run that never reached the backend fails at the keep-alive step', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(['keepAlive.enabled=true', 'har.enabled=false']));
+    
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    assert.strictEqual(gamePlayer.failedStep, 'keep-alive');
+    assert.strictEqual(gamePlayer.error, 'Backend keep-alive check failed: game API: no response from a URL matching "/api/"');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LoadRunner = require('../src/loadRunner');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+const ALL_ON = ['health.enabled=true', 'performance.enabled=true', 'har.enabled=true'];
+
+test('load sessions skip health checks, performance budgets and HAR files by default', () => {
+    const config = new LoadRunner(loadConfig(ALL_ON)).sessionConfig();
+    
+    assert.strictEqual(config.health.enabled, false);
+    assert.strictEqual(config.performance.enabled, false);
+    assert.strictEqual(config.har.enabled, false);
+    assert.strictEqual(config.logging.consoleFormat, 'silent');
+});
+
+test('load.sessionChecks keeps them as configured', () => {
+    const config = new LoadRunner(loadConfig([...ALL_ON, 'load.sessionChecks=true', 'har.enabled=false'])).sessionConfig();
+    
+    assert.strictEqual(config.health.enabled, true);
+    assert.strictEqual(config.performance.enabled, true);
+    assert.strictEqual(config.har.enabled, false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../src/logger');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+test('old runs lose every file named after them, not just their logs', () => {
+    const logger = new Logger(loadConfig(['logging.retainLogs=30']), { runId: '2024-06-01T06-00-00' });
+    const old = [
+        '2024-01-01T06-00-00.log',
+        '2024-01-01T06-00-00.jsonl',
+        '2024-01-01T06-00-00.har',
+        '2024-01-01T06-00-00.tap',
+        '2024-01-01T06-00-00-junit.xml',
+        '2024-01-01T06-00-00-health.json',
+        '2024-01-01T06-00-00-performance.json',
+        '2024-01-01T06-00-00-report.html',
+        'load-2024-01-01T06-00-00.json',
+        'load-2024-01-01T06-00-00-s01-001-mocks.json'
+    ];
+    const kept = ['run-history.json', 'notes.txt', '2024-06-01T05-00-00-throttling.json'];
+    const longAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+    [...old, ...kept].forEach(file => {
+        const filePath = path.join(logger.logDir, file);
+        fs.writeFileSync(filePath, '{}');
+        if (file !== '2024-06-01T05-00-00-throttling.json') fs.utimesSync(filePath, longAgo, longAgo);
+    });
+    fs.mkdirSync(path.join(logger.logDir, '2024-01-01T06-00-00-profile'));
+    
+    logger.cleanupOldLogs();
+    
+    const left = fs.readdirSync(logger.logDir);
+    old.forEach(file => assert.ok(!left.includes(file), `${file} should be removed`));
+    kept.forEach(file => assert.ok(left.includes(file), `${file} should be kept`));
+    assert.ok(left.includes('2024-01-01T06-00-00-profile'));
+    assert.ok(left.includes(path.basename(logger.logFile)));
+});
+
+test('old runs lose their screenshot directories too, while other profiles keep theirs', () => {
+    const logger = new Logger(loadConfig(['logging.retainLogs=30']), { runId: '2024-06-01T07-00-00' });
+    const screenshotRoot = path.dirname(logger.screenshotDir);
+    const longAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+    const dirs = ['2024-01-01T06-00-00', '2024-05-31T06-00-00', 'smoke'];
+    dirs.forEach(dir => {
+        fs.mkdirSync(path.join(screenshotRoot, dir), { recursive: true });
+        fs.writeFileSync(path.join(screenshotRoot, dir, 'start.png'), '');
+    });
+    [dirs[0], dirs[2]].forEach(dir => fs.utimesSync(path.join(screenshotRoot, dir), longAgo, longAgo));
+    
+    logger.cleanupOldLogs();
+    
+    const left = fs.readdirSync(screenshotRoot);
+    assert.ok(!left.includes('2024-01-01T06-00-00'));
+    assert.ok(left.includes('2024-05-31T06-00-00'));
+    assert.ok(left.includes('smoke'));
+    assert.ok(left.includes(logger.runId));
+});
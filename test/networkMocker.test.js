@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const NetworkMocker = require('../src/networkMocker');
+const KeepAliveCheck = require('../src/keepAliveCheck');
+const HealthCheck = require('../src/healthCheck');
+const Logger = require('../src/logger');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+const LOGGER = { info() {}, debug() {} };
+
+function fakePage() {
+    return { setRequestInterception: async () => {}, on() {} };
+}
+
+function fakeRequest(url, method = 'GET') {
+    const request = {
+        answer: null,
+        url: () => url,
+        method: () => method,
+        isInterceptResolutionHandled: () => false,
+        respond: async (response) => { request.answer = response; },
+        continue: async () => { request.answer = 'continued'; },
+        abort: async (reason) => { request.answer = `aborted: ${reason}`; }
+    };
+    return request;
+}
+
+function fakeResponse(request, status) {
+    return { url: request.url, status: () => status, statusText: () => '', headers: () => ({}), request: () => request };
+}
+
+test('a config rule reads its file relative to the config file, wherever the player runs from', async () => {
+    const mocker = new NetworkMocker(loadConfig(['mocks.enabled=true']), LOGGER);
+    await mocker.attach(fakePage());
+    
+    const expected = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'mocks', 'database-asleep.json'));
+    assert.deepStrictEqual(mocker.rules[0].responseBody, expected);
+});
+
+test('responses a rule answered are marked mocked and do not count for keep-alive or health', async () => {
+    const config = loadConfig(['keepAlive.enabled=true', 'health.enabled=true']);
+    const logger = new Logger(config);
+    const mocker = new NetworkMocker(config, LOGGER);
+    await mocker.attach(fakePage());
+    await mocker.addRule({ name: 'fake ok', urlPattern: '/api/choices', status: 200, json: { ok: true } }, { source: 'test', baseDir: process.cwd() });
+    await mocker.addRule({ name: 'fake outage', urlPattern: '/api/health', status: 503 }, { source: 'test', baseDir: process.cwd() });
+    
+    for (const [url, status] of [['http://game/api/choices', 200], ['http://game/api/health', 503], ['http://game/index.html', 200]]) {
+        const request = fakeRequest(url);
+        await mocker.handle(request);
+        logger.logNetworkResponse(fakeResponse(request, status), { mocked: mocker.mocked(request) });
+    }
+    
+    assert.deepStrictEqual(logger.networkData.map(entry => entry.mocked), [true, true, false]);
+    const keepAlive = new KeepAliveCheck(config, { error() {}, success() {} }).evaluate(logger.networkData);
+    assert.strictEqual(keepAlive.passed, false);
+    assert.match(keepAlive.reason, /no response from a URL matching "\/api\/" \(2 mocked response\(s\) do not count\)/);
+    const health = new HealthCheck(config, { error() {}, success() {} }).evaluate({ networkData: logger.networkData, consoleData: [], pageErrors: [], durationMs: 0 });
+    assert.strictEqual(health.passed, true);
+});
+
+test('rules that cannot work are refused with the reason', () => {
+    const problems = [
+        [null, /must be an object/],
+        [{ urlPattern: '/api/', status: 500, retries: 2 }, /unknown key\(s\) retries/],
+        [{ status: 500 }, /needs a "urlPattern"/],
+        [{ urlPattern: '(', status: 500 }, /not a valid regular expression/],
+        [{ urlPattern: '/api/', abort: 'nope' }, /abort must be one of/],
+        [{ urlPattern: '/api/', abort: 'failed', status: 500 }, /cannot both abort and respond/],
+        [{ urlPattern: '/api/', body: 'x', json: {} }, /only one of body, json or file/],
+        [{ urlPattern: '/api/', status: 999 }, /status must be an HTTP status code/],
+        [{ urlPattern: '/api/', delayMs: -1 }, /delayMs must be a whole number/],
+        [{ urlPattern: '/api/', status: 500, times: 0 }, /times must be a positive integer/],
+        [{ urlPattern: '/api/' }, /needs something to do/]
+    ];
+    problems.forEach(([rule, expected]) => assert.match(NetworkMocker.checkRule(rule), expected, JSON.stringify(rule)));
+    assert.strictEqual(NetworkMocker.checkRule({ urlPattern: '/api/', delayMs: 0 }), null);
+});
+
+test('the first matching rule answers, by URL pattern and method, until its times run out', async () => {
+    const mocker = new NetworkMocker(loadConfig(), LOGGER);
+    await mocker.attach(fakePage());
+    await mocker.addRule({ name: 'flaky once', urlPattern: '/api/choices$', methods: ['post'], status: 503, times: 1 }, { source: 'test', baseDir: process.cwd() });
+    await mocker.addRule({ name: 'choices', urlPattern: '/api/choices$', json: { left: 'a', right: 'b' } }, { source: 'test', baseDir: process.cwd() });
+    
+    const answers = [];
+    for (const [url, method] of [['http://game/api/choices', 'POST'], ['http://game/api/choices', 'POST'], ['http://game/api/choices', 'GET'], ['http://game/api/choices/1', 'GET']]) {
+        const request = fakeRequest(url, method);
+        await mocker.handle(request);
+        answers.push(request.answer);
+    }
+    
+    assert.strictEqual(answers[0].status, 503);
+    assert.deepStrictEqual(answers[1], { status: 200, headers: {}, contentType: 'application/json', body: '{"left":"a","right":"b"}' });
+    assert.strictEqual(answers[2].status, 200);
+    assert.strictEqual(answers[3], 'continued');
+});
+
+test('abort and delay-only rules abort the request or let it through late', async (t) => {
+    const mocker = new NetworkMocker(loadConfig(), LOGGER);
+    await mocker.attach(fakePage());
+    await mocker.addRule({ name: 'offline', urlPattern: '/api/stats', abort: 'internetdisconnected' }, { source: 'test', baseDir: process.cwd() });
+    await mocker.addRule({ name: 'slow', urlPattern: '/api/', delayMs: 2000 }, { source: 'test', baseDir: process.cwd() });
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    
+    const aborted = fakeRequest('http://game/api/stats');
+    await mocker.handle(aborted);
+    assert.strictEqual(aborted.answer, 'aborted: internetdisconnected');
+    
+    const slow = fakeRequest('http://game/api/choices');
+    const handled = mocker.handle(slow);
+    await Promise.resolve();
+    assert.strictEqual(slow.answer, null);
+    t.mock.timers.tick(2000);
+    await handled;
+    assert.strictEqual(slow.answer, 'continued');
+    // Neither response was made up, so both still count as the backend's
+    assert.strictEqual(mocker.mocked(aborted) || mocker.mocked(slow), false);
+});
+
+test('removed rules stop matching but stay in the summary with their hits', async () => {
+    const mocker = new NetworkMocker(loadConfig(), LOGGER);
+    await mocker.attach(fakePage());
+    await mocker.addRule({ name: 'outage', urlPattern: '/api/', status: 500 }, { source: 'script "outage"', baseDir: process.cwd() });
+    await mocker.handle(fakeRequest('http://game/api/choices'));
+    
+    assert.strictEqual(mocker.removeRules(rule => rule.source === 'script "outage"'), 1);
+    const after = fakeRequest('http://game/api/choices');
+    await mocker.handle(after);
+    assert.strictEqual(after.answer, 'continued');
+    
+    const summary = mocker.summary();
+    assert.deepStrictEqual(summary.rules, [{ name: 'outage', urlPattern: '/api/', source: 'script "outage"', fired: 1 }]);
+    assert.deepStrictEqual(summary.hits.map(hit => [hit.rule, hit.method, hit.url, hit.action]), [['outage', 'GET', 'http://game/api/choices', 'respond 500']]);
+});
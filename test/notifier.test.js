@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const Notifier = require('../src/notifier');
+
+// Local stand-in for webhook and Slack endpoints; records every JSON body it receives by path
+async function startStandIn(statusFor = () => 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(statusFor(req.url));
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Plain-text SMTP server without STARTTLS; records the command lines it receives, outside of DATA
+async function startSmtpStandIn() {
+    const commands = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        socket.setEncoding('utf8');
+        socket.write('220 stand-in ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 Queued\r\n');
+                    }
+                    continue;
+                }
+                commands.push(line);
+                const verb = line.split(' ')[0];
+                const replies = { EHLO: '250-stand-in\r\n250 AUTH PLAIN', AUTH: '235 Authenticated', DATA: '354 Go ahead', QUIT: '221 Bye' };
+                inData = verb === 'DATA';
+                socket.write(`${replies[verb] || '250 OK'}\r\n`);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, commands, port: server.address().port };
+}
+
+function failedGamePlayer() {
+    return {
+        config: { game: { url: 'https://trollilopolis.com' } },
+        logger: { profile: 'staging', runId: '2026-10-18T06-00-00', logFile: 'logs/staging/2026-10-18T06-00-00.log' },
+        errorHandler: {
+            errors: [{ context: 'scenarios', message: 'Choice not registered', timestamp: '2026-10-18T06:01:00.000Z', screenshot: 'screenshots/staging/2026-10-18T06-00-00/error-scenarios.png' }]
+        },
+        failedStep: 'scenarios',
+        error: 'Scenario 2 did not register a choice',
+        reportPath: 'logs/staging/2026-10-18T06-00-00-report.html'
+    };
+}
+
+function notifierFor(url, channels) {
+    return new Notifier({
+        notifications: {
+            enabled: true,
+            events: ['failure'],
+            timeout: 5000,
+            channels: channels.map(channel => ({ ...channel, url: `${url}${channel.url}` }))
+        }
+    });
+}
+
+test('webhook and Slack payloads carry the failing step, error and screenshot', async (t) => {
+    const standIn = await startStandIn();
+    t.after(() => standIn.server.close());
+    
+    const notifier = notifierFor(standIn.url, [
+        { type: 'webhook', url: '/webhook', headers: { 'X-Token': 'secret' } },
+        { type: 'slack', url: '/slack' }
+    ]);
+    const results = await notifier.runFinished(failedGamePlayer(), false, { trigger: 'scheduled' });
+    
+    assert.deepStrictEqual(results.map(result => result.sent), [true, true]);
+    
+    const webhook = standIn.received.find(request => request.path === '/webhook');
+    assert.strictEqual(webhook.headers['x-token'], 'secret');
+    assert.strictEqual(webhook.body.event, 'failure');
+    assert.strictEqual(webhook.body.step, 'scenarios');
+    assert.strictEqual(webhook.body.error, 'Scenario 2 did not register a choice');
+    assert.strictEqual(webhook.body.screenshot, 'screenshots/staging/2026-10-18T06-00-00/error-scenarios.png');
+    assert.strictEqual(webhook.body.trigger, 'scheduled');
+    assert.match(webhook.body.text, /Failed step: scenarios/);
+    
+    const slack = standIn.received.find(request => request.path === '/slack');
+    assert.match(slack.body.text, /failed \(staging\) at step "scenarios"/);
+    const fields = Object.fromEntries(slack.body.attachments[0].fields.map(field => [field.title, field.value]));
+    assert.strictEqual(fields['Failed step'], 'scenarios');
+    assert.strictEqual(fields.Error, 'Scenario 2 did not register a choice');
+    assert.strictEqual(fields.Screenshot, 'screenshots/staging/2026-10-18T06-00-00/error-scenarios.png');
+});
+
+test('a channel answering with an error is reported without stopping the others', async (t) => {
+    const standIn = await startStandIn(path => (path === '/broken' ? 500 : 200));
+    t.after(() => standIn.server.close());
+    
+    const notifier = notifierFor(standIn.url, [
+        { type: 'webhook', name: 'broken', url: '/broken' },
+        { type: 'webhook', name: 'working', url: '/working' }
+    ]);
+    const results = await notifier.runFinished(failedGamePlayer(), false);
+    
+    assert.strictEqual(results[0].sent, false);
+    assert.match(results[0].error, /responded 500/);
+    assert.strictEqual(results[1].sent, true);
+    assert.strictEqual(standIn.received.length, 2);
+});
+
+test('successful runs only notify channels that asked for them', async (t) => {
+    const standIn = await startStandIn();
+    t.after(() => standIn.server.close());
+    
+    const notifier = notifierFor(standIn.url, [
+        { type: 'webhook', url: '/failures-only' },
+        { type: 'webhook', url: '/everything', events: ['failure', 'success'] }
+    ]);
+    await notifier.runFinished({ ...failedGamePlayer(), failedStep: null, error: null }, true, { previousRun: { result: 'failed' } });
+    
+    assert.deepStrictEqual(standIn.received.map(request => request.path), ['/everything']);
+    assert.strictEqual(standIn.received[0].body.event, 'recovery');
+    assert.strictEqual(standIn.received[0].body.screenshot, null);
+});
+
+function emailNotifier(port, smtp = {}) {
+    return new Notifier({
+        notifications: {
+            enabled: true,
+            events: ['failure'],
+            timeout: 5000,
+            channels: [{ type: 'email', from: 'player@example.com', to: ['ops@example.com'], smtp: { host: '127.0.0.1', port, user: 'player', password: 'hunter2', ...smtp } }]
+        }
+    });
+}
+
+test('the SMTP password is not sent over a connection without TLS', async (t) => {
+    const standIn = await startSmtpStandIn();
+    t.after(() => standIn.server.close());
+    const errors = [];
+    t.mock.method(console, 'error', message => errors.push(message));
+    
+    const [result] = await emailNotifier(standIn.port).runFinished(failedGamePlayer(), false);
+    
+    assert.strictEqual(result.sent, false);
+    assert.match(result.error, /SMTP AUTH refused: the connection is not encrypted \(the server does not offer STARTTLS\)/);
+    assert.match(errors[0], /allowInsecureAuth/);
+    assert.ok(!standIn.commands.some(command => command.startsWith('AUTH')));
+    assert.ok(!standIn.commands.some(command => command.startsWith('MAIL')));
+});
+
+test('allowInsecureAuth sends the password over a plain connection when asked to', async (t) => {
+    const standIn = await startSmtpStandIn();
+    t.after(() => standIn.server.close());
+    t.mock.method(console, 'log', () => {});
+    
+    const [result] = await emailNotifier(standIn.port, { allowInsecureAuth: true }).runFinished(failedGamePlayer(), false);
+    
+    assert.strictEqual(result.sent, true);
+    const auth = standIn.commands.find(command => command.startsWith('AUTH PLAIN '));
+    assert.strictEqual(Buffer.from(auth.slice('AUTH PLAIN '.length), 'base64').toString(), '\0player\0hunter2');
+    assert.deepStrictEqual(standIn.commands.slice(-4), ['MAIL FROM:<player@example.com>', 'RCPT TO:<ops@example.com>', 'DATA', 'QUIT']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PerformanceMonitor = require('../src/performanceMonitor');
+const { useTempDir, loadConfig, stubbedGamePlayer, readArtifact } = require('./helpers');
+
+useTempDir();
+
+// Answers readPage() with fixed navigation timing and Web Vitals
+function stubPage(vitals = {}) {
+    return {
+        evaluate: async () => ({ lcp: 900, cls: 0, tbt: 0, inp: 0, ttfb: 0, domContentLoaded: 300, load: 450, ...vitals }),
+        metrics: async () => ({ JSHeapUsedSize: 8 * 1024 * 1024 })
+    };
+}
+
+function silentLogger() {
+    return { runId: 'test-run', profile: 'default', debug() {}, info() {}, warn() {}, error() {}, success() {} };
+}
+
+test('performance monitoring is off unless configured', () => {
+    assert.strictEqual(loadConfig().performance.enabled, false);
+});
+
+test('a measured 0 stays 0 and only unmeasured values are null', async () => {
+    const monitor = new PerformanceMonitor({ performance: { enabled: true, budgets: {}, compareRuns: 10, maxIncreasePercent: 25 } }, silentLogger());
+    monitor.page = stubPage({ load: null });
+    monitor.sampledAt = Date.now();
+    
+    const summary = await monitor.summarize();
+    assert.strictEqual(summary.ttfbMs, 0);
+    assert.strictEqual(summary.cls, 0);
+    assert.strictEqual(summary.tbtMs, 0);
+    assert.strictEqual(summary.loadMs, null);
+    assert.strictEqual(summary.domContentLoadedMs, 300);
+});
+
+test('a failed run still saves its metrics, and the budget failure is added to it', async () => {
+    const config = loadConfig(['performance.enabled=true', 'har.enabled=false', 'performance.budgets={"lcpMs":{"fail":500}}']);
+    const gamePlayer = stubbedGamePlayer(config, {
+        scenarios: async (player) => {
+            player.performanceMonitor.page = stubPage();
+            throw new Error('Scenario 1 did not register');
+        }
+    });
+    
+    assert.strictEqual(await gamePlayer.playGame(), false);
+    assert.strictEqual(gamePlayer.failedStep, 'scenarios');
+    
+    const performance = readArtifact(gamePlayer, 'performance');
+    assert.strictEqual(performance.summary.lcpMs, 900);
+    assert.strictEqual(performance.passed, false);
+    assert.deepStrictEqual(gamePlayer.checkFailures.map(failure => failure.step), ['performance']);
+});
+
+test('a run that never got a page is not measured', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(['performance.enabled=true', 'har.enabled=false']), {
+        scenarios: async () => {
+            throw new Error('No page');
+        }
+    });
+    
+    await gamePlayer.playGame();
+    assert.strictEqual(readArtifact(gamePlayer, 'performance'), null);
+    assert.deepStrictEqual(gamePlayer.checkFailures, []);
+});
+
+test('a throttled run is only checked against the budgets set for its throttling profile', async () => {
+    const performance = {
+        enabled: true,
+        budgets: { lcpMs: { fail: 4000 } },
+        throttledBudgets: { 'fast-3g': { lcpMs: { fail: 8000 } } },
+        compareRuns: 10,
+        maxIncreasePercent: 25
+    };
+    const evaluate = async (throttling) => {
+        const monitor = new PerformanceMonitor({ performance }, silentLogger(), throttling);
+        monitor.page = stubPage({ lcp: 6000 });
+        monitor.sampledAt = Date.now();
+        return monitor.evaluate();
+    };
+    
+    const unthrottled = await evaluate(null);
+    assert.strictEqual(unthrottled.passed, false);
+    
+    const fast3g = await evaluate('fast-3g');
+    assert.strictEqual(fast3g.budgetsChecked, true);
+    assert.strictEqual(fast3g.passed, true);
+    
+    const slow3g = await evaluate('slow-3g');
+    assert.strictEqual(slow3g.budgetsChecked, false);
+    assert.strictEqual(slow3g.passed, true);
+    assert.deepStrictEqual(slow3g.budgets, []);
+});
+
+test('throttled budgets must name a throttling profile', () => {
+    assert.throws(() => loadConfig(['performance.throttledBudgets={"slow-4g":{"lcpMs":{"fail":9000}}}']), /performance\.throttledBudgets: unknown throttling profile "slow-4g"/);
+    assert.doesNotThrow(() => loadConfig(['performance.throttledBudgets={"slow-3g":{"lcpMs":{"fail":9000}}}']));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ReportGenerator = require('../src/reportGenerator');
+const { useTempDir } = require('./helpers');
+
+const baseDir = useTempDir();
+
+test('screenshot runs skip the directories of named profiles', () => {
+    ['2024-05-01T09-30-00', '2024-05-02T09-30-00', 'staging', 'zz-nightly'].forEach(dir => {
+        fs.mkdirSync(path.join(baseDir, 'screenshots', dir), { recursive: true });
+    });
+    fs.writeFileSync(path.join(baseDir, 'screenshots', '2024-05-03T09-30-00'), 'not a directory');
+    
+    assert.deepStrictEqual(new ReportGenerator(baseDir).listScreenshotRunIds(), ['2024-05-01T09-30-00', '2024-05-02T09-30-00']);
+    assert.deepStrictEqual(new ReportGenerator(baseDir, 'missing').listScreenshotRunIds(), []);
+});
+
+test('the report is one self-contained HTML file with screenshots inlined and page text escaped', () => {
+    const runId = '2024-05-04T09-30-00';
+    const logDir = path.join(baseDir, 'logs');
+    const screenshotDir = path.join(baseDir, 'screenshots', runId);
+    fs.mkdirSync(logDir, { recursive: true });
+    fs.mkdirSync(screenshotDir, { recursive: true });
+    fs.writeFileSync(path.join(screenshotDir, '03b-scenario-1-ready.png'), 'png bytes');
+    fs.writeFileSync(path.join(screenshotDir, '05-game-final.png'), 'final bytes');
+    fs.writeFileSync(path.join(logDir, `${runId}.jsonl`), [
+        { timestamp: '2024-05-04T09:30:00.000Z', level: 'info', message: 'Navigating to game' },
+        { timestamp: '2024-05-04T09:30:05.000Z', level: 'error', message: 'Failed <b>badly</b>', data: { status: 503 } }
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    fs.writeFileSync(path.join(logDir, `${runId}-scenarios.json`), JSON.stringify([{
+        index: 1,
+        instruction: 'Pull the <script>alert("lever")</script>?',
+        choice: { direction: 'left', strategy: 'rules', reason: 'rule score 3-0', method: 'selector', selector: '#left' },
+        registered: false,
+        screenshots: { ready: path.join(screenshotDir, '03b-scenario-1-ready.png') },
+        console: [],
+        network: [{ url: 'http://game/api/choices', status: 200 }]
+    }]));
+    
+    const reportPath = new ReportGenerator(baseDir).generate(runId);
+    const html = fs.readFileSync(reportPath, 'utf8');
+    
+    assert.strictEqual(reportPath, path.join(logDir, `${runId}-report.html`));
+    assert.ok(html.includes('Pull the &lt;script&gt;alert(&quot;lever&quot;)&lt;/script&gt;?'));
+    assert.ok(!html.includes('<script>alert'));
+    assert.ok(html.includes('Failed &lt;b&gt;badly&lt;/b&gt;'));
+    assert.ok(html.includes('<span class="badge warn">not registered</span>'));
+    assert.ok(html.includes(`src="data:image/png;base64,${Buffer.from('png bytes').toString('base64')}"`));
+    // A screenshot no scenario claims still shows, under "Other screenshots"
+    assert.match(html, /<h2>Other screenshots<\/h2><div class="gallery"><figure><img src="data:image\/png;base64,[^"]+" alt="05-game-final"/);
+    assert.doesNotMatch(html, /<link |<script src=|src="(https?:|\/)/);
+});
+
+test('runs from before JSON Lines logging are read from the text log, data lines included', () => {
+    const runId = '2024-05-05T09-30-00';
+    fs.writeFileSync(path.join(baseDir, 'logs', `${runId}.log`), [
+        '[2024-05-05T09:30:00.000Z] INFO: Navigating to game',
+        '[2024-05-05T09:30:02.000Z] ERROR: Game play failed',
+        'Data: {',
+        '  "error": "boom"',
+        '}',
+        '',
+        '========================================',
+        'Completed: 2024-05-05T09:30:03.000Z'
+    ].join('\n'));
+    
+    const reports = new ReportGenerator(baseDir);
+    const entries = reports.parseLog(runId);
+    assert.deepStrictEqual(entries.map(entry => [entry.level, entry.message]), [['info', 'Navigating to game'], ['error', 'Game play failed']]);
+    assert.deepStrictEqual(JSON.parse(entries[1].data), { error: 'boom' });
+    assert.deepStrictEqual(reports.summarize(runId, entries, []), {
+        runId, profile: 'default', startedAt: '2024-05-05T09:30:00.000Z', endedAt: '2024-05-05T09:30:02.000Z', durationMs: 2000,
+        result: 'failed', scenarios: 0, registeredScenarios: 0, errors: 1, warnings: 0
+    });
+});
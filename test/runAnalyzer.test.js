@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const RunAnalyzer = require('../src/runAnalyzer');
+const { useTempDir, loadConfig, stubbedGamePlayer } = require('./helpers');
+
+useTempDir();
+
+// Only errors reach the log, so neither the result messages nor the " - Attempt N/M" lines are there
+const QUIET_SETS = ['logging.logLevel=error', 'errorHandling.retryDelay=0', 'har.enabled=false', 'game.stateTimeouts.scenario=10'];
+
+// Never fires, so the wait runs into the state's timeout
+const NEVER = { name: 'never', type: 'check', check: () => new Promise(() => {}) };
+
+// Fails on the first attempt and succeeds on the second
+function flakyStep(player) {
+    let attempts = 0;
+    return player.errorHandler.retryWithBackoff(async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('Choice not clickable yet');
+    }, 'Click choice', 1);
+}
+
+test('history reads the result and retries of a run logged at logLevel error', async () => {
+    const passing = stubbedGamePlayer(loadConfig(QUIET_SETS), {
+        scenarios: async (player) => {
+            await flakyStep(player);
+            return 2;
+        }
+    });
+    const failing = stubbedGamePlayer(loadConfig(QUIET_SETS), {
+        scenarios: async (player) => {
+            await flakyStep(player);
+            throw new Error('Scenario 2 did not register');
+        }
+    });
+    assert.strictEqual(await passing.playGame(), true);
+    assert.strictEqual(await failing.playGame(), false);
+    
+    const runs = new RunAnalyzer().history();
+    assert.deepStrictEqual(runs.map(run => [run.runId, run.result, run.retries]), [
+        [passing.logger.runId, 'passed', 1],
+        [failing.logger.runId, 'failed', 1]
+    ]);
+    assert.strictEqual(runs[1].error, 'Scenario 2 did not register');
+});
+
+test('malformed lines in a JSON Lines log are skipped', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(['har.enabled=false']));
+    await gamePlayer.playGame();
+    fs.appendFileSync(gamePlayer.logger.jsonLogFile, '{"timestamp":"2024-01-01T00:00:00.000Z","level":"info","mess\n');
+    
+    const run = new RunAnalyzer().summarizeRun(gamePlayer.logger.runId);
+    assert.strictEqual(run.result, 'passed');
+});
+
+test('step issues and timings come from the run summary, not the log text', async () => {
+    const gamePlayer = stubbedGamePlayer(loadConfig(QUIET_SETS), {
+        scenarios: async (player) => {
+            await flakyStep(player);
+            await player.stateMachine.waitFor('scenario', [NEVER]);
+            player.logger.recordScenario({ index: 1, choice: { direction: 'left', method: 'coordinates' }, registered: true });
+            throw new Error('Scenario 2 did not register');
+        }
+    });
+    await gamePlayer.playGame();
+    
+    const analyzer = new RunAnalyzer();
+    const run = analyzer.summarizeRun(gamePlayer.logger.runId);
+    assert.strictEqual(run.failedStep, 'scenarios');
+    assert.deepStrictEqual(Object.keys(run.timings), ['init', 'navigate', 'start', 'scenarios']);
+    assert.deepStrictEqual(run.steps, {
+        'Click choice': { retries: 1, exhausted: 0, timeouts: 0, fallbacks: 0, errors: 0 },
+        'wait for scenario': { retries: 0, exhausted: 0, timeouts: 1, fallbacks: 0, errors: 0 },
+        'click choice': { retries: 0, exhausted: 0, timeouts: 0, fallbacks: 1, errors: 0 },
+        scenarios: { retries: 0, exhausted: 0, timeouts: 0, fallbacks: 0, errors: 1 }
+    });
+    assert.deepStrictEqual(analyzer.show(gamePlayer.logger.runId).transitions, []);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const RunHistory = require('../src/runHistory');
+const { useTempDir, loadConfig, stubbedGamePlayer } = require('./helpers');
+
+useTempDir();
+
+// No process has this id, so a run it left "running" was interrupted
+const DEAD_PID = 2 ** 22 + 12345;
+
+function history(file, sets = []) {
+    return new RunHistory(loadConfig([`history.file=history/${file}`, ...sets]));
+}
+
+test('a tracked run is recorded as running, then finished with its result, error and artifacts', async () => {
+    const runs = history('tracked.json');
+    const gamePlayer = stubbedGamePlayer(loadConfig(['har.enabled=false']), {
+        scenarios: async () => {
+            assert.strictEqual(runs.lastRun('default').result, 'running');
+            throw new Error('Scenario 1 did not register');
+        }
+    });
+    
+    assert.strictEqual(await runs.track(gamePlayer, { trigger: 'scheduled', entry: 'daily', scheduledFor: '2024-01-01T11:00:00.000Z' }), false);
+    const run = runs.lastRun('default');
+    assert.deepStrictEqual(
+        { id: run.id, trigger: run.trigger, entry: run.entry, result: run.result, error: run.error, pid: run.pid },
+        { id: `default:${gamePlayer.logger.runId}`, trigger: 'scheduled', entry: 'daily', result: 'failed', error: 'Scenario 1 did not register', pid: process.pid }
+    );
+    assert.ok(run.endedAt >= run.startedAt);
+    assert.deepStrictEqual(run.artifacts, gamePlayer.artifacts());
+});
+
+test('notes, filters and the size limit', () => {
+    const runs = history('notes.json', ['history.maxEntries=3']);
+    runs.note({ profile: 'default', trigger: 'scheduled', entry: 'daily', scheduledFor: '2024-01-01T11:00:00.000Z', result: 'missed', reason: 'older than 24h' });
+    runs.start({ runId: '2024-01-02T11-00-00', profile: 'staging', trigger: 'manual' });
+    runs.finish('staging:2024-01-02T11-00-00', { result: 'passed' });
+    runs.note({ profile: 'default', trigger: 'scheduled', entry: 'daily', scheduledFor: '2024-01-03T11:00:00.000Z', result: 'skipped', reason: 'previous run still in progress' });
+    runs.start({ runId: '2024-01-04T11-00-00', profile: 'default', trigger: 'manual' });
+    
+    assert.deepStrictEqual(runs.list().map(run => run.result), ['passed', 'skipped', 'running']);
+    assert.strictEqual(runs.lastRun('default').result, 'running');
+    assert.strictEqual(runs.lastRun('default', ['passed', 'failed']), null);
+    assert.strictEqual(runs.lastRun('staging', ['passed', 'failed']).runId, '2024-01-02T11-00-00');
+    assert.strictEqual(runs.lastHandledSlot('default', 'daily'), '2024-01-03T11:00:00.000Z');
+});
+
+test('runs left "running" by a process that is gone are marked interrupted', () => {
+    const runs = history('interrupted.json');
+    runs.add({ id: 'default:old', runId: 'old', profile: 'default', entry: 'daily', scheduledFor: '2024-01-05T11:00:00.000Z', result: 'running', pid: DEAD_PID });
+    runs.start({ runId: 'current', profile: 'default', trigger: 'manual' });
+    
+    assert.deepStrictEqual(runs.markInterrupted().map(run => run.id), ['default:old']);
+    assert.deepStrictEqual(runs.list().map(run => run.result), ['interrupted', 'running']);
+    // An interrupted slot was seen but never handled, so catch-up runs it again
+    assert.strictEqual(runs.lastSeenSlot('default', 'daily'), '2024-01-05T11:00:00.000Z');
+    assert.strictEqual(runs.lastHandledSlot('default', 'daily'), null);
+});
+
+test('an unreadable history file is replaced rather than failing the run', () => {
+    const runs = history('broken.json');
+    fs.mkdirSync('history', { recursive: true });
+    fs.writeFileSync(runs.filePath, '{ "runs": [');
+    const errors = [];
+    const original = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+        runs.start({ runId: '2024-01-06T11-00-00', profile: 'default', trigger: 'manual' });
+    } finally {
+        console.error = original;
+    }
+    
+    assert.match(errors[0], /is unreadable, starting a new one/);
+    assert.deepStrictEqual(runs.list().map(run => run.runId), ['2024-01-06T11-00-00']);
+});
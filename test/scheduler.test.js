@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Scheduler = require('../src/scheduler');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+const ENTRIES = 'schedule.entries=[{"name":"morning","cron":"0 6 * * *"},{"cron":"30 * * * *","timezone":"UTC","jitterMinutes":5,"throttling":"slow-3g"},{"name":"off","cron":"0 1 * * *","enabled":false}]';
+// Friday 22:00 to Saturday 07:00 in America/New_York, the shipped schedule timezone
+const BLACKOUT = 'schedule.blackouts=[{"name":"maintenance","start":"22:00","end":"07:00","days":["fri"]}]';
+
+function scheduler(t, sets = []) {
+    const config = loadConfig(sets);
+    const instance = new Scheduler(config);
+    t.after(() => instance.stop());
+    return { config, scheduler: instance };
+}
+
+function jobs(instance) {
+    instance.createJobs();
+    return Object.fromEntries([...instance.cronJobs.values()].map(job => [job.entry.name, job]));
+}
+
+test('without entries, dailyRunTime becomes one daily entry in the schedule timezone', (t) => {
+    const { config, scheduler: instance } = scheduler(t, ['schedule.dailyRunTime=6:30']);
+    
+    assert.deepStrictEqual(instance.scheduleEntries(config), [
+        { name: 'daily', cron: '30 6 * * *', timezone: 'America/New_York', jitterMinutes: 0, enabled: true, throttling: null }
+    ]);
+    // 6:30 in New York is 11:30 UTC in winter and 10:30 UTC in summer
+    const { daily } = jobs(instance);
+    assert.strictEqual(instance.nextRun(daily, new Date('2024-01-10T12:00:00Z')).toISOString(), '2024-01-11T11:30:00.000Z');
+    assert.strictEqual(instance.nextRun(daily, new Date('2024-07-10T12:00:00Z')).toISOString(), '2024-07-11T10:30:00.000Z');
+});
+
+test('entries take their own cron, timezone, jitter and throttling, and disabled ones are dropped', (t) => {
+    const { config, scheduler: instance } = scheduler(t, [ENTRIES]);
+    
+    assert.deepStrictEqual(instance.scheduleEntries(config), [
+        { name: 'morning', cron: '0 6 * * *', timezone: 'America/New_York', jitterMinutes: 0, enabled: true, throttling: null },
+        { name: 'entry-2', cron: '30 * * * *', timezone: 'UTC', jitterMinutes: 5, enabled: true, throttling: 'slow-3g' }
+    ]);
+    const { morning } = jobs(instance);
+    assert.strictEqual(instance.nextRun(morning, new Date('2024-01-10T12:00:00Z')).toISOString(), '2024-01-11T11:00:00.000Z');
+});
+
+test('blackout windows are local times that may wrap past midnight, on the day they open', (t) => {
+    const { config, scheduler: instance } = scheduler(t, [BLACKOUT]);
+    const at = (iso) => instance.activeBlackout(config, new Date(iso));
+    
+    assert.strictEqual(at('2024-01-13T03:30:00Z').name, 'maintenance');
+    assert.strictEqual(at('2024-01-13T11:30:00Z').name, 'maintenance');
+    assert.strictEqual(at('2024-01-13T12:00:00Z'), null);
+    assert.strictEqual(at('2024-01-12T02:00:00Z'), null);
+    assert.strictEqual(at('2024-01-14T03:30:00Z'), null);
+    assert.strictEqual(instance.describeBlackout(config.schedule.blackouts[0]), '"maintenance" (22:00-07:00 fri)');
+});
+
+test('the next run skips slots inside a blackout window', (t) => {
+    const { scheduler: instance } = scheduler(t, [ENTRIES, BLACKOUT]);
+    const { morning, 'entry-2': hourly } = jobs(instance);
+    
+    assert.strictEqual(instance.nextRun(morning, new Date('2024-01-12T12:00:00Z')).toISOString(), '2024-01-14T11:00:00.000Z');
+    assert.strictEqual(instance.nextRun(hourly, new Date('2024-01-13T03:00:00Z')).toISOString(), '2024-01-13T12:30:00.000Z');
+});
+
+test('the status lists each profile with its entries, next run and blackouts', (t) => {
+    const { scheduler: instance } = scheduler(t, [ENTRIES, BLACKOUT]);
+    const status = instance.getStatus();
+    
+    assert.strictEqual(status.scheduled, true);
+    assert.deepStrictEqual(status.profiles.map(profile => [profile.profile, profile.entries.map(entry => entry.name), profile.blackouts]),
+        [['default', ['morning', 'entry-2'], ['"maintenance" (22:00-07:00 fri)']]]);
+    assert.strictEqual(status.profiles[0].entries[1].throttling, 'slow-3g');
+    assert.strictEqual(status.nextRun, status.profiles[0].nextRun);
+});
+
+// A scheduler whose runs are only recorded, with "morning" last handled at `lastSlot`
+function catchingUp(t, file, sets = []) {
+    const { scheduler: instance } = scheduler(t, ['schedule.entries=[{"name":"morning","cron":"0 6 * * *"}]', `history.file=history/${file}`, ...sets]);
+    const started = [];
+    instance.runGame = async (profile, run) => { started.push(run); return true; };
+    instance.history.note({ profile: 'default', trigger: 'scheduled', entry: 'morning', scheduledFor: '2024-01-10T11:00:00.000Z', result: 'passed', reason: null });
+    return { scheduler: instance, started };
+}
+
+function quietly(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+test('missed slots since the last handled one are found, outside blackout windows', (t) => {
+    quietly(t);
+    const { scheduler: instance } = catchingUp(t, 'missed.json', [BLACKOUT]);
+    
+    const [missed] = instance.missedRuns(new Date('2024-01-14T12:00:00Z'));
+    assert.strictEqual(missed.entry.name, 'morning');
+    // Saturday 6:00 falls inside the Friday night maintenance window
+    assert.deepStrictEqual(missed.slots.map(slot => slot.toISOString()),
+        ['2024-01-11T11:00:00.000Z', '2024-01-12T11:00:00.000Z', '2024-01-14T11:00:00.000Z']);
+});
+
+test('catch-up policy "latest" runs the newest recent slot and notes the others as missed', async (t) => {
+    quietly(t);
+    const { scheduler: instance, started } = catchingUp(t, 'latest.json', ['schedule.catchUp.policy=latest', 'schedule.catchUp.maxAgeHours=48']);
+    
+    await instance.catchUp(new Date('2024-01-13T12:00:00Z'));
+    assert.deepStrictEqual(started, [{ trigger: 'catch-up', entry: 'morning', scheduledFor: '2024-01-13T11:00:00.000Z', throttling: null }]);
+    assert.deepStrictEqual(instance.history.list().filter(run => run.result === 'missed').map(run => [run.scheduledFor, run.error]), [
+        ['2024-01-11T11:00:00.000Z', 'older than 48h'],
+        ['2024-01-12T11:00:00.000Z', 'catch-up policy "latest"']
+    ]);
+});
+
+test('catch-up policy "all" runs every recent slot and "skip" none', async (t) => {
+    quietly(t);
+    const all = catchingUp(t, 'all.json', ['schedule.catchUp.policy=all', 'schedule.catchUp.maxAgeHours=48']);
+    await all.scheduler.catchUp(new Date('2024-01-13T12:00:00Z'));
+    assert.deepStrictEqual(all.started.map(run => run.scheduledFor), ['2024-01-12T11:00:00.000Z', '2024-01-13T11:00:00.000Z']);
+    
+    const skip = catchingUp(t, 'skip.json', ['schedule.catchUp.policy=skip']);
+    await skip.scheduler.catchUp(new Date('2024-01-13T12:00:00Z'));
+    assert.deepStrictEqual(skip.started, []);
+    assert.strictEqual(skip.scheduler.history.list().filter(run => run.result === 'missed').length, 3);
+    // Noted slots count as handled, so a second catch-up finds nothing left
+    assert.deepStrictEqual(skip.scheduler.missedRuns(new Date('2024-01-13T12:00:00Z')), []);
+});
+
+test('a slot whose run was interrupted is caught up again', async (t) => {
+    quietly(t);
+    const { scheduler: instance, started } = catchingUp(t, 'interrupted.json', ['schedule.catchUp.policy=latest']);
+    instance.history.add({ id: 'default:gone', runId: 'gone', profile: 'default', trigger: 'scheduled', entry: 'morning', scheduledFor: '2024-01-11T11:00:00.000Z', result: 'running', pid: 2 ** 22 + 12345 });
+    
+    await instance.catchUp(new Date('2024-01-11T11:30:00Z'));
+    assert.strictEqual(instance.history.list().find(run => run.id === 'default:gone').result, 'interrupted');
+    assert.deepStrictEqual(started.map(run => run.scheduledFor), ['2024-01-11T11:00:00.000Z']);
+});
+
+test('a profile that is still running skips the slot and notes it', async (t) => {
+    quietly(t);
+    const { scheduler: instance } = scheduler(t, ['history.file=history/busy.json']);
+    instance.running.add('default');
+    
+    assert.strictEqual(await instance.runGame(instance.config, { trigger: 'scheduled', entry: 'daily', scheduledFor: '2024-01-10T11:30:00.000Z' }), false);
+    assert.deepStrictEqual(instance.history.list().map(run => [run.result, run.error]), [['skipped', 'previous run still in progress']]);
+});
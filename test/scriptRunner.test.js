@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScriptRunner = require('../src/scriptRunner');
+
+function check(steps) {
+    return () => ScriptRunner.validateSteps(steps, 'test.yaml');
+}
+
+test('assertText accepts an empty "contains" or "equals" and rejects values that are not text', () => {
+    assert.doesNotThrow(check([{ assertText: { selector: '#log', equals: '' } }, { assertText: { contains: '' } }]));
+    assert.throws(check([{ assertText: {} }]), /step 1 \(assertText\): needs "contains", "equals" or "matches"/);
+    assert.throws(check([{ assertText: { equals: 0 } }]), /step 1 \(assertText\): "equals" must be a string/);
+    assert.throws(check([{ assertText: { matches: '' } }]), /"matches" needs a pattern/);
+});
+
+test('a loop "until" must be a selector and a step timeout a positive number', () => {
+    const steps = [{ click: 'body' }];
+    assert.doesNotThrow(check([{ loop: { times: 2, until: '#end', steps } }]));
+    assert.throws(check([{ loop: { times: 2, until: true, steps } }]), /step 1 \(loop\): "until" must be a selector/);
+    assert.throws(check([{ waitFor: { state: 'result' }, timeout: '5000' }]), /step 1 has a "timeout" that is not a positive number of ms/);
+});
+
+test('waiting for a game state uses the step timeout, or the state timeout when the step has none', async () => {
+    const calls = [];
+    const stateMachine = {
+        waitForResult: async (since, timeout) => { calls.push(timeout); return timeout === 50 ? null : 'DOM settled'; }
+    };
+    const runner = new ScriptRunner({ config: { scripts: { stepTimeoutMs: 10000 } }, stateMachine }, []);
+    
+    await runner.runStep({ waitFor: { state: 'result' } });
+    await assert.rejects(runner.runStep({ waitFor: { state: 'result' }, timeout: 50 }), /Timed out waiting for game state "result"/);
+    assert.deepStrictEqual(calls, [undefined, 50]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SessionReplayer = require('../src/sessionReplayer');
+const { loadConfig } = require('./helpers');
+
+// Records mouse clicks and scrolling; `box` is where the recorded element is laid out now, null when it is gone
+function fakePage(box) {
+    const actions = [];
+    const element = {
+        scrollIntoView: async () => actions.push('scrollIntoView'),
+        boundingBox: async () => box,
+        click: async () => actions.push('element.click')
+    };
+    return {
+        actions,
+        waitForSelector: async () => {
+            if (!box) throw new Error('Waiting for selector failed');
+            return element;
+        },
+        evaluate: async (fn, x, y) => actions.push(`scrollTo ${x},${y}`),
+        mouse: { click: async (x, y) => actions.push(`click ${x},${y}`) }
+    };
+}
+
+function replayerFor(page, viewport) {
+    const warnings = [];
+    const gamePlayer = {
+        config: loadConfig(),
+        page,
+        logger: { info() {}, debug() {}, warn: (message) => warnings.push(message) },
+        errorHandler: {}
+    };
+    return { replayer: new SessionReplayer(gamePlayer, { url: gamePlayer.config.game.url, viewport, steps: [] }), warnings };
+}
+
+const STEP = { type: 'click', selector: '#lever', x: 100, y: 50, scrollX: 0, scrollY: 400, offset: { x: 0.25, y: 0.5 } };
+
+test('a click lands on the same spot of the element wherever it is laid out', async () => {
+    const page = fakePage({ x: 600, y: 300, width: 200, height: 40 });
+    const { replayer } = replayerFor(page, { width: 800, height: 600 });
+    
+    assert.strictEqual(await replayer.click(STEP), 'selector');
+    assert.deepStrictEqual(page.actions, ['scrollIntoView', 'click 650,320']);
+});
+
+test('without the element the recorded point is clicked at the recorded scroll position', async () => {
+    const page = fakePage(null);
+    const { replayer, warnings } = replayerFor(page, loadConfig().browser.viewport);
+    
+    assert.strictEqual(await replayer.click(STEP), 'coordinates');
+    assert.deepStrictEqual(page.actions, ['scrollTo 0,400', 'click 100,50']);
+    assert.strictEqual(warnings.length, 1);
+});
+
+test('a point from another viewport size is scaled, with a warning', async () => {
+    const viewport = loadConfig().browser.viewport;
+    const page = fakePage(null);
+    const { replayer, warnings } = replayerFor(page, { width: viewport.width / 2, height: viewport.height / 2 });
+    
+    await replayer.click(STEP);
+    assert.deepStrictEqual(page.actions, ['scrollTo 0,400', 'click 200,100']);
+    assert.match(warnings[1], /differs from the recorded/);
+});
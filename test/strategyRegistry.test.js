@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const StrategyRegistry = require('../src/strategyRegistry');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+// In the fixture game the clicked side is saved and the other side is hit
+const FIXTURE_SCENARIOS = [
+    { text: 'Pull the lever? 5 people on the left track, 1 person on the right track.', saved: 'left' },
+    { text: 'The left track holds 2 doctors, the right track holds 3 strangers.', saved: 'right' },
+    { text: 'The left track is empty but the trolley is late. The right track has 1 commuter.', saved: 'right' }
+];
+
+test('the shipped count rule saves the larger group in the fixture game', async () => {
+    const strategy = new StrategyRegistry().create(loadConfig(['choices.strategy=rules']).choices);
+    
+    for (const { text, saved } of FIXTURE_SCENARIOS) {
+        assert.strictEqual((await strategy.choose({ instruction: text, previousChoices: [] })).direction, saved, text);
+    }
+});
+
+test('seeded-random makes the same choices on every run with the default seed', async () => {
+    const choices = loadConfig(['choices.strategy=seeded-random']).choices;
+    assert.strictEqual(choices.seed, null);
+    const play = async () => {
+        const strategy = new StrategyRegistry().create(choices);
+        const decisions = [];
+        for (let i = 0; i < 20; i++) {
+            decisions.push(await strategy.choose({ instruction: null, previousChoices: [] }));
+        }
+        return decisions;
+    };
+    
+    const first = await play();
+    assert.deepStrictEqual((await play()).map(decision => decision.direction), first.map(decision => decision.direction));
+    assert.strictEqual(first[0].reason, 'seeded coin flip (seed 1)');
+});
+
+test('a custom module is used under choices.strategy, and one exporting another name is refused', async () => {
+    fs.writeFileSync('alternate.js', "module.exports = { name: 'alternate', choose: () => 'right' };");
+    
+    const strategy = new StrategyRegistry().create({ strategy: 'alternate', module: './alternate.js' });
+    assert.strictEqual((await strategy.choose({ previousChoices: [] })).direction, 'right');
+    assert.throws(
+        () => new StrategyRegistry().create({ strategy: 'alternating', module: './alternate.js' }),
+        /registers the strategy "alternate", but choices.strategy is "alternating"; set choices.strategy to "alternate"/
+    );
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const VisualRegression = require('../src/visualRegression');
+const { useTempDir, loadConfig } = require('./helpers');
+
+useTempDir();
+
+const LOGGER = { error() {}, success() {} };
+
+// A 10x10 white image with the given pixels painted black
+function writePng(filePath, blackPixels = []) {
+    const png = new PNG({ width: 10, height: 10 });
+    png.data.fill(255);
+    blackPixels.forEach(([x, y]) => {
+        const idx = (png.width * y + x) << 2;
+        png.data[idx] = png.data[idx + 1] = png.data[idx + 2] = 0;
+    });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
+function visual(sets = [], profile = null) {
+    const config = loadConfig(['visualRegression.enabled=true', ...sets]);
+    return new VisualRegression(profile ? { ...config, profile } : config, LOGGER);
+}
+
+test('step settings match screenshot names with "*" wildcards, later patterns winning', () => {
+    const regression = visual();
+    
+    assert.deepStrictEqual(regression.stepSettings('04-choice-3-result'), { threshold: 0.1, maxDiffRatio: 0.05, ignoreRegions: [] });
+    assert.strictEqual(regression.stepSettings('04-choice-3-result-extra').maxDiffRatio, 0.01);
+    assert.strictEqual(regression.stepSettings('05-game-final').ignore, true);
+    assert.deepStrictEqual(regression.stepSettings('01-game-loaded'), { threshold: 0.1, maxDiffRatio: 0.01, ignoreRegions: [] });
+});
+
+test('a run is compared step by step against its baselines, with a diff image for each change', () => {
+    const regression = visual(['visualRegression.steps={"02-*":{"maxDiffRatio":0.05},"05-game-final":{"ignore":true}}']);
+    const run = path.resolve('screenshots', 'compare-run');
+    writePng(path.join(regression.baselineDir, '01-same.png'));
+    writePng(path.join(run, '01-same.png'));
+    writePng(path.join(regression.baselineDir, '02-one-pixel.png'));
+    writePng(path.join(run, '02-one-pixel.png'), [[0, 0]]);
+    writePng(path.join(regression.baselineDir, '03-changed.png'));
+    writePng(path.join(run, '03-changed.png'), [[0, 0], [1, 1], [2, 2]]);
+    writePng(path.join(run, '04-new.png'));
+    writePng(path.join(run, '05-game-final.png'), [[5, 5]]);
+    writePng(path.join(run, 'error-1700000000000.png'));
+    
+    const result = regression.compareRun(run);
+    assert.deepStrictEqual(result.results.map(step => [step.name, step.status]), [
+        ['01-same', 'match'],
+        ['02-one-pixel', 'match'],
+        ['03-changed', 'changed'],
+        ['04-new', 'new'],
+        ['05-game-final', 'skipped']
+    ]);
+    assert.deepStrictEqual({ passed: result.passed, compared: result.compared, changed: result.changed, newSteps: result.newSteps },
+        { passed: false, compared: 3, changed: 1, newSteps: ['04-new'] });
+    assert.strictEqual(result.results[2].reason, '3.00% of pixels differ (limit 1.00%)');
+    assert.ok(fs.existsSync(path.join(run, 'diff', '03-changed.png')));
+    assert.strictEqual(result.results[0].diffPath, null);
+});
+
+test('ignored regions are masked in both images, and a size change always fails', () => {
+    const regression = visual(['visualRegression.steps={"clock":{"ignoreRegions":[{"x":0,"y":0,"width":3,"height":3}]}}']);
+    const run = path.resolve('screenshots', 'mask-run');
+    writePng(path.join(regression.baselineDir, 'clock.png'));
+    writePng(path.join(run, 'clock.png'), [[0, 0], [1, 1], [2, 2]]);
+    assert.strictEqual(regression.compareStep('clock', run, path.join(run, 'diff')).status, 'match');
+    
+    const wide = new PNG({ width: 12, height: 10 });
+    fs.writeFileSync(path.join(run, 'clock.png'), PNG.sync.write(wide));
+    assert.strictEqual(regression.compareStep('clock', run, path.join(run, 'diff')).reason, 'size changed from 10x10 to 12x10');
+});
+
+test('with failOnDifference off, changes are reported without failing the run', () => {
+    const regression = visual(['visualRegression.failOnDifference=false', 'visualRegression.baselineDir=lenient-baselines']);
+    const run = path.resolve('screenshots', 'lenient-run');
+    writePng(path.join(regression.baselineDir, 'step.png'));
+    writePng(path.join(run, 'step.png'), [[0, 0], [1, 1], [2, 2]]);
+    
+    const result = regression.compareRun(run);
+    assert.deepStrictEqual({ passed: result.passed, changed: result.changed }, { passed: true, changed: 1 });
+});
+
+test('approving copies the step screenshots into the profile\'s own baselines', () => {
+    const regression = visual(['visualRegression.baselineDir=approved'], 'staging');
+    const run = path.resolve('screenshots', 'approve-run');
+    writePng(path.join(run, '01-game-loaded.png'));
+    writePng(path.join(run, 'error-1700000000000.png'));
+    
+    assert.deepStrictEqual(regression.approve(run), ['01-game-loaded']);
+    assert.deepStrictEqual(fs.readdirSync(path.resolve('approved', 'staging')), ['01-game-loaded.png']);
+    assert.throws(() => regression.approve(path.resolve('screenshots', 'empty-run')), /No screenshots found in/);
+});